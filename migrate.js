@@ -0,0 +1,60 @@
+// Schema migrations for the SQL backend configured by the same env vars as server.js.
+//   npm run migrate -- status            -> schema version, dirty migrations, pending migrations
+//   npm run migrate -- up [version]      -> apply pending migrations (up to version)
+//   npm run migrate -- down [steps]      -> revert the newest migration(s), 1 by default
+//   npm run migrate -- force <version>   -> after a manual repair, record <version> as the clean schema version
+// server.js applies pending migrations itself on startup and refuses to start on a dirty one.
+const { resolveStorageConfig, createDb } = require("./storage");
+const { loadMigrations, schemaStatus, migrateUp, migrateDown, forceVersion } = require("./storage/migrations");
+
+const USAGE = "usage: node migrate.js status | up [version] | down [steps] | force <version>";
+
+const parseCount = (value, fallback) => {
+  if (value === undefined) return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+async function main([command = "status", arg]) {
+  const storage = resolveStorageConfig(process.env);
+  if (storage.backend === "memory") {
+    throw new Error("no SQL backend configured (set STORAGE_BACKEND or the MySQL env vars)");
+  }
+  const db = createDb(storage);
+  try {
+    const migrations = loadMigrations();
+    if (command === "status") {
+      const status = await schemaStatus(db, migrations);
+      console.log(`${storage.backend} schema version ${status.version}`);
+      status.dirty.forEach((row) => console.log(`  DIRTY   ${row.version}_${row.name}`));
+      status.unknown.forEach((row) => console.log(`  UNKNOWN ${row.version}_${row.name} (not in this build)`));
+      status.pending.forEach((migration) => console.log(`  pending ${migration.version}_${migration.name}`));
+      return status.dirty.length || status.unknown.length ? 1 : 0;
+    }
+    if (command === "up" || command === "down") {
+      const count = parseCount(arg, command === "up" ? Infinity : 1);
+      if (count === null) throw new Error(USAGE);
+      const done = command === "up" ? await migrateUp(db, count, migrations) : await migrateDown(db, count, migrations);
+      done.forEach((label) => console.log(`${command === "up" ? "applied" : "reverted"} ${label}`));
+      if (!done.length) console.log("nothing to do");
+      return 0;
+    }
+    if (command === "force") {
+      const version = parseCount(arg, null);
+      if (version === null) throw new Error(USAGE);
+      await forceVersion(db, version, migrations);
+      console.log(`schema version set to ${version}`);
+      return 0;
+    }
+    throw new Error(USAGE);
+  } finally {
+    await db.close();
+  }
+}
+
+main(process.argv.slice(2))
+  .then((code) => process.exit(code))
+  .catch((err) => {
+    console.error(err.message);
+    process.exit(1);
+  });
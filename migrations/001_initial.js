@@ -0,0 +1,248 @@
+// Baseline schema: every table the server used before migrations existed. MySQL databases
+// created by those earlier versions already have some of these tables, possibly without
+// the columns added since; up() adds exactly the missing ones instead of retrying ALTERs
+// and swallowing the errors.
+const METRICS = [
+  "honey", "pollen", "backpack", "backpack_capacity",
+  "nectar_comforting", "nectar_motivating", "nectar_satisfying", "nectar_refreshing", "nectar_invigorating"
+];
+const COMMAND_STATUSES = ["queued", "delivered", "acked", "failed", "expired"];
+const ROLLUP_TABLES = ["samples_hourly", "samples_daily"];
+
+async function up({ query, createTable, dialect, backend }) {
+  const types = dialect.types;
+  const metricType = types.enumOf(METRICS);
+  const legacy = backend === "mysql" ? await mysqlColumns(query) : null;
+  await createTable("users", [
+    "user_key VARCHAR(128) PRIMARY KEY",
+    `created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP`,
+    "total_honey BIGINT DEFAULT 0",
+    "last_activity INT DEFAULT 0",
+    "current_honey BIGINT DEFAULT 0",
+    "username VARCHAR(64) DEFAULT NULL",
+    "public_id VARCHAR(32) UNIQUE",
+    `leaderboard_opt_out ${types.bool} NOT NULL DEFAULT 0`
+  ]);
+  await createTable("samples", [
+    `id ${types.id}`,
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT NOT NULL DEFAULT 0",
+    `metric ${metricType} NOT NULL`,
+    "t INT NOT NULL",
+    `v ${types.double} NOT NULL`,
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [
+    ["idx_user_time", "user_key, t"],
+    ["idx_user_player_time", "user_key, player_id, t"]
+  ]);
+  // pct_* columns are only filled for the backpack metric (pct of the capacity sampled at the same t)
+  for (const table of ROLLUP_TABLES) {
+    await createTable(table, [
+      "user_key VARCHAR(128) NOT NULL",
+      "player_id BIGINT NOT NULL DEFAULT 0",
+      `metric ${metricType} NOT NULL`,
+      "t INT NOT NULL",
+      `min_v ${types.double} NOT NULL`,
+      `max_v ${types.double} NOT NULL`,
+      `sum_v ${types.double} NOT NULL`,
+      "n INT NOT NULL",
+      `last_v ${types.double} NOT NULL`,
+      "last_t INT NOT NULL",
+      `pct_min ${types.double} DEFAULT NULL`,
+      `pct_max ${types.double} DEFAULT NULL`,
+      `pct_sum ${types.double} NOT NULL DEFAULT 0`,
+      "pct_n INT NOT NULL DEFAULT 0",
+      `pct_last ${types.double} DEFAULT NULL`,
+      "PRIMARY KEY (user_key, player_id, metric, t)",
+      "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+    ], [["idx_user_time", "user_key, t"]]);
+  }
+  // tokens/buffs tables omitted (feature removed)
+  await createTable("configs", [
+    "config_key VARCHAR(64) PRIMARY KEY",
+    "user_key VARCHAR(128) NOT NULL",
+    `payload ${types.json} NOT NULL`,
+    "name VARCHAR(64) DEFAULT NULL",
+    "description VARCHAR(512) DEFAULT NULL",
+    `tags ${types.json} DEFAULT NULL`,
+    "version INT NOT NULL DEFAULT 1",
+    `is_public ${types.bool} NOT NULL DEFAULT 0`,
+    "imports INT NOT NULL DEFAULT 0",
+    "forked_from VARCHAR(64) DEFAULT NULL",
+    "forked_version INT DEFAULT NULL",
+    `created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP`,
+    `updated_at ${types.timestamp} NULL DEFAULT NULL`
+  ], [
+    ["idx_user", "user_key"],
+    ["idx_public", "is_public, created_at"]
+  ]);
+  await createTable("config_versions", [
+    "config_key VARCHAR(64) NOT NULL",
+    "version INT NOT NULL",
+    "user_key VARCHAR(128) NOT NULL",
+    `payload ${types.json} NOT NULL`,
+    "name VARCHAR(64) DEFAULT NULL",
+    "description VARCHAR(512) DEFAULT NULL",
+    `tags ${types.json} DEFAULT NULL`,
+    `created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP`,
+    "PRIMARY KEY (config_key, version)",
+    "FOREIGN KEY (config_key) REFERENCES configs(config_key) ON DELETE CASCADE"
+  ]);
+  await createTable("control_commands", [
+    `seq ${types.id}`,
+    "command_id VARCHAR(32) NOT NULL UNIQUE",
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT DEFAULT NULL",
+    `command ${types.json} NOT NULL`,
+    `status ${types.enumOf(COMMAND_STATUSES)} NOT NULL DEFAULT 'queued'`,
+    "created_at INT NOT NULL",
+    "expires_at INT NOT NULL",
+    "delivered_at INT DEFAULT NULL",
+    "acked_at INT DEFAULT NULL",
+    "attempts INT NOT NULL DEFAULT 0",
+    `result ${types.json} DEFAULT NULL`,
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [["idx_user_status", "user_key, status, seq"]]);
+  await createTable("control_states", [
+    "user_key VARCHAR(128) PRIMARY KEY",
+    `state ${types.json} NOT NULL`,
+    "at INT NOT NULL",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ]);
+  await createTable("api_tokens", [
+    "token_id VARCHAR(32) PRIMARY KEY",
+    "user_key VARCHAR(128) NOT NULL",
+    "token_hash CHAR(64) NOT NULL UNIQUE",
+    "name VARCHAR(64) DEFAULT NULL",
+    "scopes VARCHAR(128) NOT NULL",
+    "created_at INT NOT NULL",
+    "last_used_at INT DEFAULT NULL",
+    "revoked_at INT DEFAULT NULL",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [["idx_user", "user_key"]]);
+  await createTable("alert_rules", [
+    "rule_id VARCHAR(32) PRIMARY KEY",
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT DEFAULT NULL",
+    "type VARCHAR(32) NOT NULL",
+    `params ${types.json} NOT NULL`,
+    "webhook VARCHAR(512) NOT NULL",
+    `enabled ${types.bool} NOT NULL DEFAULT 1`,
+    `firing ${types.bool} NOT NULL DEFAULT 0`,
+    "changed_at INT DEFAULT NULL",
+    "created_at INT NOT NULL",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [["idx_user", "user_key"]]);
+  await createTable("alert_events", [
+    `seq ${types.id}`,
+    "event_id VARCHAR(32) NOT NULL UNIQUE",
+    "rule_id VARCHAR(32) NOT NULL",
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT DEFAULT NULL",
+    "type VARCHAR(32) NOT NULL",
+    `state ${types.enumOf(["firing", "resolved"])} NOT NULL`,
+    "message VARCHAR(255) NOT NULL",
+    `value ${types.double} DEFAULT NULL`,
+    "created_at INT NOT NULL",
+    `delivery_status ${types.enumOf(["pending", "retrying", "delivered", "failed"])} NOT NULL DEFAULT 'pending'`,
+    "attempts INT NOT NULL DEFAULT 0",
+    "last_error VARCHAR(255) DEFAULT NULL",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [["idx_user_seq", "user_key, seq"]]);
+  await createTable("player_sessions", [
+    "session_public_id VARCHAR(32) PRIMARY KEY",
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT NOT NULL",
+    "username VARCHAR(64)",
+    "last_seen INT DEFAULT 0",
+    "current_honey BIGINT DEFAULT 0",
+    `created_at ${types.timestamp} DEFAULT CURRENT_TIMESTAMP`,
+    "UNIQUE (user_key, player_id)",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ]);
+  if (legacy) await upgradeLegacyMysql(query, legacy, metricType);
+}
+
+// { [table]: Set(column) } for the tables that already existed.
+async function mysqlColumns(query) {
+  const [rows] = await query(
+    "SELECT TABLE_NAME AS tbl, COLUMN_NAME AS col FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE()"
+  );
+  const tables = {};
+  rows.forEach((row) => {
+    if (!tables[row.tbl]) tables[row.tbl] = new Set();
+    tables[row.tbl].add(row.col);
+  });
+  return tables;
+}
+
+async function upgradeLegacyMysql(query, existing, metricType) {
+  const missing = (table, column) => existing[table] && !existing[table].has(column);
+  const addColumns = async (table, columns) => {
+    for (const [column, definition] of columns) {
+      if (missing(table, column)) await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  };
+  await addColumns("users", [
+    ["total_honey", "BIGINT DEFAULT 0"],
+    ["last_activity", "INT DEFAULT 0"],
+    ["current_honey", "BIGINT DEFAULT 0"],
+    ["username", "VARCHAR(64) DEFAULT NULL"],
+    ["public_id", "VARCHAR(32) UNIQUE"],
+    ["leaderboard_opt_out", "TINYINT(1) NOT NULL DEFAULT 0"]
+  ]);
+  if (existing.samples) {
+    // Tables from before the backpack metrics have a shorter ENUM.
+    await query(`ALTER TABLE samples MODIFY COLUMN metric ${metricType} NOT NULL`);
+  }
+  // Samples are tagged with the session playerId; rows from before that stay under player 0.
+  if (missing("samples", "player_id")) {
+    await query("ALTER TABLE samples ADD COLUMN player_id BIGINT NOT NULL DEFAULT 0 AFTER user_key");
+    await query("ALTER TABLE samples ADD INDEX idx_user_player_time (user_key, player_id, t)");
+  }
+  for (const table of ROLLUP_TABLES) {
+    if (!missing(table, "player_id")) continue;
+    await query(`ALTER TABLE ${table} ADD COLUMN player_id BIGINT NOT NULL DEFAULT 0 AFTER user_key`);
+    await query(`ALTER TABLE ${table} DROP PRIMARY KEY, ADD PRIMARY KEY (user_key, player_id, metric, t)`);
+  }
+  await addColumns("configs", [
+    ["name", "VARCHAR(64) DEFAULT NULL"],
+    ["description", "VARCHAR(512) DEFAULT NULL"],
+    ["tags", "JSON DEFAULT NULL"],
+    ["updated_at", "TIMESTAMP NULL DEFAULT NULL"]
+  ]);
+  if (missing("configs", "version")) {
+    await query("ALTER TABLE configs ADD COLUMN version INT NOT NULL DEFAULT 1, ADD INDEX idx_user (user_key)");
+  }
+  await addColumns("configs", [
+    ["imports", "INT NOT NULL DEFAULT 0"],
+    ["forked_from", "VARCHAR(64) DEFAULT NULL"],
+    ["forked_version", "INT DEFAULT NULL"]
+  ]);
+  if (missing("configs", "is_public")) {
+    await query(
+      "ALTER TABLE configs ADD COLUMN is_public TINYINT(1) NOT NULL DEFAULT 0, ADD INDEX idx_public (is_public, created_at)"
+    );
+  }
+  // Configs saved before revisions were kept get their current payload as the first revision.
+  if (existing.configs && !existing.config_versions) {
+    await query(`
+      INSERT INTO config_versions (config_key, version, user_key, payload, name, description, tags, created_at)
+      SELECT config_key, version, user_key, payload, name, description, tags, COALESCE(updated_at, created_at)
+      FROM configs
+    `);
+  }
+}
+
+// Children before the tables their foreign keys point at.
+async function down({ query }) {
+  const tables = [
+    "player_sessions", "alert_events", "alert_rules", "api_tokens", "control_states",
+    "control_commands", "config_versions", "configs", ...ROLLUP_TABLES, "samples", "users"
+  ];
+  for (const table of tables) {
+    await query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
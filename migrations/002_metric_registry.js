@@ -0,0 +1,39 @@
+// Metric registry: definitions for metrics beyond the built-in ones, and a plain string
+// metric column so samples and rollups can hold any registered name. Postgres and SQLite
+// already store the metric as VARCHAR(32).
+const BUILTIN_METRICS = [
+  "honey", "pollen", "backpack", "backpack_capacity",
+  "nectar_comforting", "nectar_motivating", "nectar_satisfying", "nectar_refreshing", "nectar_invigorating"
+];
+const METRIC_TABLES = ["samples", "samples_hourly", "samples_daily"];
+
+async function up({ query, createTable, dialect, backend }) {
+  await createTable("metric_definitions", [
+    "name VARCHAR(32) PRIMARY KEY",
+    "unit VARCHAR(16) DEFAULT NULL",
+    `kind ${dialect.types.enumOf(["gauge", "counter"])} NOT NULL DEFAULT 'gauge'`,
+    "display_group VARCHAR(32) DEFAULT NULL",
+    "user_key VARCHAR(128) DEFAULT NULL",
+    "created_at INT NOT NULL"
+  ]);
+  if (backend !== "mysql") return;
+  for (const table of METRIC_TABLES) {
+    await query(`ALTER TABLE ${table} MODIFY COLUMN metric VARCHAR(32) NOT NULL`);
+  }
+}
+
+// Samples of registered metrics have nowhere to go once the ENUM is back.
+async function down({ query, dialect, backend }) {
+  for (const table of METRIC_TABLES) {
+    const placeholders = BUILTIN_METRICS.map(() => "?").join(", ");
+    await query(`DELETE FROM ${table} WHERE metric NOT IN (${placeholders})`, BUILTIN_METRICS);
+  }
+  if (backend === "mysql") {
+    for (const table of METRIC_TABLES) {
+      await query(`ALTER TABLE ${table} MODIFY COLUMN metric ${dialect.types.enumOf(BUILTIN_METRICS)} NOT NULL`);
+    }
+  }
+  await query("DROP TABLE IF EXISTS metric_definitions");
+}
+
+module.exports = { up, down };
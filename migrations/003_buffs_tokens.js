@@ -0,0 +1,36 @@
+// Buff and token tracking, left out of the baseline schema. buff_samples holds the active
+// buffs reported with each sample; token_events the tokens collected since the previous one.
+async function up({ createTable }) {
+  await createTable("buff_samples", [
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT NOT NULL DEFAULT 0",
+    "t INT NOT NULL",
+    "name VARCHAR(48) NOT NULL",
+    "stacks INT NOT NULL DEFAULT 1",
+    "remaining INT DEFAULT NULL",
+    "PRIMARY KEY (user_key, player_id, name, t)",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [
+    ["idx_user_time", "user_key, t"],
+    ["idx_time", "t"]
+  ]);
+  await createTable("token_events", [
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT NOT NULL DEFAULT 0",
+    "t INT NOT NULL",
+    "token_type VARCHAR(48) NOT NULL",
+    "token_count INT NOT NULL",
+    "PRIMARY KEY (user_key, player_id, token_type, t)",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [
+    ["idx_user_time", "user_key, t"],
+    ["idx_time", "t"]
+  ]);
+}
+
+async function down({ query }) {
+  await query("DROP TABLE IF EXISTS token_events");
+  await query("DROP TABLE IF EXISTS buff_samples");
+}
+
+module.exports = { up, down };
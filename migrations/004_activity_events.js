@@ -0,0 +1,25 @@
+// Activity timeline: one row per change of a player's activity/field. last_t is the newest
+// sample that still reported that state, so a segment can end where the macro went quiet.
+const ACTIVITIES = ["gathering", "converting", "traveling", "killing", "idle"];
+
+async function up({ createTable, dialect }) {
+  await createTable("activity_events", [
+    "user_key VARCHAR(128) NOT NULL",
+    "player_id BIGINT NOT NULL DEFAULT 0",
+    "t INT NOT NULL",
+    `activity ${dialect.types.enumOf(ACTIVITIES)} NOT NULL`,
+    "field VARCHAR(48) DEFAULT NULL",
+    "last_t INT NOT NULL",
+    "PRIMARY KEY (user_key, player_id, t)",
+    "FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE"
+  ], [
+    ["idx_user_last", "user_key, last_t"],
+    ["idx_last", "last_t"]
+  ]);
+}
+
+async function down({ query }) {
+  await query("DROP TABLE IF EXISTS activity_events");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Shared token buckets for RATE_LIMIT_STORE=db; updated_at is a unix time with fractions.
+// granted records whether the last take got a token, so the upsert that takes it can return
+// the outcome without a row lock or a second query.
+async function up({ createTable, dialect }) {
+  await createTable("rate_limits", [
+    "bucket_key VARCHAR(192) PRIMARY KEY",
+    `tokens ${dialect.types.double} NOT NULL`,
+    `updated_at ${dialect.types.double} NOT NULL`,
+    `granted ${dialect.types.bool} NOT NULL DEFAULT 0`
+  ], [["idx_updated", "updated_at"]]);
+}
+
+async function down({ query }) {
+  await query("DROP TABLE IF EXISTS rate_limits");
+}
+
+module.exports = { up, down };
@@ -1,19 +1,94 @@
 // Simple Railway-ready backend for Bee Swarm stats.
 // Endpoints:
 //   GET  /api/stats?period=24h            -> { honey: [{t,v}], pollen: [{t,v}], backpack: [{t,v}], nectar: { Comforting: [{t,v}], ... } }
-//   POST /api/ingest (body: {honey, pollen, backpack, nectar, at?}) with x-api-key header
+//        &resolution=5m | &maxPoints=500   -> same shape, points bucketed to {t,v,min,max,avg,last,n}
+//        &from=&to=&tz=Europe/Berlin&groupBy=day|hour -> absolute range, calendar buckets in tz
+//   GET  /api/stats/summary?period=24h    -> { honey: {gained, perHour, rolling}, pollen, nectar, peakHour, converts, metrics }
+//   GET  /api/stats/buffs?period=24h      -> { players, buffs: { [name]: {uptime, activeSec, avgStacks, maxStacks} } }
+//   GET  /api/stats/tokens?period=24h     -> { total, perHour, tokens: { [type]: {total, perHour, hourly: [{t, count}]} } }
+//        both also under /api/player/:publicId/stats/, and with &from=&to=&tz= like /api/stats
+//   GET  /api/timeline?period=24h         -> { segments: [{player, activity, field, start, end, duration, honey, pollen}],
+//        activities: {activity: seconds}, fields: [{field, honey, pollen, honeyPerHour, ...}] best first }
+//        (also /api/player/:publicId/timeline)
+//   GET  /api/metrics                     -> built-in and registered metrics {name, unit, kind, group, builtin}
+//   PUT  /api/metrics/:name {unit?, kind: gauge|counter, group?} with x-api-key -> register a metric (later updates
+//        by its registrant only); samples of it are sent as ingest `metrics: {name: value}` and come back under
+//        `metrics` in /api/stats
+//   GET  /api/player/:publicId/stats      -> same as /api/stats; a session id (from /api/players) returns only that
+//        player's samples, a user public id the totals across all players under the user key
+//   GET  /api/stats/export?format=csv|ndjson&period= | /api/player/:publicId/stats/export -> streamed rows
+//        {t, player, honey, pollen, backpack, backpack_capacity, nectar_*, <registered metrics>}
+//   POST /api/stats/import?format=csv|ndjson (body: an export, text/csv or application/x-ndjson) with x-api-key
+//        -> { inserted, skipped, invalid, errors: [{line, error}] }; rows already stored are skipped
+//   POST /api/ingest (body: {honey, pollen, backpack, nectar, metrics?, buffs?, tokens?, at?}) with x-api-key header
+//        buffs: [{name, stacks?, remaining?}] active at `at`; tokens: [{type, count?}] collected since the last sample;
+//        activity: gathering|converting|traveling|killing|idle and field: the macro's current state
+//   POST /api/ingest/batch (body: {samples: [{...ingest body, at}]}) for offline backfill
+//        `at` (unix seconds, default now) must lie within raw retention and at most 5 minutes ahead
 //   Both endpoints require x-user-key to scope data per user.
+//   GET  /api/controls/schema             -> known command types with arg schemas, control state schema
+//   POST /api/controls/commands {commands: [{type, args}], ttl?, playerId?} -> durable queue; macro polls GET /api/controls/commands
+//        and reports back via POST /api/controls/commands/:id/ack; GET /api/controls/commands/history lists them
+//   POST /api/configs {config, key?, name?, description?, tags?} -> create, or save a new version of a config you own
+//   PUT/DELETE /api/configs/:key          -> owner only; GET /api/configs lists your own configs
+//   GET  /api/configs/:key/versions[/:version] -> revision history / one revision with its payload
+//   GET  /api/configs/gallery?q=&tag=&sort=newest|imports&page=&limit= -> public configs (save with public: true)
+//   POST /api/configs/:key/fork           -> copy a public config into your own, linked to the original
+//   GET  /api/configs/:key/diff/:otherKey?version=&otherVersion= | /api/configs/:key/versions/:from/diff/:to
+//   POST /api/configs/:key/merge {from, fromVersion?, base?, prefer?, dryRun?} -> three-way merge onto your config
+//   GET  /api/leaderboard?period=24h|7d|all&by=gained|current -> ranked players (viewer key);
+//        PUT /api/leaderboard/opt-out {optOut} hides your players
+//   GET/POST /api/alerts/rules, DELETE /api/alerts/rules/:id, GET /api/alerts/types -> alert rules
+//        ({type, params, webhook, playerId?}) checked on ingest and every minute; GET /api/alerts/history
+//        Webhooks to local/private addresses are refused unless their host is in WEBHOOK_ALLOWED_HOSTS
+//   WS   /api/live                        -> pushes new samples, control state changes and player online/offline
 // Auth:
+//   Per-user tokens (POST/GET /api/tokens, DELETE /api/tokens/:id) sent as Authorization: Bearer <token>
+//   with scopes ingest | read | control | viewer. The first token of a user is minted with
+//   x-admin-key (ADMIN_KEY) + x-user-key. With ALLOW_SHARED_KEYS=true requests without a token
+//   may use the shared keys instead, which trust x-user-key as sent:
 //   Read (GET):   x-client-key must match CLIENT_KEY (if set) AND x-user-key present
 //   Write (POST): x-api-key must match API_KEY (required) AND x-user-key present
+//   README.md describes moving existing clients from the shared keys to tokens.
+// Rate limits:
+//   Token buckets per IP and per user for ingest, read, config-write and control routes
+//   (RATE_LIMIT_<CLASS>_<IP|USER>=<requests>/<seconds>); over the limit -> 429 with Retry-After.
+//   RATE_LIMIT_STORE=db shares the buckets between instances. JSON bodies are capped at
+//   JSON_BODY_LIMIT (32kb), batch ingest at 2mb and configs at 320kb.
+// Observability:
+//   GET /metrics serves Prometheus text with Authorization: Bearer <METRICS_TOKEN>; without
+//   METRICS_TOKEN it is disabled (404) unless METRICS_PUBLIC=true opens it to anyone.
+//   Logs are JSON lines filtered by LOG_LEVEL (debug | info | warn | error); every response
+//   carries an X-Request-Id (the caller's, if sane) that the lines logged for it repeat.
 //
 // Persistence:
-//   Uses MySQL when configured (recommended). Falls back to in-memory buckets if MySQL env is not set.
+//   STORAGE_BACKEND picks mysql | postgres | sqlite | memory. Without it MySQL is used when its env
+//   vars are set (recommended), in-memory buckets otherwise. Postgres reads DATABASE_URL (or the PG*
+//   vars), SQLite SQLITE_PATH (default data/bee-stats.sqlite); every SQL backend creates the same tables.
+//   Samples, users, sessions, configs and controls go through `storage` (see defineStorage), one
+//   memory and one SQL implementation per domain; the memory one also serves database outages.
+//   The schema is built by the versioned migrations in migrations/, applied on startup; `npm run migrate`
+//   reports the schema version and applies or reverts migrations by hand.
+//   In memory mode MEMORY_DATA_DIR keeps the buckets on disk (write-ahead log plus periodic snapshots).
+//   Raw samples older than RAW_RETENTION_DAYS (30) are compacted into hourly rollups, and hourly
+//   rollups older than HOURLY_RETENTION_DAYS (365) into daily ones; /api/stats reads across all tiers.
 
 const express = require("express");
 const cors = require("cors");
-const mysql = require("mysql2/promise");
+const { resolveStorageConfig, createDb, dialectFor } = require("./storage");
+const { migrateUp } = require("./storage/migrations");
+const moment = require("moment-timezone");
 const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { pipeline } = require("stream/promises");
+const http = require("http");
+const https = require("https");
+const dns = require("dns");
+const net = require("net");
+const { WebSocket, WebSocketServer } = require("ws");
+const { AsyncLocalStorage } = require("async_hooks");
 
 const PORT = process.env.PORT || 3000;
 const API_KEY = process.env.API_KEY || "replace-this-api-key";          // used by your script to push samples
@@ -21,12 +96,19 @@ const CLIENT_KEY = process.env.CLIENT_KEY || "replace-this-client-key"; // used
 
 const app = express();
 app.use(cors());
-app.use(express.json({ limit: "256kb" }));
+
+// Async route handlers: a rejection goes to the error handler (500) instead of leaving the
+// request unanswered. Express 4 ignores the promise a handler returns.
+const asyncRoute = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
 
 // In-memory stores keyed by userKey:
-// samples: { honey: [{t,v}], pollen: [{t,v}], backpack: [{t,v}], nectar: {Type:[{t,v}]}, currentHoney: 0 }
+// samples: { players: { [playerId]: { honey: [{t,v}], pollen: [{t,v}], backpack: [{t,v}], nectar: {Type:[{t,v}]},
+//            metrics: {name:[{t,v}]}, buffs: [{t,name,stacks,remaining}], tokens: [{t,type,count}],
+//            activity: [{t,activity,field,lastT}] } }, currentHoney: 0 }   (playerId 0 holds samples without a session)
 // controlStates: { state, at }
-// controlCommands: [ {command, at} ]
+// controlCommands: [ {id, playerId, command, status, createdAt, expiresAt, deliveredAt, ackedAt, attempts, result} ]
 const samples = {};
 const controlStates = {};
 const controlCommands = {};
@@ -51,9 +133,15 @@ const createEmptyNectarBucket = () => {
   return obj;
 };
 
-const cachePublicMapping = (publicId, userKey, username) => {
+// Session public ids also remember their playerId so stats can be narrowed to that session.
+const cachePublicMapping = (publicId, userKey, username, playerId) => {
   if (!publicId || !userKey) return;
-  publicIdToUserKey[publicId] = { userKey, username: username || null };
+  const known = publicIdToUserKey[publicId];
+  publicIdToUserKey[publicId] = {
+    userKey,
+    username: username || null,
+    playerId: playerId || (known && known.playerId) || null
+  };
 };
 
 const normalizePlayerId = (value) => {
@@ -85,7 +173,7 @@ const recordMemorySession = (userKey, playerId, username, lastSeen, currentHoney
     currentHoney: currentHoney || 0,
     publicId
   };
-  cachePublicMapping(publicId, userKey, username);
+  cachePublicMapping(publicId, userKey, username, playerId);
 };
 
 const deriveSessionPlayerId = (userKey, rawPlayerId, username) => {
@@ -97,104 +185,89 @@ const deriveSessionPlayerId = (userKey, rawPlayerId, username) => {
   return hash.readUInt32BE(0);
 };
 
-async function recordDbSession(userKey, playerId, username, lastSeen, currentHoney) {
-  if (!USE_DB || !dbPool || !userKey || !playerId) return;
+async function recordDbSession(conn, userKey, playerId, username, lastSeen, currentHoney) {
+  if (!userKey || !playerId) return;
   const publicId = getSessionPublicId(userKey, playerId);
-  try {
-    await dbPool.query(
-      `
-        INSERT INTO ${PLAYER_SESSIONS_TABLE} (session_public_id, user_key, player_id, username, last_seen, current_honey)
-        VALUES (?, ?, ?, ?, ?, ?)
-        ON DUPLICATE KEY UPDATE
-          username = COALESCE(VALUES(username), username),
-          last_seen = VALUES(last_seen),
-          current_honey = COALESCE(VALUES(current_honey), current_honey)
-      `,
-      [publicId, userKey, playerId, username || null, lastSeen, typeof currentHoney === "number" ? currentHoney : null]
-    );
-    cachePublicMapping(publicId, userKey, username);
-  } catch (err) {
-    console.error("Failed to upsert player session:", err);
-  }
+  await conn.query(
+    `
+      INSERT INTO ${PLAYER_SESSIONS_TABLE} (session_public_id, user_key, player_id, username, last_seen, current_honey)
+      VALUES (?, ?, ?, ?, ?, ?)
+      ${dialect.upsert("session_public_id")}
+        username = COALESCE(${dialect.excluded("username")}, ${PLAYER_SESSIONS_TABLE}.username),
+        current_honey = CASE
+          WHEN ${dialect.excluded("last_seen")} >= ${PLAYER_SESSIONS_TABLE}.last_seen
+          THEN COALESCE(${dialect.excluded("current_honey")}, ${PLAYER_SESSIONS_TABLE}.current_honey)
+          ELSE ${PLAYER_SESSIONS_TABLE}.current_honey
+        END,
+        last_seen = ${dialect.greatest}(${PLAYER_SESSIONS_TABLE}.last_seen, ${dialect.excluded("last_seen")})
+    `,
+    [publicId, userKey, playerId, username || null, lastSeen, typeof currentHoney === "number" ? currentHoney : null]
+  );
+  cachePublicMapping(publicId, userKey, username, playerId);
 }
 
-// MySQL config (set these env vars on Railway to enable DB mode)
-const MYSQL_HOST = process.env.MYSQL_HOST || process.env.MYSQLHOST;
-const MYSQL_USER = process.env.MYSQL_USER || process.env.MYSQLUSER;
-const MYSQL_PASSWORD = process.env.MYSQL_PASSWORD || process.env.MYSQLPASSWORD;
-const MYSQL_DATABASE = process.env.MYSQL_DATABASE || process.env.MYSQLDATABASE;
-const USE_DB = !!(MYSQL_HOST && MYSQL_USER && MYSQL_PASSWORD && MYSQL_DATABASE);
+// Storage backend (see storage/index.js): STORAGE_BACKEND=mysql|postgres|sqlite|memory, or
+// MySQL whenever its env vars are set (as on Railway). Responses report the backend as `mode`.
+const STORAGE = resolveStorageConfig(process.env);
+const STORAGE_BACKEND = STORAGE.backend;
+const USE_DB = STORAGE_BACKEND !== "memory";
+const dialect = dialectFor(STORAGE_BACKEND);
 const CONFIG_TABLE = "configs";
+const CONFIG_VERSIONS_TABLE = "config_versions";
+const COMMANDS_TABLE = "control_commands";
+const CONTROL_STATES_TABLE = "control_states";
 const ONLINE_TIMEOUT = 120; // seconds to consider player online
 const PLAYER_SESSIONS_TABLE = "player_sessions";
-let dbPool = null;
+// Retention: raw samples are kept for RAW_RETENTION_DAYS, then compacted into hourly
+// rollups, which are compacted into daily rollups after HOURLY_RETENTION_DAYS.
+const RAW_RETENTION_SEC = (Number(process.env.RAW_RETENTION_DAYS) || 30) * 86400;
+const HOURLY_RETENTION_SEC = (Number(process.env.HOURLY_RETENTION_DAYS) || 365) * 86400;
+const RETENTION_INTERVAL = 15 * 60 * 1000; // compaction sweep
+const ROLLUP_TIERS = [
+  { name: "hour", width: 3600, table: "samples_hourly" },
+  { name: "day", width: 86400, table: "samples_daily" }
+];
+let db = null;
+
+// Domain storage. Routes reach samples, users, sessions, configs, controls and metric
+// definitions through storage.<domain>.<method>(...args), which resolves to { result, mode }.
+// Each domain is defined once with a memory implementation and a SQL one (queries through
+// `db` in the selected dialect). Memory mode only runs the first; the SQL backends run the
+// second and hand the call to the memory one when it throws (mode "memory-fallback"), logged
+// with the method's failure message, or to the domain's `fallback` implementation of the
+// method where memory alone cannot answer safely. Methods without a failure message let the
+// error through.
+// Aggregate reads (stats buckets and rollups, leaderboards, exports, buffs, timelines) and
+// tokens, alerts, rate limits and metric registry reloads still query `db` themselves.
+const storage = {};
+const defineStorage = (domain, { memory, sql, fallback = {}, failures = {} }) => {
+  storage[domain] = {};
+  Object.keys(memory).forEach((method) => {
+    storage[domain][method] = async (...args) => {
+      if (!USE_DB) return { result: await memory[method](...args), mode: "memory" };
+      try {
+        return { result: await sql[method](...args), mode: STORAGE_BACKEND };
+      } catch (err) {
+        if (!failures[method]) throw err;
+        logFallback(failures[method], err);
+        return { result: await (fallback[method] || memory[method])(...args), mode: "memory-fallback" };
+      }
+    };
+  });
+};
 
+// Tables come from the versioned migrations in migrations/ (see storage/migrations.js);
+// pending ones are applied here, and a partially applied one stops the server from starting.
 async function initDb() {
   if (!USE_DB) return;
-  dbPool = mysql.createPool({
-    host: MYSQL_HOST,
-    user: MYSQL_USER,
-    password: MYSQL_PASSWORD,
-    database: MYSQL_DATABASE,
-    connectionLimit: 5
-  });
-  await dbPool.query(`
-    CREATE TABLE IF NOT EXISTS users (
-      user_key VARCHAR(128) PRIMARY KEY,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB;
-  `);
-  const addColumn = async (sql) => {
-    try { await dbPool.query(sql); } catch (e) { if (e && e.code !== "ER_DUP_FIELDNAME") throw e; }
-  };
-  await addColumn(`ALTER TABLE users ADD COLUMN total_honey BIGINT DEFAULT 0`);
-  await addColumn(`ALTER TABLE users ADD COLUMN last_activity INT DEFAULT 0`);
-  await addColumn(`ALTER TABLE users ADD COLUMN current_honey BIGINT DEFAULT 0`);
-  await addColumn(`ALTER TABLE users ADD COLUMN username VARCHAR(64) DEFAULT NULL`);
-  await addColumn(`ALTER TABLE users ADD COLUMN public_id VARCHAR(32) UNIQUE`);
-  await dbPool.query(`
-    CREATE TABLE IF NOT EXISTS samples (
-      id BIGINT AUTO_INCREMENT PRIMARY KEY,
-      user_key VARCHAR(128) NOT NULL,
-      metric ENUM(${ALL_METRICS.map((m) => `'${m}'`).join(",")}) NOT NULL,
-      t INT NOT NULL,
-      v DOUBLE NOT NULL,
-      INDEX idx_user_time (user_key, t),
-      FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE
-    ) ENGINE=InnoDB;
-  `);
-  // Ensure ENUM includes 'backpack' even if table already existed
-  try {
-    await dbPool.query(`ALTER TABLE samples MODIFY COLUMN metric ENUM(${ALL_METRICS.map((m) => `'${m}'`).join(",")}) NOT NULL`);
-  } catch (e) {
-    // ignore; column may already be in desired shape
-  }
-  // tokens/buffs tables omitted (feature removed)
-  await dbPool.query(`
-    CREATE TABLE IF NOT EXISTS ${CONFIG_TABLE} (
-      config_key VARCHAR(64) PRIMARY KEY,
-      user_key VARCHAR(128) NOT NULL,
-      payload JSON NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB;
-  `);
-  await dbPool.query(`
-    CREATE TABLE IF NOT EXISTS ${PLAYER_SESSIONS_TABLE} (
-      session_public_id VARCHAR(32) PRIMARY KEY,
-      user_key VARCHAR(128) NOT NULL,
-      player_id BIGINT NOT NULL,
-      username VARCHAR(64),
-      last_seen INT DEFAULT 0,
-      current_honey BIGINT DEFAULT 0,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE KEY uniq_user_player (user_key, player_id),
-      FOREIGN KEY (user_key) REFERENCES users(user_key) ON DELETE CASCADE
-    ) ENGINE=InnoDB;
-  `);
+  db = instrumentDb(createDb(STORAGE));
+  const applied = await migrateUp(db);
+  applied.forEach((label) => log.info(`Applied migration ${label}`));
 }
 
 // Helpers
 const nowSec = () => Math.floor(Date.now() / 1000);
+const MAX_RANGE_SEC = 86400 * 3650; // older data is served from the rollup tiers
 const toSeconds = (period) => {
   if (!period) return 86400; // default 24h
   const m = /^(\d+)([smhd])$/.exec(period);
@@ -202,30 +275,280 @@ const toSeconds = (period) => {
   const n = Number(m[1]);
   const unit = m[2];
   switch (unit) {
-    case "s": return Math.min(n, 86400 * 30);
-    case "m": return Math.min(n * 60, 86400 * 30);
-    case "h": return Math.min(n * 3600, 86400 * 30);
-    case "d": return Math.min(n * 86400, 86400 * 30);
+    case "s": return Math.min(n, MAX_RANGE_SEC);
+    case "m": return Math.min(n * 60, MAX_RANGE_SEC);
+    case "h": return Math.min(n * 3600, MAX_RANGE_SEC);
+    case "d": return Math.min(n * 86400, MAX_RANGE_SEC);
     default: return 86400;
   }
 };
 
-const requireReadKey = (req, res, next) => {
-  const userKey = req.header("x-user-key");
-  if (!userKey) return res.status(400).json({ error: "x-user-key required" });
-  if (!CLIENT_KEY || CLIENT_KEY === "replace-this-client-key") {
-    req.userKey = userKey;
-    return next(); // not enforced if left default
+const DURATION_UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+const parseDuration = (value) => {
+  const m = /^(\d+)([smhd])$/.exec(String(value || ""));
+  if (!m || Number(m[1]) <= 0) return null;
+  return Number(m[1]) * DURATION_UNITS[m[2]];
+};
+
+// Accepts unix seconds, unix milliseconds or an ISO 8601 string. Strings without an
+// offset are read in `tz`; a bare date used as `to` means the end of that day.
+const DATE_ONLY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const parseTimestamp = (value, tz, endOfDay) => {
+  if (value === undefined || value === null || value === "") return null;
+  const raw = String(value).trim();
+  if (/^\d+$/.test(raw)) {
+    const n = Number(raw);
+    return n > 1e12 ? Math.floor(n / 1000) : n;
   }
-  const key = req.header("x-client-key");
-  if (key !== CLIENT_KEY) {
-    return res.status(401).json({ error: "unauthorized" });
+  const parsed = moment.tz(raw, moment.ISO_8601, tz);
+  if (!parsed.isValid()) return null;
+  if (endOfDay && DATE_ONLY_REGEX.test(raw)) parsed.endOf("day");
+  return parsed.unix();
+};
+
+// Downsampling: ?resolution=5m picks the bucket width directly, ?maxPoints=500 derives it
+// from the period. Either way a series never exceeds MAX_POINTS_LIMIT buckets.
+const MAX_POINTS_LIMIT = 5000;
+const resolveBucketSeconds = (query, periodSec) => {
+  if (query.resolution !== undefined) {
+    const sec = parseDuration(query.resolution);
+    if (!sec) return { error: "resolution must look like 30s, 5m, 1h or 1d" };
+    return { bucketSec: Math.max(sec, Math.ceil(periodSec / MAX_POINTS_LIMIT)) };
   }
-  req.userKey = userKey;
+  if (query.maxPoints !== undefined) {
+    const n = Number(query.maxPoints);
+    if (!Number.isInteger(n) || n < 1) return { error: "maxPoints must be a positive integer" };
+    return { bucketSec: Math.max(1, Math.ceil(periodSec / Math.min(n, MAX_POINTS_LIMIT))) };
+  }
+  return { bucketSec: 0 };
+};
+
+// Bucket specs shared by the memory and SQL paths: keyOf() maps a sample time to its
+// bucket start, sql is the matching SELECT expression and startOf() reads it back.
+const fixedBuckets = (width) => ({
+  width,
+  keyOf: (t) => Math.floor(t / width) * width,
+  sql: { expr: "FLOOR(t / ?) * ?", params: [width, width] },
+  startOf: (value) => Number(value)
+});
+
+const CALENDAR_LABEL_FORMATS = { day: "YYYY-MM-DD", hour: "YYYY-MM-DD HH:00" };
+const calendarBuckets = (unit, from, to, tz) => {
+  const boundaries = [];
+  const cursor = moment.tz(from * 1000, tz).startOf(unit);
+  while (cursor.unix() <= to && boundaries.length <= MAX_POINTS_LIMIT) {
+    boundaries.push(cursor.unix());
+    cursor.add(1, unit);
+  }
+  return {
+    unit,
+    tz,
+    boundaries,
+    keyOf: (t) => {
+      let lo = 0;
+      let hi = boundaries.length - 1;
+      if (!boundaries.length || t < boundaries[0]) return null;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (boundaries[mid] <= t) lo = mid;
+        else hi = mid - 1;
+      }
+      return boundaries[lo];
+    },
+    // 1-based index of the last boundary <= t (MySQL INTERVAL() and its equivalents).
+    sql: dialect.intervalIndex("t", boundaries),
+    startOf: (value) => boundaries[Number(value) - 1],
+    label: (start) => moment.tz(start * 1000, tz).format(CALENDAR_LABEL_FORMATS[unit])
+  };
+};
+
+// Resolves ?period= or ?from=&to= (plus tz, groupBy, resolution, maxPoints) into
+// { from, to, tz, buckets }. `to` stays null for relative periods so samples stamped
+// slightly ahead of the server clock still show up.
+const parseStatsQuery = (query) => {
+  const tz = query.tz ? String(query.tz) : "UTC";
+  if (!moment.tz.zone(tz)) return { error: "unknown tz" };
+  const now = nowSec();
+  let from;
+  let to = null;
+  if (query.from !== undefined || query.to !== undefined) {
+    to = query.to !== undefined ? parseTimestamp(query.to, tz, true) : now;
+    if (to === null) return { error: "to must be a unix timestamp or ISO date" };
+    from = query.from !== undefined ? parseTimestamp(query.from, tz, false) : to - toSeconds(query.period || "24h");
+    if (from === null) return { error: "from must be a unix timestamp or ISO date" };
+    if (from >= to) return { error: "from must be before to" };
+    if (to - from > MAX_RANGE_SEC) return { error: `range exceeds ${MAX_RANGE_SEC / 86400} days` };
+  } else {
+    from = now - toSeconds(query.period || "24h");
+  }
+  const periodSec = (to === null ? now : to) - from;
+  let buckets = null;
+  if (query.groupBy !== undefined) {
+    if (query.groupBy !== "day" && query.groupBy !== "hour") return { error: "groupBy must be day or hour" };
+    if (query.resolution !== undefined || query.maxPoints !== undefined) {
+      return { error: "groupBy cannot be combined with resolution or maxPoints" };
+    }
+    buckets = calendarBuckets(query.groupBy, from, to === null ? now : to, tz);
+    if (buckets.boundaries.length > MAX_POINTS_LIMIT) return { error: "too many buckets for groupBy" };
+  } else {
+    const bucket = resolveBucketSeconds(query, periodSec);
+    if (bucket.error) return bucket;
+    if (bucket.bucketSec) buckets = fixedBuckets(bucket.bucketSec);
+  }
+  return { from, to, tz, periodSec, buckets };
+};
+
+const clientKeyEnforced = () => !!CLIENT_KEY && CLIENT_KEY !== "replace-this-client-key";
+
+// Per-user API tokens. A token is sent as `Authorization: Bearer <token>` or `x-api-token`
+// and carries its own user, so x-user-key is no longer trusted when one is present.
+// Only the sha256 of a token is stored; the plaintext is returned once, on creation.
+// Shared API_KEY/CLIENT_KEY auth trusts whatever x-user-key is sent, so it is only accepted
+// with ALLOW_SHARED_KEYS=true.
+const TOKEN_TABLE = "api_tokens";
+const TOKEN_SCOPES = ["ingest", "read", "control", "viewer"];
+const ALLOW_SHARED_KEYS = process.env.ALLOW_SHARED_KEYS === "true";
+const ADMIN_KEY = process.env.ADMIN_KEY || null; // mints tokens for any user
+const TOKEN_CACHE_TTL = 30; // seconds a DB token lookup is reused
+const TOKEN_CACHE_MAX = 1000; // tokens kept in tokenCache
+const TOKEN_TOUCH_INTERVAL = 60; // seconds between last_used_at writes per token
+const MAX_TOKENS_PER_USER = 50;
+const apiTokens = {}; // tokenHash -> record (memory mode and DB fallback)
+const tokenCache = new Map(); // tokenHash -> { record, cachedAt } (DB mode), least recently used first
+
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+const generateApiToken = () => `bst_${crypto.randomBytes(24).toString("base64url")}`;
+
+const presentedToken = (req) => {
+  const auth = req.header("authorization");
+  if (auth && /^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, "").trim() || null;
+  return req.header("x-api-token") || null;
+};
+
+const shapeTokenRow = (row) => ({
+  id: row.token_id,
+  userKey: row.user_key,
+  name: row.name || null,
+  scopes: String(row.scopes || "").split(",").filter(Boolean),
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at || null,
+  revokedAt: row.revoked_at || null
+});
+
+// Only found tokens are cached, so random bearer strings cannot fill the cache.
+const cacheToken = (hash, entry) => {
+  tokenCache.delete(hash);
+  tokenCache.set(hash, entry);
+  if (tokenCache.size > TOKEN_CACHE_MAX) tokenCache.delete(tokenCache.keys().next().value);
+};
+
+const publicTokenView = ({ userKey, ...rest }) => rest;
+
+const touchToken = (record) => {
+  const now = nowSec();
+  if (record.lastUsedAt && now - record.lastUsedAt < TOKEN_TOUCH_INTERVAL) return;
+  record.lastUsedAt = now;
+  if (!USE_DB || !db) return;
+  db
+    .query(`UPDATE ${TOKEN_TABLE} SET last_used_at = ? WHERE token_id = ?`, [now, record.id])
+    .catch((err) => log.error("Failed to touch api token", err));
+};
+
+async function resolveToken(token) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  let record = null;
+  if (!USE_DB || !db) {
+    record = apiTokens[hash] || null;
+  } else {
+    const cached = tokenCache.get(hash);
+    if (cached && nowSec() - cached.cachedAt < TOKEN_CACHE_TTL) {
+      record = cached.record;
+      cacheToken(hash, cached);
+    } else {
+      try {
+        const [rows] = await db.query(
+          `SELECT token_id, user_key, name, scopes, created_at, last_used_at, revoked_at FROM ${TOKEN_TABLE} WHERE token_hash = ? LIMIT 1`,
+          [hash]
+        );
+        record = rows && rows[0] ? shapeTokenRow(rows[0]) : apiTokens[hash] || null;
+        if (record) cacheToken(hash, { record, cachedAt: nowSec() });
+        else tokenCache.delete(hash);
+      } catch (err) {
+        logFallback("Failed to look up api token", err);
+        record = apiTokens[hash] || null;
+      }
+    }
+  }
+  if (!record || record.revokedAt) return null;
+  touchToken(record);
+  return record;
+}
+
+// Resolves the caller from a presented token; { none: true } means fall back to shared keys.
+async function resolveTokenAccess(req, scopes) {
+  const token = presentedToken(req);
+  if (!token) return { none: true };
+  const record = await resolveToken(token);
+  if (!record) return { status: 401, error: "invalid token" };
+  if (!scopes.some((scope) => record.scopes.includes(scope))) {
+    return { status: 403, error: `token lacks ${scopes.join(" or ")} scope` };
+  }
+  const headerUser = req.header("x-user-key");
+  if (headerUser && headerUser !== record.userKey) {
+    return { status: 403, error: "token does not belong to x-user-key" };
+  }
+  return { userKey: record.userKey, token: record };
+}
+
+// Wraps a shared-key middleware: a presented token is checked for `scopes` and decides
+// on its own; without one the shared-key middleware runs as before. Either way the user
+// rate limit bucket is taken once auth passes (see limitByUser).
+const tokenGate = (scopes, sharedKeyCheck) => (req, res, next) => {
+  const proceed = () => limitByUser(req, res, next);
+  resolveTokenAccess(req, scopes)
+    .then((access) => {
+      if (access.none) {
+        if (!ALLOW_SHARED_KEYS) return res.status(401).json({ error: "api token required" });
+        return sharedKeyCheck(req, res, proceed);
+      }
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      req.userKey = access.userKey;
+      req.token = access.token;
+      proceed();
+    })
+    .catch((err) => {
+      log.error("Auth failed", err);
+      res.status(500).json({ error: "auth failed" });
+    });
+};
+
+// Shared by the HTTP middleware and the live stream handshake.
+const resolveReadAccess = (userKey, clientKey) => {
+  if (!userKey) return { status: 400, error: "x-user-key required" };
+  if (!clientKeyEnforced()) return { userKey }; // not enforced if left default
+  if (clientKey !== CLIENT_KEY) return { status: 401, error: "unauthorized" };
+  return { userKey };
+};
+
+const resolveViewerAccess = (clientKey) => {
+  if (!clientKeyEnforced()) return { status: 400, error: "viewer disabled" };
+  if (clientKey !== CLIENT_KEY) return { status: 401, error: "unauthorized" };
+  return { viewer: true };
+};
+
+const sharedReadKey = (req, res, next) => {
+  const access = resolveReadAccess(req.header("x-user-key"), req.header("x-client-key"));
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
+  }
+  req.userKey = access.userKey;
   next();
 };
 
-const requireWriteKey = (req, res, next) => {
+const sharedWriteKey = (req, res, next) => {
   const userKey = req.header("x-user-key");
   if (!userKey) return res.status(400).json({ error: "x-user-key required" });
   const key = req.header("x-api-key");
@@ -236,8 +559,10 @@ const requireWriteKey = (req, res, next) => {
   next();
 };
 
-const requireConfigReadKey = (req, res, next) => {
-  if (!CLIENT_KEY || CLIENT_KEY === "replace-this-client-key") {
+// x-user-key is optional here; it only tells the owner's own fetches apart.
+const sharedConfigReadKey = (req, res, next) => {
+  req.userKey = req.header("x-user-key") || undefined;
+  if (!clientKeyEnforced()) {
     return next();
   }
   const key = req.header("x-client-key") || req.header("x-api-key");
@@ -247,17 +572,463 @@ const requireConfigReadKey = (req, res, next) => {
   next();
 };
 
-const requireViewerKey = (req, res, next) => {
-  if (!CLIENT_KEY || CLIENT_KEY === "replace-this-client-key") {
-    return res.status(400).json({ error: "viewer disabled" });
+const sharedViewerKey = (req, res, next) => {
+  const access = resolveViewerAccess(req.header("x-client-key"));
+  if (access.error) {
+    return res.status(access.status).json({ error: access.error });
   }
-  const key = req.header("x-client-key");
-  if (key !== CLIENT_KEY) {
-    return res.status(401).json({ error: "unauthorized" });
+  next();
+};
+
+const requireReadKey = tokenGate(["read"], sharedReadKey);
+const requireWriteKey = tokenGate(["ingest"], sharedWriteKey);
+const requireConfigReadKey = tokenGate(["read", "viewer"], sharedConfigReadKey);
+const requireViewerKey = tokenGate(["viewer"], sharedViewerKey);
+// Control routes: the dashboard side used the read keys, the macro side the write keys.
+const requireControlReadKey = tokenGate(["control"], sharedReadKey);
+const requireControlWriteKey = tokenGate(["control"], sharedWriteKey);
+
+// Token management without a token takes ADMIN_KEY (x-admin-key) + x-user-key, so the first
+// token of a user can be minted; the shared keys never reach it. A token can only mint
+// tokens for its own user with a subset of its own scopes.
+const adminKey = (req, res, next) => {
+  if (!ADMIN_KEY || req.header("x-admin-key") !== ADMIN_KEY) {
+    return res.status(401).json({ error: "api token or admin key required" });
   }
+  const userKey = req.header("x-user-key");
+  if (!userKey) return res.status(400).json({ error: "x-user-key required" });
+  req.userKey = userKey;
   next();
 };
 
+const requireTokenAdmin = (req, res, next) => {
+  const proceed = () => limitByUser(req, res, next);
+  resolveTokenAccess(req, TOKEN_SCOPES)
+    .then((access) => {
+      if (access.none) return adminKey(req, res, proceed);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      req.userKey = access.userKey;
+      req.token = access.token;
+      proceed();
+    })
+    .catch((err) => {
+      log.error("Auth failed", err);
+      res.status(500).json({ error: "auth failed" });
+    });
+};
+
+// Observability. Logs are JSON lines ({time, level, msg, requestId, ...fields, err}) on
+// stdout (stderr for warn/error), filtered by LOG_LEVEL (debug | info | warn | error); every
+// request gets an id (a sane incoming x-request-id or a fresh one), echoed as X-Request-Id
+// and attached to whatever is logged while handling it. LOG_LEVEL=debug adds one line per
+// request.
+// GET /metrics serves Prometheus text: request counts and latency per route, ingested samples
+// per metric, failed DB queries, memory fallbacks, online players and the control queue.
+// It requires `Authorization: Bearer <METRICS_TOKEN>`; with no token configured it answers
+// 404, unless METRICS_PUBLIC=true serves it without auth (for a scraper-only network).
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : "info";
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+const METRICS_PUBLIC = process.env.METRICS_PUBLIC === "true";
+const GAUGE_TTL_MS = 15 * 1000;
+const REQUEST_ID_REGEX = /^[\w.:-]{1,64}$/;
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const requestContext = new AsyncLocalStorage(); // { id, req } of the request being handled
+
+const serializeError = (err) => {
+  if (!(err instanceof Error)) return { message: String(err) };
+  const out = { message: err.message, stack: err.stack };
+  if (err.code) out.code = err.code;
+  return out;
+};
+
+// Route pattern of the current request ("/api/configs/:key"), or null outside one.
+const currentRoute = () => {
+  const context = requestContext.getStore();
+  if (!context) return null;
+  const { req } = context;
+  return req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+};
+
+function writeLog(level, msg, fields, err) {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg };
+  if (context) entry.requestId = context.id;
+  Object.assign(entry, fields);
+  if (err !== undefined) entry.err = serializeError(err);
+  const stream = level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+}
+
+const log = {
+  debug: (msg, fields) => writeLog("debug", msg, fields),
+  info: (msg, fields) => writeLog("info", msg, fields),
+  warn: (msg, err, fields) => writeLog("warn", msg, fields, err),
+  error: (msg, err, fields) => writeLog("error", msg, fields, err)
+};
+
+// Prometheus metrics: counters and histograms hold one series per label set; gauges are
+// collected when /metrics is scraped and reused for GAUGE_TTL_MS, as they query across all
+// users.
+const promMetrics = [];
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n")}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+const defineMetric = (name, type, help, render) => {
+  const metric = { name, type, help, render };
+  promMetrics.push(metric);
+  return metric;
+};
+
+const counter = (name, help) => {
+  const series = new Map();
+  defineMetric(name, "counter", help, () =>
+    Array.from(series.values()).map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+  );
+  return {
+    inc(labels = {}, by = 1) {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { labels, value: 0 });
+      series.get(key).value += by;
+    }
+  };
+};
+
+const histogram = (name, help, buckets) => {
+  const series = new Map();
+  defineMetric(name, "histogram", help, () =>
+    Array.from(series.values()).flatMap(({ labels, counts, sum, count }) => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`),
+      `${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${name}_sum${formatLabels(labels)} ${sum}`,
+      `${name}_count${formatLabels(labels)} ${count}`
+    ])
+  );
+  return {
+    observe(labels, value) {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((le, i) => {
+        if (value <= le) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+    }
+  };
+};
+
+// `collect` resolves to [{ labels, value }]. Scrapes within GAUGE_TTL_MS share one
+// collection; a failed one is not kept.
+const gauge = (name, help, collect) => {
+  const metric = defineMetric(name, "gauge", help, null);
+  let cached = null; // { at, values } with values a promise
+  metric.collect = () => {
+    if (!cached || Date.now() - cached.at >= GAUGE_TTL_MS) {
+      const values = collect();
+      cached = { at: Date.now(), values };
+      values.catch(() => {
+        if (cached && cached.values === values) cached = null;
+      });
+    }
+    return cached.values;
+  };
+};
+
+const httpRequests = counter("bee_http_requests_total", "HTTP requests by method, route and status.");
+const httpDuration = histogram(
+  "bee_http_request_duration_seconds",
+  "HTTP request latency by method and route.",
+  LATENCY_BUCKETS
+);
+const ingestedSamples = counter("bee_ingest_samples_total", "Samples stored by the ingest routes, per metric.");
+const dbQueryFailures = counter("bee_db_query_failures_total", "Database queries that failed.");
+const memoryFallbacks = counter("bee_memory_fallbacks_total", "Requests served from memory because the database failed.");
+gauge("bee_online_players", "Players seen within the online timeout.", async () => [
+  { labels: {}, value: (await storage.sessions.listOnline()).result.length }
+]);
+gauge("bee_control_queue_depth", "Control commands waiting for delivery or ack, by status.", async () => {
+  const depth = await controlQueueDepth();
+  return PENDING_COMMAND_STATUSES.map((status) => ({ labels: { status }, value: depth[status] || 0 }));
+});
+
+async function renderMetrics() {
+  const lines = [];
+  for (const metric of promMetrics) {
+    let rendered;
+    if (metric.collect) {
+      try {
+        rendered = (await metric.collect()).map(({ labels, value }) => `${metric.name}${formatLabels(labels)} ${value}`);
+      } catch (err) {
+        log.error(`Failed to collect ${metric.name}`, err);
+        continue;
+      }
+    } else {
+      rendered = metric.render();
+    }
+    lines.push(`# HELP ${metric.name} ${metric.help}`, `# TYPE ${metric.name} ${metric.type}`, ...rendered);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+const countIngestedRows = (rows) => {
+  rows.forEach(([metric]) => ingestedSamples.inc({ metric }));
+};
+
+// For catch blocks that carry on with the in-memory store.
+const logFallback = (msg, err) => {
+  memoryFallbacks.inc({ route: currentRoute() || "background" });
+  log.error(msg, err, { fallback: "memory" });
+};
+
+// Counts failed queries on the shared driver, inside transactions and in streams.
+const instrumentDb = (driver) => {
+  const counted = (query) => (sql, params) =>
+    query(sql, params).catch((err) => {
+      dbQueryFailures.inc();
+      throw err;
+    });
+  return {
+    ...driver,
+    query: counted(driver.query),
+    transaction: (fn) => driver.transaction((conn) => fn({ ...conn, query: counted(conn.query) })),
+    async *stream(sql, params) {
+      try {
+        yield* driver.stream(sql, params);
+      } catch (err) {
+        dbQueryFailures.inc();
+        throw err;
+      }
+    }
+  };
+};
+
+app.use((req, res, next) => {
+  const incoming = req.header("x-request-id");
+  const context = { id: incoming && REQUEST_ID_REGEX.test(incoming) ? incoming : crypto.randomUUID(), req };
+  req.id = context.id;
+  res.setHeader("X-Request-Id", context.id);
+  const started = process.hrtime.bigint();
+  res.on("finish", () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    requestContext.run(context, () => {
+      log.debug("request", { method: req.method, path: req.path, route, status: res.statusCode, ms: Math.round(seconds * 1000) });
+    });
+  });
+  requestContext.run(context, next);
+});
+
+// Body parsers finish on stream events, outside the request's async context; this puts it back.
+const restoreRequestContext = (req, _res, next) => requestContext.run({ id: req.id, req }, next);
+
+app.get("/metrics", asyncRoute(async (req, res) => {
+  if (!METRICS_TOKEN && !METRICS_PUBLIC) {
+    return res.status(404).json({ error: "metrics disabled" });
+  }
+  if (METRICS_TOKEN && req.header("authorization") !== `Bearer ${METRICS_TOKEN}`) {
+    return res.status(401).json({ error: "unauthorized" });
+  }
+  res.setHeader("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.send(await renderMetrics());
+}));
+
+// Rate limits: token buckets per client IP and per user key, kept separately for four route
+// classes: ingest (ingest, batch, import), read (GETs), config (other writes: configs,
+// metrics, alerts, tokens) and control (/api/controls). RATE_LIMIT_<CLASS>_<IP|USER> is
+// "<requests>/<seconds>", the bucket size and the time it takes to refill, or "off".
+// The IP bucket is taken before the body is parsed; the user bucket once auth is done, keyed
+// on the token's user (requests on the shared keys or ADMIN_KEY, whose x-user-key is not
+// proven, share a user bucket per IP), so a forged x-user-key cannot drain somebody else's
+// or dodge its own. Responses carry
+// X-RateLimit-Limit/-Remaining/-Reset (seconds until full) for the tighter of the two, and a
+// limited request gets 429 with Retry-After.
+// Buckets live in this process unless RATE_LIMIT_STORE=db, which shares them between
+// instances through the rate_limits table (falling back to local buckets when it fails).
+// Behind a load balancer set TRUST_PROXY (Express "trust proxy") so req.ip is the client.
+const RATE_LIMIT_CLASSES = ["ingest", "read", "config", "control"];
+const RATE_LIMIT_DEFAULTS = {
+  ingest: { user: "600/60", ip: "1200/60" },
+  read: { user: "300/60", ip: "600/60" },
+  config: { user: "60/60", ip: "120/60" },
+  control: { user: "300/60", ip: "600/60" }
+};
+const RATE_LIMITS_TABLE = "rate_limits";
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || "memory";
+const RATE_LIMIT_SWEEP_INTERVAL = 5 * 60 * 1000;
+const INGEST_PATHS = ["/api/ingest", "/api/ingest/batch", "/api/stats/import"];
+const rateBuckets = {}; // `${scope}:${class}:${id}` -> { tokens, at, fullAt } (seconds)
+
+if (!["memory", "db"].includes(RATE_LIMIT_STORE)) {
+  throw new Error("RATE_LIMIT_STORE must be memory or db");
+}
+
+const parseRateLimit = (name, value) => {
+  if (value === "off") return null;
+  const m = /^(\d+)\/(\d+)$/.exec(value);
+  if (!m || Number(m[1]) < 1 || Number(m[2]) < 1) {
+    throw new Error(`${name} must be <requests>/<seconds> or off`);
+  }
+  return { capacity: Number(m[1]), windowSec: Number(m[2]), perSec: Number(m[1]) / Number(m[2]) };
+};
+
+const RATE_LIMITS = {};
+RATE_LIMIT_CLASSES.forEach((cls) => {
+  RATE_LIMITS[cls] = {};
+  ["ip", "user"].forEach((scope) => {
+    const name = `RATE_LIMIT_${cls.toUpperCase()}_${scope.toUpperCase()}`;
+    RATE_LIMITS[cls][scope] = parseRateLimit(name, process.env[name] || RATE_LIMIT_DEFAULTS[cls][scope]);
+  });
+});
+// A bucket left alone this long is full again and can be forgotten.
+const RATE_LIMIT_IDLE_SEC = Math.max(
+  ...RATE_LIMIT_CLASSES.flatMap((cls) => Object.values(RATE_LIMITS[cls]).map((limit) => (limit ? limit.windowSec : 0)))
+);
+
+if (process.env.TRUST_PROXY) {
+  const trust = process.env.TRUST_PROXY;
+  app.set("trust proxy", trust === "true" ? true : /^\d+$/.test(trust) ? Number(trust) : trust);
+}
+
+const rateLimitClass = (req) => {
+  if (req.method === "OPTIONS" || !req.path.startsWith("/api/")) return null;
+  if (req.path.startsWith("/api/controls/")) return "control";
+  if (req.method === "POST" && INGEST_PATHS.includes(req.path)) return "ingest";
+  return req.method === "GET" || req.method === "HEAD" ? "read" : "config";
+};
+
+// The outcome of a take that left `left` tokens in the bucket.
+const tokenResult = (left, allowed, limit, now) => {
+  const reset = Math.ceil((limit.capacity - left) / limit.perSec);
+  return {
+    bucket: { tokens: left, at: now, fullAt: now + reset },
+    allowed,
+    limit: limit.capacity,
+    remaining: Math.floor(left),
+    reset,
+    retryAfter: allowed ? 0 : Math.ceil((1 - left) / limit.perSec)
+  };
+};
+
+// Refills the bucket for the time since its last use, then takes a token if a whole one is left.
+const takeToken = (bucket, limit, now) => {
+  const tokens = bucket ? Math.min(limit.capacity, bucket.tokens + (now - bucket.at) * limit.perSec) : limit.capacity;
+  const allowed = tokens >= 1;
+  return tokenResult(allowed ? tokens - 1 : tokens, allowed, limit, now);
+};
+
+const takeMemoryToken = (key, limit, now) => {
+  const result = takeToken(rateBuckets[key], limit, now);
+  rateBuckets[key] = result.bucket;
+  return result;
+};
+
+// takeToken as one upsert, without a transaction: the refill and the take happen in SQL on
+// the row, which also records whether a whole token was left (`granted`). Postgres and SQLite
+// hand the row back with RETURNING. MySQL has none, so there the refill is passed out through
+// LAST_INSERT_ID(expr) (in thousandths, plus one; a fresh row leaves it at 0). MySQL applies
+// the assignments in order, each seeing the ones before it, so tokens and updated_at go last.
+async function takeDbToken(key, limit, now) {
+  const t = RATE_LIMITS_TABLE;
+  const refill = `${dialect.least}(?, ${t}.tokens + (? - ${t}.updated_at) * ?)`;
+  const refillParams = [limit.capacity, now, limit.perSec];
+  const granted = dialect.returning
+    ? `CASE WHEN ${refill} >= 1 THEN 1 ELSE 0 END`
+    : `CASE WHEN LAST_INSERT_ID(FLOOR(GREATEST(${refill}, 0) * 1000) + 1) > 1000 THEN 1 ELSE 0 END`;
+  const [result] = await db.query(
+    `
+      INSERT INTO ${t} (bucket_key, tokens, updated_at, granted) VALUES (?, ?, ?, 1)
+      ${dialect.upsert("bucket_key")}
+        granted = ${granted},
+        tokens = CASE WHEN ${refill} >= 1 THEN ${refill} - 1 ELSE ${refill} END,
+        updated_at = ?
+      ${dialect.returning ? dialect.returning("tokens, granted") : ""}
+    `,
+    [key, limit.capacity - 1, now, ...refillParams, ...refillParams, ...refillParams, ...refillParams, now]
+  );
+  if (dialect.returning) {
+    return tokenResult(Number(result[0].tokens), Boolean(Number(result[0].granted)), limit, now);
+  }
+  const tokens = result.insertId ? (Number(result.insertId) - 1) / 1000 : limit.capacity;
+  return tokenResult(tokens >= 1 ? tokens - 1 : tokens, tokens >= 1, limit, now);
+}
+
+async function takeRateToken(key, limit) {
+  const now = Date.now() / 1000;
+  if (RATE_LIMIT_STORE !== "db" || !USE_DB || !db) return takeMemoryToken(key, limit, now);
+  try {
+    return await takeDbToken(key, limit, now);
+  } catch (err) {
+    logFallback("Rate limit store failed, using local buckets", err);
+    return takeMemoryToken(key, limit, now);
+  }
+}
+
+const rateLimiter = (scope, idOf) => (req, res, next) => {
+  const cls = rateLimitClass(req);
+  const limit = cls && RATE_LIMITS[cls][scope];
+  const id = limit && idOf(req);
+  if (!id) return next();
+  takeRateToken(`${scope}:${cls}:${id}`, limit)
+    .catch((err) => {
+      log.error("Rate limit check failed, letting the request through", err);
+      return null;
+    })
+    .then((result) => {
+      if (!result) return next();
+      const shown = res.getHeader("X-RateLimit-Remaining");
+      if (shown === undefined || result.remaining < Number(shown)) {
+        res.setHeader("X-RateLimit-Limit", String(result.limit));
+        res.setHeader("X-RateLimit-Remaining", String(result.remaining));
+        res.setHeader("X-RateLimit-Reset", String(result.reset));
+      }
+      if (result.allowed) return next();
+      res.setHeader("Retry-After", String(result.retryAfter));
+      res.status(429).json({ error: "rate limit exceeded", scope, retryAfter: result.retryAfter });
+    });
+};
+
+const limitByIp = rateLimiter("ip", (req) => req.ip);
+// Shared keys take x-user-key on trust, so those requests are bucketed by IP instead.
+const limitByUser = rateLimiter("user", (req) => (req.token ? req.userKey : `ip:${req.ip}`));
+
+function sweepRateLimits() {
+  const now = Date.now() / 1000;
+  Object.entries(rateBuckets).forEach(([key, bucket]) => {
+    if (bucket.fullAt <= now) delete rateBuckets[key];
+  });
+  if (RATE_LIMIT_STORE !== "db" || !USE_DB || !db) return;
+  db.query(`DELETE FROM ${RATE_LIMITS_TABLE} WHERE updated_at < ?`, [now - RATE_LIMIT_IDLE_SEC]).catch((err) => {
+    log.error("Failed to prune rate limit buckets", err);
+  });
+}
+
+// Request bodies: JSON_BODY_LIMIT unless the route needs more. Batch ingest carries up to
+// MAX_BATCH_SAMPLES samples and configs a CONFIG_JSON_LIMIT payload plus its metadata; the
+// import route parses its own text body (IMPORT_BODY_LIMIT).
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "32kb";
+const JSON_BODY_LIMITS = {
+  "/api/ingest/batch": "2mb",
+  "/api/configs": "320kb"
+};
+
+app.use(limitByIp);
+Object.entries(JSON_BODY_LIMITS).forEach(([route, limit]) => app.use(route, express.json({ limit })));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(restoreRequestContext);
+
 const CONFIG_JSON_LIMIT = 256 * 1024; // bytes
 const configKeyRegex = /^[A-Z0-9\[\]-]{10,32}$/;
 const KEY_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789[]";
@@ -287,20 +1058,13 @@ const getPublicId = (userKey) => {
 function getBucket(userKey) {
   if (!samples[userKey]) {
     samples[userKey] = {
-      honey: [],
-      pollen: [],
-      backpack: [],
-      nectar: createEmptyNectarBucket(),
+      players: {},
       currentHoney: 0,
-      lastCapacity: 0,
       username: null,
       publicId: getPublicId(userKey),
       lastSeen: 0
     };
   }
-  if (!samples[userKey].nectar) {
-    samples[userKey].nectar = createEmptyNectarBucket();
-  }
   if (!samples[userKey].publicId) {
     samples[userKey].publicId = getPublicId(userKey);
   }
@@ -308,6 +1072,26 @@ function getBucket(userKey) {
   return samples[userKey];
 }
 
+// Series of one session within a user bucket; playerId 0 (or none) is the untagged player.
+const getPlayerSeries = (bucket, playerId) => {
+  const key = playerId || 0;
+  if (!bucket.players[key]) {
+    bucket.players[key] = {
+      honey: [],
+      pollen: [],
+      backpack: [],
+      nectar: createEmptyNectarBucket(),
+      metrics: {},
+      buffs: [],
+      tokens: [],
+      activity: [],
+      lastCapacity: 0,
+      capacityAt: 0
+    };
+  }
+  return bucket.players[key];
+};
+
 const shapeBackpackEntries = (entries) => {
   return entries.map((entry) => {
     const pct =
@@ -320,559 +1104,5363 @@ const shapeBackpackEntries = (entries) => {
   });
 };
 
+// Both lists are sorted by t; each backpack point takes the latest capacity at or before it.
 const mergeBackpackSeries = (backpackEntries, capacityEntries) => {
-  const capacityByTime = new Map();
-  let lastCap = 0;
-  capacityEntries.forEach((entry) => {
-    capacityByTime.set(entry.t, entry.v);
-  });
+  let c = 0;
+  let cap = 0;
   return backpackEntries.map((entry) => {
-    const cap = capacityByTime.get(entry.t) ?? lastCap;
-    if (cap && cap > 0) {
-      lastCap = cap;
+    while (c < capacityEntries.length && capacityEntries[c].t <= entry.t) {
+      cap = capacityEntries[c].v;
+      c += 1;
     }
-    const pct = cap && cap > 0 ? clampPercent((entry.v / cap) * 100) : 0;
+    const pct = cap > 0 ? clampPercent((entry.v / cap) * 100) : 0;
     return { t: entry.t, v: entry.v, pct };
   });
 };
 
-function collectMemoryStats(userKey, cutoff) {
-  const bucket = getBucket(userKey);
-  cachePublicMapping(bucket.publicId, userKey, bucket.username);
-  const honey = bucket.honey.filter((p) => p.t >= cutoff);
-  const pollen = bucket.pollen.filter((p) => p.t >= cutoff);
-  const backpack = shapeBackpackEntries(bucket.backpack.filter((p) => p.t >= cutoff));
-  const nectar = {};
-  NECTAR_TYPES.forEach((type) => {
-    nectar[type] = (bucket.nectar[type] || []).filter((p) => p.t >= cutoff);
-  });
-  return {
-    honey,
-    pollen,
-    backpack,
-    nectar,
-    currentHoney: bucket.currentHoney || 0,
-    player: {
-      username: bucket.username || "Player",
-      id: bucket.publicId
-    }
-  };
-}
+// Partials are the mergeable form of a bucket: raw points, rollup rows and downsampled
+// buckets all reduce to { t, min, max, sum, n, last, lastT, pct }. `pct` holds the same
+// stats for backpack fill percent and is null for every other metric.
+const pointPartial = (p) => ({
+  t: p.t,
+  min: p.v,
+  max: p.v,
+  sum: p.v,
+  n: 1,
+  last: p.v,
+  lastT: p.t,
+  pct: typeof p.pct === "number" && isFinite(p.pct)
+    ? { min: p.pct, max: p.pct, sum: p.pct, n: 1, last: p.pct }
+    : null
+});
 
-async function collectDbStats(userKey, cutoff) {
-  const [rows] = await dbPool.query(
-    "SELECT metric, t, v FROM samples WHERE user_key = ? AND t >= ? ORDER BY t ASC",
-    [userKey, cutoff]
-  );
-  const honey = [];
-  const pollen = [];
-  const backpackRaw = [];
-  const capacityEntries = [];
-  const nectar = {};
-  NECTAR_TYPES.forEach((type) => {
-    nectar[type] = [];
-  });
-  for (const row of rows) {
-    if (row.metric === "honey") honey.push({ t: row.t, v: row.v });
-    else if (row.metric === "pollen") pollen.push({ t: row.t, v: row.v });
-    else if (row.metric === "backpack") backpackRaw.push({ t: row.t, v: row.v });
-    else if (row.metric === "backpack_capacity") capacityEntries.push({ t: row.t, v: row.v });
-    else {
-      const nectarType = nectarTypeFromMetric(row.metric);
-      if (nectarType) {
-        nectar[nectarType].push({ t: row.t, v: row.v });
-      }
+const copyPartial = (partial, t) => ({ ...partial, t, pct: partial.pct ? { ...partial.pct } : null });
+
+const mergePartial = (into, from) => {
+  const newer = from.lastT >= into.lastT;
+  into.min = Math.min(into.min, from.min);
+  into.max = Math.max(into.max, from.max);
+  into.sum += from.sum;
+  into.n += from.n;
+  if (newer) {
+    into.last = from.last;
+    into.lastT = from.lastT;
+  }
+  if (from.pct) {
+    if (!into.pct) {
+      into.pct = { ...from.pct };
+    } else {
+      into.pct.min = Math.min(into.pct.min, from.pct.min);
+      into.pct.max = Math.max(into.pct.max, from.pct.max);
+      into.pct.sum += from.pct.sum;
+      into.pct.n += from.pct.n;
+      if (newer) into.pct.last = from.pct.last;
     }
   }
-  const backpack = mergeBackpackSeries(backpackRaw, capacityEntries);
-  const [userRows] = await dbPool.query(
-    "SELECT current_honey, username, public_id FROM users WHERE user_key = ? LIMIT 1",
-    [userKey]
-  );
-  const info = userRows && userRows[0] ? userRows[0] : {};
-  const resolvedPublicId = info.public_id || getPublicId(userKey);
-  cachePublicMapping(resolvedPublicId, userKey, info.username);
+  return into;
+};
+
+// Buckets carry min/max/avg/last of the series value; `v` mirrors `last` so charts and
+// delta math written against raw points keep working. Backpack buckets aggregate pct
+// instead, with `v` the raw backpack value of the last sample.
+const finalizePartial = (partial, metric) => {
+  if (metric === "backpack") {
+    const pct = partial.pct;
+    return {
+      t: partial.t,
+      v: partial.last,
+      pct: pct ? pct.last : null,
+      min: pct ? pct.min : null,
+      max: pct ? pct.max : null,
+      avg: pct ? pct.sum / pct.n : null,
+      last: pct ? pct.last : null,
+      n: partial.n
+    };
+  }
   return {
-    honey,
-    pollen,
-    backpack,
-    nectar,
-    currentHoney: info.current_honey || 0,
-    player: {
-      username: info.username || "Player",
-      id: resolvedPublicId
-    }
+    t: partial.t,
+    v: partial.last,
+    min: partial.min,
+    max: partial.max,
+    avg: partial.sum / partial.n,
+    last: partial.last,
+    n: partial.n
   };
+};
+
+const bucketPartials = (partials, buckets) => {
+  const grouped = new Map();
+  partials.forEach((partial) => {
+    const start = buckets.keyOf(partial.t);
+    if (start === null || start === undefined) return;
+    const existing = grouped.get(start);
+    if (existing) mergePartial(existing, partial);
+    else grouped.set(start, copyPartial(partial, start));
+  });
+  return Array.from(grouped.values()).sort((x, y) => x.t - y.t);
+};
+
+// Raw points of a series plus rollup partials become either downsampled buckets or, without
+// a bucket spec, the raw points with one summarized point per rollup row in front of them.
+const assembleSeries = (metric, rawPoints, rollupPartials, buckets) => {
+  if (buckets) {
+    return bucketPartials([...rollupPartials, ...rawPoints.map(pointPartial)], buckets)
+      .map((partial) => finalizePartial(partial, metric));
+  }
+  if (!rollupPartials.length) return rawPoints;
+  return [...rollupPartials.map((partial) => finalizePartial(partial, metric)), ...rawPoints]
+    .sort((x, y) => x.t - y.t);
+};
+
+const emptySeries = () => ({ honey: [], pollen: [], backpack: [], nectar: createEmptyNectarBucket(), metrics: {} });
+
+// Routes a metric name to its slot in a { honey, pollen, backpack, nectar, metrics } shape;
+// registered metrics live under `metrics`.
+const seriesSlot = (series, metric) => {
+  if (metric === "honey" || metric === "pollen" || metric === "backpack") {
+    return { get: () => series[metric], set: (value) => { series[metric] = value; } };
+  }
+  const nectarType = nectarTypeFromMetric(metric);
+  if (nectarType) {
+    return { get: () => series.nectar[nectarType], set: (value) => { series.nectar[nectarType] = value; } };
+  }
+  if (!isRegisteredMetricName(metric)) return null;
+  return { get: () => series.metrics[metric] || [], set: (value) => { series.metrics[metric] = value; } };
+};
+
+const SERIES_METRICS = ["honey", "pollen", "backpack", ...NECTAR_METRICS];
+
+// The built-in series plus every registered metric that appears in one of `names`.
+const seriesMetricsWith = (names) =>
+  [...SERIES_METRICS, ...new Set(names)].filter((metric, index, all) =>
+    all.indexOf(metric) === index && (index < SERIES_METRICS.length || isRegisteredMetricName(metric)));
+
+// Per-user totals combine the series of every player at each timestamp any of them has a
+// point. A player contributes its point at that t, else its latest earlier one; before its
+// first point it does not count. Untagged (player 0) points are what the user key recorded
+// before samples carried a playerId, so they stop counting where the first tagged point of
+// the metric starts. Honey, pollen and raw backpack values are summed; backpack pct and
+// nectar are averaged. Carried points only contribute their last value, and `n` counts
+// samples that really fall in the bucket.
+const SUMMED_METRICS = new Set(["honey", "pollen", "backpack"]);
+const isSummedMetric = (metric) => SUMMED_METRICS.has(metric) || metricKind(metric) === "counter";
+
+const combineValues = (values, summed) => {
+  const present = values.filter((value) => typeof value === "number" && isFinite(value));
+  if (!present.length) return null;
+  const total = present.reduce((sum, value) => sum + value, 0);
+  return summed ? total : total / present.length;
+};
+
+// `lists` holds one { legacy, points } per player; legacy marks player 0.
+const combinePlayerPoints = (metric, lists, bucketed) => {
+  const active = lists.filter(({ points }) => points && points.length);
+  if (active.length <= 1) return active.length ? active[0].points : [];
+  const taggedFrom = Math.min(...active.filter(({ legacy }) => !legacy).map(({ points }) => points[0].t));
+  const counted = active.map(({ legacy, points }) => (legacy ? points.filter((p) => p.t < taggedFrom) : points));
+  const times = Array.from(new Set(counted.flatMap((points) => points.map((p) => p.t)))).sort((a, b) => a - b);
+  const cursors = counted.map(() => -1);
+  const summed = isSummedMetric(metric);
+  const statsSummed = summed && metric !== "backpack";
+  return times.map((t) => {
+    const picks = [];
+    counted.forEach((points, i) => {
+      while (cursors[i] + 1 < points.length && points[cursors[i] + 1].t <= t) cursors[i] += 1;
+      if (cursors[i] < 0 || (active[i].legacy && t >= taggedFrom)) return;
+      picks.push(points[cursors[i]]);
+    });
+    const point = { t, v: combineValues(picks.map((p) => p.v), summed) };
+    if (metric === "backpack") point.pct = combineValues(picks.map((p) => p.pct), false);
+    if (bucketed) {
+      ["min", "max", "avg", "last"].forEach((field) => {
+        point[field] = combineValues(picks.map((p) => (p.t === t ? p[field] : p.last)), statsSummed);
+      });
+      point.n = picks.reduce((sum, p) => sum + (p.t === t ? p.n : 0), 0);
+    }
+    return point;
+  });
+};
+
+// `players` is [[playerId, series]].
+const combinePlayerSeries = (players, bucketed) => {
+  if (players.length === 1) return players[0][1];
+  const series = emptySeries();
+  const names = players.flatMap(([, playerSeries]) => Object.keys(playerSeries.metrics));
+  seriesMetricsWith(names).forEach((metric) => {
+    const lists = players.map(([id, playerSeries]) => ({
+      legacy: Number(id) === 0,
+      points: seriesSlot(playerSeries, metric).get()
+    }));
+    seriesSlot(series, metric).set(combinePlayerPoints(metric, lists, bucketed));
+  });
+  return series;
+};
+
+const inRange = (range) => (p) => p.t >= range.from && (range.to === null || range.to === undefined || p.t <= range.to);
+// A rollup row covers [t, t + width); keep it when that overlaps the requested range.
+const rollupInRange = (range, width) => (p) => p.t + width > range.from && (range.to === null || range.to === undefined || p.t <= range.to);
+
+const memoryRollupPartials = (playerSeries, metric, range) => {
+  if (!playerSeries.rollups) return [];
+  const out = [];
+  ROLLUP_TIERS.forEach((tier) => {
+    const rows = playerSeries.rollups[tier.name] && playerSeries.rollups[tier.name][metric];
+    if (!rows) return;
+    out.push(...Object.values(rows).filter(rollupInRange(range, tier.width)));
+  });
+  return out;
+};
+
+const collectMemoryPlayerSeries = (playerSeries, range) => {
+  const keep = inRange(range);
+  const series = emptySeries();
+  const source = {
+    honey: playerSeries.honey,
+    pollen: playerSeries.pollen,
+    backpack: shapeBackpackEntries(playerSeries.backpack),
+    ...playerSeries.metrics
+  };
+  const rolledMetrics = ROLLUP_TIERS.flatMap((tier) =>
+    Object.keys((playerSeries.rollups && playerSeries.rollups[tier.name]) || {}));
+  seriesMetricsWith([...Object.keys(playerSeries.metrics || {}), ...rolledMetrics]).forEach((metric) => {
+    const slot = seriesSlot(series, metric);
+    const nectarType = nectarTypeFromMetric(metric);
+    const raw = (nectarType ? playerSeries.nectar[nectarType] || [] : source[metric] || []).filter(keep);
+    slot.set(assembleSeries(metric, raw, memoryRollupPartials(playerSeries, metric, range), range.buckets));
+  });
+  return series;
+};
+
+// Without a playerId the series of all players under the user key are combined.
+function collectMemoryStats(userKey, range, playerId) {
+  const bucket = getBucket(userKey);
+  cachePublicMapping(bucket.publicId, userKey, bucket.username);
+  const players = playerId
+    ? [[playerId, bucket.players[playerId]]].filter(([, playerSeries]) => playerSeries)
+    : Object.entries(bucket.players);
+  const series = combinePlayerSeries(
+    players.map(([id, playerSeries]) => [id, collectMemoryPlayerSeries(playerSeries, range)]),
+    !!range.buckets
+  );
+  const session = playerId && memorySessions[userKey] ? memorySessions[userKey][playerId] : null;
+  if (session) {
+    return {
+      ...series,
+      currentHoney: session.currentHoney || 0,
+      player: { username: session.username || "Player", id: session.publicId }
+    };
+  }
+  return {
+    ...series,
+    currentHoney: bucket.currentHoney || 0,
+    player: {
+      username: bucket.username || "Player",
+      id: bucket.publicId
+    }
+  };
+}
+
+const rangeSql = (range, column = "t") => {
+  if (range.to === null || range.to === undefined) return { sql: `${column} >= ?`, params: [range.from] };
+  return { sql: `${column} >= ? AND ${column} <= ?`, params: [range.from, range.to] };
+};
+
+const rollupRangeSql = (range, width) => rangeSql({ from: range.from - width + 1, to: range.to });
+
+const playerSql = (playerId, column = "player_id") =>
+  playerId ? { sql: ` AND ${column} = ?`, params: [playerId] } : { sql: "", params: [] };
+
+// `metrics` null means all of them.
+const metricSql = (metrics) => (metrics ? { sql: " AND metric IN (?)", params: [metrics] } : { sql: "", params: [] });
+
+// Rows carrying player_id grouped as { [playerId]: { [metric]: [...] } }.
+const groupByPlayer = (into, row, value) => {
+  if (!into[row.player_id]) into[row.player_id] = {};
+  const byMetric = into[row.player_id];
+  if (!byMetric[row.metric]) byMetric[row.metric] = [];
+  byMetric[row.metric].push(value);
+};
+
+// Latest non-NULL value of the group by orderBy.
+const LAST_VALUE_SQL = (column, orderBy = "t") => dialect.lastValue(column, orderBy);
+
+// Raw samples with the backpack pct derived from the latest capacity sampled at or before
+// the same instant, as writeMemorySample does; without a known capacity the pct is 0.
+const RAW_WITH_PCT_SQL = (where) => `
+  SELECT s.user_key, s.player_id, s.metric, s.t, s.v,
+    CASE
+      WHEN s.metric = 'backpack' THEN COALESCE(${dialect.least}(100, ${dialect.greatest}(0, s.v / NULLIF((
+        SELECT c.v FROM samples c
+        WHERE c.user_key = s.user_key AND c.player_id = s.player_id
+          AND c.metric = 'backpack_capacity' AND c.t <= s.t
+        ORDER BY c.t DESC LIMIT 1
+      ), 0) * 100)), 0)
+      ELSE NULL
+    END AS pct
+  FROM samples s
+  WHERE ${where}
+`;
+
+const PARTIAL_FROM_RAW_SQL = `
+  MIN(v) AS min_v, MAX(v) AS max_v, SUM(v) AS sum_v, COUNT(*) AS n,
+  ${LAST_VALUE_SQL("v")} AS last_v, MAX(t) AS last_t,
+  MIN(pct) AS pct_min, MAX(pct) AS pct_max, COALESCE(SUM(pct), 0) AS pct_sum, COUNT(pct) AS pct_n,
+  ${LAST_VALUE_SQL("pct")} AS pct_last
+`;
+
+const PARTIAL_FROM_ROLLUP_SQL = `
+  MIN(min_v) AS min_v, MAX(max_v) AS max_v, SUM(sum_v) AS sum_v, SUM(n) AS n,
+  ${LAST_VALUE_SQL("last_v", "last_t")} AS last_v, MAX(last_t) AS last_t,
+  MIN(pct_min) AS pct_min, MAX(pct_max) AS pct_max, SUM(pct_sum) AS pct_sum, SUM(pct_n) AS pct_n,
+  ${LAST_VALUE_SQL("pct_last", "last_t")} AS pct_last
+`;
+
+const ROLLUP_COLUMNS = "min_v, max_v, sum_v, n, last_v, last_t, pct_min, pct_max, pct_sum, pct_n, pct_last";
+
+const rowPartial = (row, t) => ({
+  t,
+  min: Number(row.min_v),
+  max: Number(row.max_v),
+  sum: Number(row.sum_v),
+  n: Number(row.n),
+  last: Number(row.last_v),
+  lastT: Number(row.last_t),
+  pct: Number(row.pct_n) > 0
+    ? {
+        min: Number(row.pct_min),
+        max: Number(row.pct_max),
+        sum: Number(row.pct_sum),
+        n: Number(row.pct_n),
+        last: Number(row.pct_last)
+      }
+    : null
+});
+
+async function collectDbRollups(userKey, range, buckets, playerId, metrics = null) {
+  const byPlayer = {};
+  const player = playerSql(playerId);
+  const only = metricSql(metrics);
+  for (const tier of ROLLUP_TIERS) {
+    const timeRange = rollupRangeSql(range, tier.width);
+    const [rows] = buckets
+      ? await db.query(
+          `
+            SELECT player_id, metric, ${buckets.sql.expr} AS bucket, ${PARTIAL_FROM_ROLLUP_SQL}
+            FROM ${tier.table}
+            WHERE user_key = ?${player.sql}${only.sql} AND ${timeRange.sql}
+            GROUP BY player_id, metric, bucket
+          `,
+          [...buckets.sql.params, userKey, ...player.params, ...only.params, ...timeRange.params]
+        )
+      : await db.query(
+          `
+            SELECT player_id, metric, t, ${ROLLUP_COLUMNS} FROM ${tier.table}
+            WHERE user_key = ?${player.sql}${only.sql} AND ${timeRange.sql} ORDER BY t ASC
+          `,
+          [userKey, ...player.params, ...only.params, ...timeRange.params]
+        );
+    rows.forEach((row) => {
+      const t = buckets ? buckets.startOf(row.bucket) : row.t;
+      if (t === undefined) return;
+      groupByPlayer(byPlayer, row, rowPartial(row, t));
+    });
+  }
+  return byPlayer;
+}
+
+// `metrics` limits the stored metrics read (the series keep their full shape).
+async function collectDbSeries(userKey, range, playerId, metrics = null) {
+  const timeRange = rangeSql(range);
+  const player = playerSql(playerId);
+  const only = metricSql(metrics);
+  const [rows] = await db.query(
+    `SELECT player_id, metric, t, v FROM samples WHERE user_key = ?${player.sql}${only.sql} AND ${timeRange.sql} ORDER BY t ASC`,
+    [userKey, ...player.params, ...only.params, ...timeRange.params]
+  );
+  const rawByPlayer = {};
+  rows.forEach((row) => groupByPlayer(rawByPlayer, row, { t: row.t, v: row.v }));
+  const rollups = await collectDbRollups(userKey, range, null, playerId, metrics);
+  const playerIds = new Set([...Object.keys(rawByPlayer), ...Object.keys(rollups)]);
+  const list = Array.from(playerIds).map((id) => {
+    const raw = rawByPlayer[id] || {};
+    const series = {
+      honey: raw.honey || [],
+      pollen: raw.pollen || [],
+      backpack: mergeBackpackSeries(raw.backpack || [], raw.backpack_capacity || []),
+      nectar: {},
+      metrics: {}
+    };
+    NECTAR_TYPES.forEach((type) => {
+      series.nectar[type] = raw[nectarMetricForType(type)] || [];
+    });
+    const playerRollups = rollups[id] || {};
+    const metrics = seriesMetricsWith([...Object.keys(raw), ...Object.keys(playerRollups)]);
+    metrics.slice(SERIES_METRICS.length).forEach((metric) => {
+      series.metrics[metric] = raw[metric] || [];
+    });
+    metrics.forEach((metric) => {
+      const slot = seriesSlot(series, metric);
+      slot.set(assembleSeries(metric, slot.get(), playerRollups[metric] || [], null));
+    });
+    return [id, series];
+  });
+  return combinePlayerSeries(list, false);
+}
+
+async function collectDbBuckets(userKey, range, playerId) {
+  const { buckets } = range;
+  const timeRange = rangeSql(range, "s.t");
+  const player = playerSql(playerId, "s.player_id");
+  const [rows] = await db.query(
+    `
+      SELECT player_id, metric, ${buckets.sql.expr} AS bucket, ${PARTIAL_FROM_RAW_SQL}
+      FROM (${RAW_WITH_PCT_SQL(`s.user_key = ?${player.sql} AND ${timeRange.sql}`)}) with_pct
+      GROUP BY player_id, metric, bucket
+    `,
+    [...buckets.sql.params, userKey, ...player.params, ...timeRange.params]
+  );
+  const partials = await collectDbRollups(userKey, range, buckets, playerId);
+  rows.forEach((row) => {
+    const t = buckets.startOf(row.bucket);
+    if (t === undefined) return;
+    groupByPlayer(partials, row, rowPartial(row, t));
+  });
+  const list = Object.entries(partials).map(([id, byMetric]) => {
+    const series = emptySeries();
+    seriesMetricsWith(Object.keys(byMetric)).forEach((metric) => {
+      seriesSlot(series, metric).set(
+        bucketPartials(byMetric[metric] || [], buckets).map((partial) => finalizePartial(partial, metric))
+      );
+    });
+    return [id, series];
+  });
+  return combinePlayerSeries(list, true);
+}
+
+async function collectDbStats(userKey, range, playerId) {
+  const series = range.buckets
+    ? await collectDbBuckets(userKey, range, playerId)
+    : await collectDbSeries(userKey, range, playerId);
+  if (playerId) {
+    const [sessionRows] = await db.query(
+      `SELECT session_public_id, username, current_honey FROM ${PLAYER_SESSIONS_TABLE} WHERE user_key = ? AND player_id = ? LIMIT 1`,
+      [userKey, playerId]
+    );
+    const session = sessionRows && sessionRows[0];
+    if (session) {
+      return {
+        ...series,
+        currentHoney: session.current_honey || 0,
+        player: { username: session.username || "Player", id: session.session_public_id }
+      };
+    }
+  }
+  const [userRows] = await db.query(
+    "SELECT current_honey, username, public_id FROM users WHERE user_key = ? LIMIT 1",
+    [userKey]
+  );
+  const info = userRows && userRows[0] ? userRows[0] : {};
+  const resolvedPublicId = info.public_id || getPublicId(userKey);
+  cachePublicMapping(resolvedPublicId, userKey, info.username);
+  return {
+    ...series,
+    currentHoney: info.current_honey || 0,
+    player: {
+      username: info.username || "Player",
+      id: resolvedPublicId
+    }
+  };
+}
+
+// Compaction. Each tier boundary is aligned to the width of the tier it feeds, and every
+// moved sample is deleted from its source in the same step (one transaction in the database), so
+// a sample lives in exactly one tier and reads can simply union all of them.
+const retentionCutoffs = (now) => ({
+  raw: Math.floor((now - RAW_RETENTION_SEC) / 3600) * 3600,
+  hour: Math.floor((now - HOURLY_RETENTION_SEC) / 86400) * 86400
+});
+
+const addToMemoryRollup = (playerSeries, tier, metric, partial) => {
+  if (!playerSeries.rollups) playerSeries.rollups = {};
+  if (!playerSeries.rollups[tier.name]) playerSeries.rollups[tier.name] = {};
+  if (!playerSeries.rollups[tier.name][metric]) playerSeries.rollups[tier.name][metric] = {};
+  const rows = playerSeries.rollups[tier.name][metric];
+  const start = Math.floor(partial.t / tier.width) * tier.width;
+  if (rows[start]) mergePartial(rows[start], partial);
+  else rows[start] = copyPartial(partial, start);
+};
+
+function compactMemorySeries(playerSeries, cutoffs) {
+  const [hourTier, dayTier] = ROLLUP_TIERS;
+  const compactRaw = (metric, points, shape) => {
+    const kept = [];
+    points.forEach((p) => {
+      if (p.t >= cutoffs.raw) kept.push(p);
+      else addToMemoryRollup(playerSeries, hourTier, metric, pointPartial(shape ? shape(p) : p));
+    });
+    return kept;
+  };
+  playerSeries.honey = compactRaw("honey", playerSeries.honey);
+  playerSeries.pollen = compactRaw("pollen", playerSeries.pollen);
+  playerSeries.backpack = compactRaw("backpack", playerSeries.backpack, (p) => shapeBackpackEntries([p])[0]);
+  NECTAR_TYPES.forEach((type) => {
+    playerSeries.nectar[type] = compactRaw(nectarMetricForType(type), playerSeries.nectar[type]);
+  });
+  Object.keys(playerSeries.metrics || {}).forEach((metric) => {
+    playerSeries.metrics[metric] = compactRaw(metric, playerSeries.metrics[metric]);
+  });
+  pruneMemoryEvents(playerSeries, cutoffs.raw);
+  pruneMemoryActivity(playerSeries, cutoffs.raw);
+  const hourly = playerSeries.rollups && playerSeries.rollups[hourTier.name];
+  if (!hourly) return;
+  Object.entries(hourly).forEach(([metric, rows]) => {
+    Object.keys(rows).forEach((start) => {
+      if (Number(start) >= cutoffs.hour) return;
+      addToMemoryRollup(playerSeries, dayTier, metric, rows[start]);
+      delete rows[start];
+    });
+  });
+}
+
+function compactMemoryBucket(bucket, now) {
+  const cutoffs = retentionCutoffs(now);
+  Object.values(bucket.players).forEach((playerSeries) => compactMemorySeries(playerSeries, cutoffs));
+}
+
+// fn gets a connection with query(); on SQLite, queries through the shared `db` would wait
+// for this transaction to finish, so everything inside must go through that connection.
+const withTransaction = (fn) => db.transaction(fn);
+
+// MySQL runs assignments left to right, so the last_* columns compare against last_t before
+// it moves; Postgres and SQLite read the old row throughout, which gives the same result.
+const ROLLUP_MERGE_SQL = (table) => {
+  const incoming = dialect.excluded;
+  const { greatest, least } = dialect;
+  return `
+    last_v = CASE WHEN ${incoming("last_t")} >= ${table}.last_t THEN ${incoming("last_v")} ELSE ${table}.last_v END,
+    pct_last = CASE
+      WHEN ${incoming("last_t")} >= ${table}.last_t THEN COALESCE(${incoming("pct_last")}, ${table}.pct_last)
+      ELSE COALESCE(${table}.pct_last, ${incoming("pct_last")})
+    END,
+    last_t = ${greatest}(${table}.last_t, ${incoming("last_t")}),
+    min_v = ${least}(${table}.min_v, ${incoming("min_v")}),
+    max_v = ${greatest}(${table}.max_v, ${incoming("max_v")}),
+    sum_v = ${table}.sum_v + ${incoming("sum_v")},
+    n = ${table}.n + ${incoming("n")},
+    pct_min = COALESCE(${least}(${table}.pct_min, ${incoming("pct_min")}), ${table}.pct_min, ${incoming("pct_min")}),
+    pct_max = COALESCE(${greatest}(${table}.pct_max, ${incoming("pct_max")}), ${table}.pct_max, ${incoming("pct_max")}),
+    pct_sum = ${table}.pct_sum + ${incoming("pct_sum")},
+    pct_n = ${table}.pct_n + ${incoming("pct_n")}
+  `;
+};
+const ROLLUP_CONFLICT = "user_key, player_id, metric, t";
+
+async function compactDbUser(userKey, cutoffs) {
+  const [hourTier, dayTier] = ROLLUP_TIERS;
+  await withTransaction(async (conn) => {
+    await conn.query(
+      `
+        INSERT INTO ${hourTier.table} (user_key, player_id, metric, t, ${ROLLUP_COLUMNS})
+        SELECT user_key, player_id, metric, FLOOR(t / ${hourTier.width}) * ${hourTier.width} AS bucket, ${PARTIAL_FROM_RAW_SQL}
+        FROM (${RAW_WITH_PCT_SQL("s.user_key = ? AND s.t < ?")}) with_pct
+        GROUP BY user_key, player_id, metric, bucket
+        ${dialect.upsert(ROLLUP_CONFLICT)} ${ROLLUP_MERGE_SQL(hourTier.table)}
+      `,
+      [userKey, cutoffs.raw]
+    );
+    await conn.query("DELETE FROM samples WHERE user_key = ? AND t < ?", [userKey, cutoffs.raw]);
+  });
+  await withTransaction(async (conn) => {
+    await conn.query(
+      `
+        INSERT INTO ${dayTier.table} (user_key, player_id, metric, t, ${ROLLUP_COLUMNS})
+        SELECT user_key, player_id, metric, FLOOR(t / ${dayTier.width}) * ${dayTier.width} AS bucket, ${PARTIAL_FROM_ROLLUP_SQL}
+        FROM ${hourTier.table}
+        WHERE user_key = ? AND t < ?
+        GROUP BY user_key, player_id, metric, bucket
+        ${dialect.upsert(ROLLUP_CONFLICT)} ${ROLLUP_MERGE_SQL(dayTier.table)}
+      `,
+      [userKey, cutoffs.hour]
+    );
+    await conn.query(`DELETE FROM ${hourTier.table} WHERE user_key = ? AND t < ?`, [userKey, cutoffs.hour]);
+  });
+}
+
+async function runRetention() {
+  const now = nowSec();
+  Object.values(samples).forEach((bucket) => compactMemoryBucket(bucket, now));
+  if (!USE_DB || !db) return;
+  const cutoffs = retentionCutoffs(now);
+  try {
+    const [rows] = await db.query(
+      `
+        SELECT user_key FROM samples WHERE t < ?
+        UNION
+        SELECT user_key FROM ${ROLLUP_TIERS[0].table} WHERE t < ?
+      `,
+      [cutoffs.raw, cutoffs.hour]
+    );
+    for (const row of rows) {
+      await compactDbUser(row.user_key, cutoffs);
+    }
+    await pruneDbEvents(cutoffs.raw);
+    await pruneDbActivity(cutoffs.raw);
+  } catch (err) {
+    log.error("Retention compaction failed", err);
+  }
+}
+
+const labelSeries = (data, buckets) => {
+  const label = (points) => points.forEach((point) => {
+    point.label = buckets.label(point.t);
+  });
+  label(data.honey);
+  label(data.pollen);
+  label(data.backpack);
+  NECTAR_TYPES.forEach((type) => label(data.nectar[type] || []));
+  Object.values(data.metrics || {}).forEach(label);
+};
+
+async function sendStatsResponse(userKey, statsQuery, res, overrides) {
+  const { buckets } = statsQuery;
+  const playerId = overrides ? overrides.playerId : null;
+  const finish = (data) => {
+    if (overrides) {
+      if (overrides.username) data.player.username = overrides.username;
+      if (overrides.publicId) data.player.id = overrides.publicId;
+    }
+    data.range = { from: statsQuery.from, to: statsQuery.to, tz: statsQuery.tz };
+    if (buckets && buckets.width) data.resolution = buckets.width;
+    if (buckets && buckets.unit) {
+      data.groupBy = buckets.unit;
+      labelSeries(data, buckets);
+    }
+    res.json(data);
+  };
+  if (!USE_DB) {
+    return finish(collectMemoryStats(userKey, statsQuery, playerId));
+  }
+  try {
+    finish(await collectDbStats(userKey, statsQuery, playerId));
+  } catch (err) {
+    logFallback("Failed to load stats from DB", err);
+    finish(collectMemoryStats(userKey, statsQuery, playerId));
+  }
+}
+
+// Derived analytics for /api/stats/summary. Counters (honey, pollen, nectar) only count
+// positive deltas, so spending honey or a nectar decay does not read as negative gain.
+const SUMMARY_ROLLING_WINDOWS = { "15m": 900, "1h": 3600, "6h": 21600 };
+const CONVERT_DROP_PCT = 50; // backpack pct drop (from the running peak) that counts as a convert
+
+const gainBetween = (points, from, to) => {
+  let gained = 0;
+  let first = null;
+  let last = null;
+  let prev = null;
+  points.forEach((p) => {
+    if (p.t < from || p.t > to) return;
+    if (first === null) first = p.t;
+    last = p.t;
+    if (prev && p.v > prev.v) gained += p.v - prev.v;
+    prev = p;
+  });
+  const spanSec = first === null ? 0 : last - first;
+  return { gained, perHour: spanSec > 0 ? (gained / spanSec) * 3600 : null };
+};
+
+const summarizeCounter = (points, periodSec, now) => {
+  const whole = gainBetween(points, now - periodSec, now);
+  const rolling = {};
+  Object.entries(SUMMARY_ROLLING_WINDOWS).forEach(([label, windowSec]) => {
+    if (windowSec > periodSec) return;
+    rolling[label] = gainBetween(points, now - windowSec, now).perHour;
+  });
+  return { gained: whole.gained, perHour: whole.perHour, rolling };
+};
+
+const findPeakHour = (points) => {
+  const byHour = new Map();
+  for (let i = 1; i < points.length; i++) {
+    const delta = points[i].v - points[i - 1].v;
+    if (delta <= 0) continue;
+    const hour = Math.floor(points[i].t / 3600) * 3600;
+    byHour.set(hour, (byHour.get(hour) || 0) + delta);
+  }
+  let peak = null;
+  byHour.forEach((gained, hour) => {
+    if (!peak || gained > peak.gained) peak = { t: hour, gained };
+  });
+  return peak;
+};
+
+const detectConverts = (backpack) => {
+  const converts = [];
+  let peak = null;
+  backpack.forEach((p) => {
+    if (peak === null || p.pct > peak) peak = p.pct;
+    if (peak - p.pct >= CONVERT_DROP_PCT) {
+      converts.push(p.t);
+      peak = p.pct;
+    }
+  });
+  const cycleTimes = [];
+  for (let i = 1; i < converts.length; i++) cycleTimes.push(converts[i] - converts[i - 1]);
+  return {
+    count: converts.length,
+    avgCycleSec: cycleTimes.length ? cycleTimes.reduce((sum, sec) => sum + sec, 0) / cycleTimes.length : null,
+    lastAt: converts.length ? converts[converts.length - 1] : null
+  };
+};
+
+const byTime = (points) => points.slice().sort((a, b) => a.t - b.t);
+
+function summarizeStats(series, periodSec, now) {
+  const honey = byTime(series.honey);
+  const pollen = byTime(series.pollen);
+  const backpack = byTime(series.backpack);
+  const nectar = {};
+  NECTAR_TYPES.forEach((type) => {
+    const { gained, perHour } = summarizeCounter(byTime(series.nectar[type] || []), periodSec, now);
+    nectar[type] = { gained, perHour };
+  });
+  // Registered counters get the same gained / perHour as nectar; gauges have no gain.
+  const metrics = {};
+  Object.entries(series.metrics || {}).forEach(([metric, points]) => {
+    if (metricKind(metric) !== "counter") return;
+    const { gained, perHour } = summarizeCounter(byTime(points), periodSec, now);
+    metrics[metric] = { gained, perHour };
+  });
+  const peak = findPeakHour(honey);
+  return {
+    period: periodSec,
+    from: now - periodSec,
+    to: now,
+    honey: summarizeCounter(honey, periodSec, now),
+    pollen: summarizeCounter(pollen, periodSec, now),
+    nectar,
+    metrics,
+    peakHour: peak ? { t: peak.t, honey: peak.gained } : null,
+    converts: detectConverts(backpack)
+  };
+}
+
+// User storage: public id lookups (user or session ids) and the leaderboard opt-out.
+function findMemoryUser(publicId) {
+  for (const [userKey, bucket] of Object.entries(samples)) {
+    if (bucket && bucket.publicId === publicId) {
+      cachePublicMapping(publicId, userKey, bucket.username);
+      return { userKey, username: bucket.username || null, publicId };
+    }
+  }
+  for (const [userKey, sessions] of Object.entries(memorySessions)) {
+    for (const session of Object.values(sessions)) {
+      if (session && session.publicId === publicId) {
+        cachePublicMapping(publicId, userKey, session.username, session.playerId);
+        return { userKey, username: session.username || null, publicId, playerId: session.playerId };
+      }
+    }
+  }
+  return null;
+}
+
+async function findDbUser(publicId) {
+  const [rows] = await db.query(
+    "SELECT user_key, username FROM users WHERE public_id = ? LIMIT 1",
+    [publicId]
+  );
+  if (rows && rows[0]) {
+    cachePublicMapping(publicId, rows[0].user_key, rows[0].username);
+    return { userKey: rows[0].user_key, username: rows[0].username || null, publicId };
+  }
+  const [sessionRows] = await db.query(
+    `SELECT user_key, username, player_id FROM ${PLAYER_SESSIONS_TABLE} WHERE session_public_id = ? LIMIT 1`,
+    [publicId]
+  );
+  if (sessionRows && sessionRows[0]) {
+    const session = sessionRows[0];
+    const playerId = Number(session.player_id);
+    cachePublicMapping(publicId, session.user_key, session.username, playerId);
+    return { userKey: session.user_key, username: session.username || null, publicId, playerId };
+  }
+  return null;
+}
+
+// The bucket flag also serves the memory leaderboard source, so it is set on every backend.
+const setMemoryOptOut = (userKey, optOut) => {
+  getBucket(userKey).leaderboardOptOut = optOut;
+};
+
+async function setDbOptOut(userKey, optOut) {
+  setMemoryOptOut(userKey, optOut);
+  await ensureUser(userKey);
+  await db.query("UPDATE users SET leaderboard_opt_out = ? WHERE user_key = ?", [optOut ? 1 : 0, userKey]);
+}
+
+defineStorage("users", {
+  memory: { findByPublicId: findMemoryUser, setLeaderboardOptOut: setMemoryOptOut },
+  sql: { findByPublicId: findDbUser, setLeaderboardOptOut: setDbOptOut },
+  failures: {
+    findByPublicId: "Failed to resolve public id from DB",
+    setLeaderboardOptOut: "Failed to store leaderboard opt-out"
+  }
+});
+
+async function resolveUserKeyFromPublicId(publicId) {
+  if (!publicId) return null;
+  const cached = publicIdToUserKey[publicId];
+  if (cached) {
+    return { userKey: cached.userKey, username: cached.username || null, publicId, playerId: cached.playerId || null };
+  }
+  return (await storage.users.findByPublicId(publicId)).result;
+}
+
+async function ensureUser(userKey, conn = db) {
+  if (!USE_DB) return;
+  const publicId = getPublicId(userKey);
+  await conn.query(
+    `
+      INSERT INTO users (user_key, public_id) VALUES (?, ?)
+      ${dialect.upsert("user_key")} public_id = COALESCE(users.public_id, ${dialect.excluded("public_id")})
+    `,
+    [userKey, publicId]
+  );
+}
+
+// Takes the user's row lock for the rest of the transaction, so concurrent requests of one
+// user that read before they write take turns.
+async function lockDbUser(conn, userKey) {
+  await ensureUser(userKey, conn);
+  await conn.query(`SELECT user_key FROM users WHERE user_key = ?${dialect.forUpdate}`, [userKey]);
+}
+
+// Live stream: WebSocket on the same HTTP server at LIVE_PATH.
+// Auth mirrors the HTTP routes; browsers cannot set headers on a WebSocket, so the
+// handshake also accepts ?token= or ?userKey=&clientKey= query params.
+//   user connection (requireReadKey rules)   -> "samples" and "controlState" for its own userKey
+//   viewer connection (requireViewerKey rules) -> "player" online/offline events, plus
+//     "samples" for any player id it subscribes to with {type:"subscribe", channel:"player", id}
+const LIVE_PATH = "/api/live";
+const LIVE_HEARTBEAT_INTERVAL = 30 * 1000;
+const LIVE_PRESENCE_SWEEP_INTERVAL = 15 * 1000;
+const liveTopics = new Map(); // topic -> Set<ws>
+const livePresence = {}; // publicId -> { id, username, lastSeen, currentHoney }
+
+const liveSubscribe = (ws, topic) => {
+  if (!liveTopics.has(topic)) liveTopics.set(topic, new Set());
+  liveTopics.get(topic).add(ws);
+  ws.topics.add(topic);
+};
+
+const liveUnsubscribe = (ws, topic) => {
+  const subs = liveTopics.get(topic);
+  if (subs) {
+    subs.delete(ws);
+    if (!subs.size) liveTopics.delete(topic);
+  }
+  ws.topics.delete(topic);
+};
+
+const livePublish = (topic, message) => {
+  const subs = liveTopics.get(topic);
+  if (!subs || !subs.size) return;
+  const data = JSON.stringify(message);
+  subs.forEach((ws) => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(data);
+  });
+};
+
+const liveSend = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+};
+
+const markPresence = (player) => {
+  if (!player || !player.id) return;
+  const previous = livePresence[player.id];
+  livePresence[player.id] = {
+    ...player,
+    username: player.username || (previous && previous.username) || "Player"
+  };
+  const wasOnline = previous && player.lastSeen - previous.lastSeen <= ONLINE_TIMEOUT;
+  if (!wasOnline) {
+    livePublish("players", { type: "player", status: "online", player: livePresence[player.id] });
+  }
+};
+
+const sweepPresence = () => {
+  const now = nowSec();
+  Object.values(livePresence).forEach((player) => {
+    if (now - player.lastSeen <= ONLINE_TIMEOUT) return;
+    delete livePresence[player.id];
+    livePublish("players", { type: "player", status: "offline", player });
+  });
+};
+
+async function seedPresence() {
+  try {
+    const { result: players } = await storage.sessions.listOnline();
+    players.forEach((player) => {
+      livePresence[player.id] = player;
+    });
+  } catch (err) {
+    log.error("Failed to seed live presence", err);
+  }
+}
+
+const publishIngest = (userKey, sample, session) => {
+  const userPublicId = getPublicId(userKey);
+  const message = {
+    type: "samples",
+    player: {
+      id: userPublicId,
+      sessionId: session ? session.id : null,
+      username: session ? session.username : null
+    },
+    ...sample
+  };
+  livePublish(`user:${userKey}`, message);
+  livePublish(`player:${userPublicId}`, message);
+  if (session && session.id !== userPublicId) {
+    livePublish(`player:${session.id}`, message);
+  }
+  if (session) markPresence(session);
+};
+
+// Backfills are announced once rather than replayed sample by sample; subscribers refetch
+// the range. Presence only moves when the newest sample is recent enough to mean "online".
+const publishBackfill = (userKey, accepted) => {
+  const userPublicId = getPublicId(userKey);
+  const newest = accepted[accepted.length - 1];
+  const message = {
+    type: "backfill",
+    player: { id: userPublicId },
+    from: accepted[0].t,
+    to: newest.t,
+    count: accepted.length
+  };
+  livePublish(`user:${userKey}`, message);
+  livePublish(`player:${userPublicId}`, message);
+  if (nowSec() - newest.t <= ONLINE_TIMEOUT) {
+    const session = liveSessionFor(userKey, newest);
+    if (session) markPresence(session);
+  }
+};
+
+const publishControlState = (userKey, entry) => {
+  livePublish(`user:${userKey}`, { type: "controlState", state: entry.state, at: entry.at });
+};
+
+async function authenticateLive(req) {
+  const url = new URL(req.url, "http://localhost");
+  if (url.pathname !== LIVE_PATH) return { status: 404, error: "not found" };
+  const auth = req.headers.authorization;
+  const token =
+    (auth && /^Bearer\s+/i.test(auth) ? auth.replace(/^Bearer\s+/i, "").trim() : null) ||
+    req.headers["x-api-token"] ||
+    url.searchParams.get("token");
+  if (token) {
+    const record = await resolveToken(token);
+    if (!record) return { status: 401, error: "invalid token" };
+    const canRead = record.scopes.includes("read");
+    const canView = record.scopes.includes("viewer");
+    if (!canRead && !canView) return { status: 403, error: "token lacks read or viewer scope" };
+    return { userKey: canRead ? record.userKey : null, viewer: canView };
+  }
+  if (!ALLOW_SHARED_KEYS) return { status: 401, error: "api token required" };
+  const userKey = req.headers["x-user-key"] || url.searchParams.get("userKey");
+  const clientKey = req.headers["x-client-key"] || url.searchParams.get("clientKey");
+  let resolvedUserKey = null;
+  if (userKey) {
+    const read = resolveReadAccess(userKey, clientKey);
+    if (read.error) return read;
+    resolvedUserKey = read.userKey;
+  }
+  const viewer = resolveViewerAccess(clientKey);
+  if (!resolvedUserKey && viewer.error) return viewer;
+  return { userKey: resolvedUserKey, viewer: !viewer.error };
+}
+
+const rejectUpgrade = (socket, status, error) => {
+  const body = JSON.stringify({ error });
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+      "Content-Type: application/json\r\n" +
+      `Content-Length: ${Buffer.byteLength(body)}\r\n` +
+      "Connection: close\r\n\r\n" +
+      body
+  );
+  socket.destroy();
+};
+
+function handleLiveMessage(ws, raw) {
+  let msg;
+  try {
+    msg = JSON.parse(raw);
+  } catch (e) {
+    return liveSend(ws, { type: "error", error: "invalid json" });
+  }
+  if (!msg || typeof msg !== "object") {
+    return liveSend(ws, { type: "error", error: "invalid message" });
+  }
+  if (msg.type === "ping") {
+    return liveSend(ws, { type: "pong", at: nowSec() });
+  }
+  if (msg.type !== "subscribe" && msg.type !== "unsubscribe") {
+    return liveSend(ws, { type: "error", error: "unknown message type" });
+  }
+  let topic = null;
+  if (msg.channel === "player") {
+    if (!ws.access.viewer) return liveSend(ws, { type: "error", error: "viewer access required" });
+    if (typeof msg.id !== "string" || !msg.id) return liveSend(ws, { type: "error", error: "id required" });
+    topic = `player:${msg.id}`;
+  } else if (msg.channel === "players") {
+    if (!ws.access.viewer) return liveSend(ws, { type: "error", error: "viewer access required" });
+    topic = "players";
+  } else if (msg.channel === "user") {
+    if (!ws.access.userKey) return liveSend(ws, { type: "error", error: "x-user-key required" });
+    topic = `user:${ws.access.userKey}`;
+  } else {
+    return liveSend(ws, { type: "error", error: "unknown channel" });
+  }
+  if (msg.type === "subscribe") liveSubscribe(ws, topic);
+  else liveUnsubscribe(ws, topic);
+  liveSend(ws, { type: msg.type === "subscribe" ? "subscribed" : "unsubscribed", channel: msg.channel, id: msg.id || null });
+}
+
+function attachLiveStream(server) {
+  const wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    let access;
+    try {
+      access = await authenticateLive(req);
+    } catch (err) {
+      log.error("Live stream auth failed", err);
+      access = { status: 500, error: "auth failed" };
+    }
+    if (access.error) return rejectUpgrade(socket, access.status, access.error);
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.access = access;
+      wss.emit("connection", ws);
+    });
+  });
+
+  wss.on("connection", (ws) => {
+    ws.topics = new Set();
+    ws.isAlive = true;
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (raw) => handleLiveMessage(ws, raw));
+    ws.on("close", () => {
+      Array.from(ws.topics).forEach((topic) => liveUnsubscribe(ws, topic));
+    });
+    const { userKey, viewer } = ws.access;
+    if (userKey) liveSubscribe(ws, `user:${userKey}`);
+    if (viewer) liveSubscribe(ws, "players");
+    liveSend(ws, {
+      type: "hello",
+      user: userKey ? { id: getPublicId(userKey) } : null,
+      viewer
+    });
+    if (userKey) {
+      storage.controls
+        .loadState(userKey)
+        .then(({ result: entry }) => {
+          if (entry) liveSend(ws, { type: "controlState", state: entry.state, at: entry.at });
+        })
+        .catch((err) => {
+          log.error("Failed to load control state for live stream", err);
+        });
+    }
+    if (viewer) {
+      liveSend(ws, { type: "players", players: sortPlayersByName(Object.values(livePresence)) });
+    }
+  });
+
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach((ws) => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, LIVE_HEARTBEAT_INTERVAL);
+  const sweep = setInterval(sweepPresence, LIVE_PRESENCE_SWEEP_INTERVAL);
+  wss.on("close", () => {
+    clearInterval(heartbeat);
+    clearInterval(sweep);
+  });
+  return wss;
+}
+
+// GET stats
+app.get("/api/stats", requireReadKey, asyncRoute((req, res) => {
+  const statsQuery = parseStatsQuery(req.query);
+  if (statsQuery.error) {
+    return res.status(400).json({ error: statsQuery.error });
+  }
+  return sendStatsResponse(req.userKey, statsQuery, res);
+}));
+
+const sortPlayersByName = (list) => {
+  list.sort((a, b) => {
+    const nameA = (a.username || "").toLowerCase();
+    const nameB = (b.username || "").toLowerCase();
+    return nameA.localeCompare(nameB);
+  });
+  return list;
+};
+
+// Session storage: who is online, and when a user (or one of its players) was last seen.
+function listMemoryPlayers() {
+  const now = nowSec();
+  const list = [];
+  const seenKeys = new Set();
+  Object.entries(memorySessions).forEach(([userKey, sessions]) => {
+    Object.values(sessions).forEach((session) => {
+      if (!session || !session.lastSeen) return;
+      if (now - session.lastSeen > ONLINE_TIMEOUT) return;
+      list.push({
+        id: session.publicId,
+        username: session.username || "Player",
+        lastSeen: session.lastSeen,
+        currentHoney: session.currentHoney || 0
+      });
+      seenKeys.add(userKey);
+    });
+  });
+  Object.entries(samples).forEach(([userKey, bucket]) => {
+    if (seenKeys.has(userKey)) return;
+    if (!bucket || !bucket.lastSeen) return;
+    if (now - bucket.lastSeen > ONLINE_TIMEOUT) return;
+    list.push({
+      id: bucket.publicId,
+      username: bucket.username || "Player",
+      lastSeen: bucket.lastSeen,
+      currentHoney: bucket.currentHoney || 0
+    });
+  });
+  return sortPlayersByName(list);
+}
+
+async function listDbPlayers() {
+  const now = nowSec();
+  const list = [];
+  const cutoff = now - ONLINE_TIMEOUT;
+  const seenKeys = new Set();
+  const [sessionRows] = await db.query(
+    `
+      SELECT session_public_id, user_key, player_id, username, current_honey, last_seen
+      FROM ${PLAYER_SESSIONS_TABLE}
+      WHERE last_seen >= ?
+    `,
+    [cutoff]
+  );
+  sessionRows.forEach((row) => {
+    if (!row) return;
+    cachePublicMapping(row.session_public_id, row.user_key, row.username, Number(row.player_id));
+    seenKeys.add(row.user_key);
+    list.push({
+      id: row.session_public_id,
+      username: row.username || "Player",
+      lastSeen: row.last_seen || now,
+      currentHoney: row.current_honey || 0
+    });
+  });
+  const [rows] = await db.query(
+    "SELECT user_key, username, current_honey, public_id, last_activity FROM users WHERE last_activity >= ? ORDER BY username ASC",
+    [cutoff]
+  );
+  rows.forEach((row) => {
+    if (!row.public_id) return;
+    if (seenKeys.has(row.user_key)) return;
+    cachePublicMapping(row.public_id, row.user_key, row.username);
+    list.push({
+      id: row.public_id,
+      username: row.username || "Player",
+      lastSeen: row.last_activity || now,
+      currentHoney: row.current_honey || 0
+    });
+  });
+  return sortPlayersByName(list);
+}
+
+const memoryLastSeen = (userKey, playerId) => {
+  const session = playerId && memorySessions[userKey] ? memorySessions[userKey][playerId] : null;
+  if (playerId) return session ? session.lastSeen : 0;
+  return samples[userKey] ? samples[userKey].lastSeen : 0;
+};
+
+async function dbLastSeen(userKey, playerId) {
+  const [rows] = playerId
+    ? await db.query(
+        `SELECT last_seen AS at FROM ${PLAYER_SESSIONS_TABLE} WHERE user_key = ? AND player_id = ? LIMIT 1`,
+        [userKey, playerId]
+      )
+    : await db.query("SELECT last_activity AS at FROM users WHERE user_key = ? LIMIT 1", [userKey]);
+  return rows && rows[0] ? rows[0].at || 0 : 0;
+}
+
+defineStorage("sessions", {
+  memory: { listOnline: listMemoryPlayers, lastSeen: memoryLastSeen },
+  sql: { listOnline: listDbPlayers, lastSeen: dbLastSeen },
+  failures: {
+    listOnline: "Failed to list online players from DB",
+    lastSeen: "Failed to load last seen from DB"
+  }
+});
+
+app.get("/api/stats/summary", requireReadKey, asyncRoute(async (req, res) => {
+  const periodSec = toSeconds(req.query.period || "24h");
+  const now = nowSec();
+  const { result: series } = await storage.samples.query(req.userKey, { from: now - periodSec, to: null });
+  res.json(summarizeStats(series, periodSec, now));
+}));
+
+app.get("/api/players", requireViewerKey, asyncRoute(async (_req, res) => {
+  const { result: players } = await storage.sessions.listOnline();
+  res.json({ players });
+}));
+
+app.get("/api/player/:publicId/stats", requireViewerKey, asyncRoute(async (req, res) => {
+  const resolved = await resolveUserKeyFromPublicId(req.params.publicId);
+  if (!resolved) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const statsQuery = parseStatsQuery(req.query);
+  if (statsQuery.error) {
+    return res.status(400).json({ error: statsQuery.error });
+  }
+  sendStatsResponse(resolved.userKey, statsQuery, res, {
+    username: resolved.username || null,
+    publicId: resolved.publicId || req.params.publicId,
+    playerId: resolved.playerId || null
+  });
+}));
+
+// Stats export: one row per timestamp and player (0 = untagged samples) with a column per
+// metric. Rollup rows are exported as their last value at last_t, so ranges past raw
+// retention still come out as plain samples. Rows are written as they are read; the source
+// waits whenever the socket is backed up.
+const EXPORT_FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  ndjson: { type: "application/x-ndjson; charset=utf-8", ext: "ndjson" }
+};
+// Registered metrics follow the built-in columns; the list is fixed when an export starts.
+const exportColumns = () => ["t", "player", ...ALL_METRICS, ...registeredMetricNames()];
+
+const parseExportQuery = (query) => {
+  const format = query.format === undefined ? "csv" : String(query.format);
+  if (!EXPORT_FORMATS[format]) return { error: "format must be csv or ndjson" };
+  const range = parseStatsQuery({ period: query.period, from: query.from, to: query.to, tz: query.tz });
+  if (range.error) return range;
+  return { format, from: range.from, to: range.to };
+};
+
+const waitForDrain = (res) => new Promise((resolve) => {
+  const done = () => {
+    res.off("drain", done);
+    res.off("close", done);
+    resolve();
+  };
+  res.on("drain", done);
+  res.on("close", done);
+});
+
+// Headers go out with the first row, so a failing database query can still fall back to memory.
+function createExportWriter(res, format, filename, mode) {
+  const columns = exportColumns();
+  const writer = {
+    mode,
+    started: false,
+    start() {
+      if (writer.started) return;
+      writer.started = true;
+      res.setHeader("Content-Type", EXPORT_FORMATS[format].type);
+      res.setHeader("Content-Disposition", `attachment; filename="${filename}.${EXPORT_FORMATS[format].ext}"`);
+      res.setHeader("X-Storage-Mode", writer.mode);
+      if (format === "csv") res.write(`${columns.join(",")}\n`);
+    },
+    // The client went away; the sources stop reading once this is set.
+    get aborted() {
+      return res.destroyed;
+    },
+    async write(row) {
+      if (res.destroyed) return;
+      writer.start();
+      const line = format === "csv"
+        ? columns.map((column) => (row[column] === undefined ? "" : row[column])).join(",")
+        : JSON.stringify(row);
+      if (!res.write(`${line}\n`)) await waitForDrain(res);
+    },
+    end() {
+      writer.start();
+      res.end();
+    }
+  };
+  return writer;
+}
+
+const memoryExportPoints = (playerSeries, metric, range) => {
+  const rolled = [];
+  ROLLUP_TIERS.forEach((tier) => {
+    const rows = playerSeries.rollups && playerSeries.rollups[tier.name] && playerSeries.rollups[tier.name][metric];
+    if (rows) rolled.push(...Object.values(rows).map((partial) => ({ t: partial.lastT, v: partial.last })));
+  });
+  const raw = metric === "backpack_capacity"
+    ? playerSeries.backpack.filter((entry) => entry.cap > 0).map((entry) => ({ t: entry.t, v: entry.cap }))
+    : memorySeriesFor(playerSeries, metric) || [];
+  return byTime([...rolled, ...raw].filter(inRange(range)));
+};
+
+// Steps through every player's metric lists in time order, yielding one row per timestamp
+// and player.
+function* memoryExportRows(bucket, range, playerId) {
+  const lists = [];
+  Object.entries(bucket ? bucket.players : {}).forEach(([id, playerSeries]) => {
+    if (playerId && Number(id) !== Number(playerId)) return;
+    [...ALL_METRICS, ...Object.keys(playerSeries.metrics || {})].forEach((metric) => {
+      const points = memoryExportPoints(playerSeries, metric, range);
+      if (points.length) lists.push({ player: Number(id), metric, points, next: 0 });
+    });
+  });
+  while (true) {
+    let head = null;
+    lists.forEach((list) => {
+      const point = list.points[list.next];
+      if (!point) return;
+      if (!head || point.t < head.t || (point.t === head.t && list.player < head.player)) {
+        head = { t: point.t, player: list.player };
+      }
+    });
+    if (!head) return;
+    const row = { t: head.t, player: head.player };
+    lists.forEach((list) => {
+      const point = list.points[list.next];
+      if (point && list.player === head.player && point.t === head.t) {
+        row[list.metric] = point.v;
+        list.next += 1;
+      }
+    });
+    yield row;
+  }
+}
+
+// Daily rollups, then hourly, then raw samples, each streamed ordered by time and pivoted
+// into rows as they arrive.
+async function streamDbExport(userKey, range, playerId, writer) {
+  const player = playerSql(playerId);
+  const sources = [
+    ...ROLLUP_TIERS.slice().reverse().map((tier) => ({ table: tier.table, t: "last_t", v: "last_v" })),
+    { table: "samples", t: "t", v: "v" }
+  ];
+  for (const source of sources) {
+    const timeRange = rangeSql(range, source.t);
+    const stream = db.stream(
+      `
+        SELECT ${source.t} AS t, player_id, metric, ${source.v} AS v FROM ${source.table}
+        WHERE user_key = ?${player.sql} AND ${timeRange.sql}
+        ORDER BY ${source.t} ASC, player_id ASC
+      `,
+      [userKey, ...player.params, ...timeRange.params]
+    );
+    let row = null;
+    for await (const sample of stream) {
+      const t = Number(sample.t);
+      const id = Number(sample.player_id);
+      if (row && (row.t !== t || row.player !== id)) {
+        await writer.write(row);
+        // Leaving the loop closes the stream, which ends the query.
+        if (writer.aborted) return;
+        row = null;
+      }
+      if (!row) row = { t, player: id };
+      row[sample.metric] = Number(sample.v);
+    }
+    if (row) await writer.write(row);
+  }
+}
+
+async function sendStatsExport(req, res, userKey, playerId, name) {
+  const exportQuery = parseExportQuery(req.query);
+  if (exportQuery.error) {
+    return res.status(400).json({ error: exportQuery.error });
+  }
+  const filename = `bee-stats-${name}-${exportQuery.from}`;
+  const writer = createExportWriter(res, exportQuery.format, filename, STORAGE_BACKEND);
+  if (USE_DB) {
+    try {
+      await streamDbExport(userKey, exportQuery, playerId, writer);
+      return writer.end();
+    } catch (err) {
+      logFallback("Failed to export from DB", err);
+      // Rows already sent cannot be followed by another source; cut the response instead.
+      if (writer.started) return res.destroy();
+      writer.mode = "memory-fallback";
+    }
+  }
+  for (const row of memoryExportRows(samples[userKey], exportQuery, playerId)) {
+    await writer.write(row);
+    if (writer.aborted) return;
+  }
+  writer.end();
+}
+
+const exportFailed = (res) => (err) => {
+  log.error("Export failed", err);
+  if (!res.headersSent) return res.status(500).json({ error: "export failed" });
+  res.destroy();
+};
+
+app.get("/api/stats/export", requireReadKey, (req, res) => {
+  sendStatsExport(req, res, req.userKey, null, getPublicId(req.userKey)).catch(exportFailed(res));
+});
+
+app.get("/api/player/:publicId/stats/export", requireViewerKey, asyncRoute(async (req, res) => {
+  const resolved = await resolveUserKeyFromPublicId(req.params.publicId);
+  if (!resolved) {
+    return res.status(404).json({ error: "not found" });
+  }
+  sendStatsExport(req, res, resolved.userKey, resolved.playerId || null, resolved.publicId || req.params.publicId)
+    .catch(exportFailed(res));
+}));
+
+// Honey leaderboard. Players are sessions (alts), or the user key itself for samples sent
+// without one. Honey gained is the sum of positive steps between the closing values of
+// 5-minute buckets (rollup rows stand in for their hour or day), so spending honey never
+// counts against a player and both storage modes do the same math. Users who opted out
+// are left out entirely. Results are cached briefly since every request scans all users.
+const LEADERBOARD_PERIODS = { "24h": 86400, "7d": 7 * 86400, all: null };
+const LEADERBOARD_SORTS = { gained: "gained", current: "currentHoney" };
+const LEADERBOARD_BUCKET = 300;
+const LEADERBOARD_LIMIT = 100;
+const LEADERBOARD_CACHE_MS = 60 * 1000;
+const leaderboardCache = new Map();
+
+// steps: [{ t, min, last }] of one player's honey series.
+const gainFromSteps = (steps) => {
+  steps.sort((a, b) => a.t - b.t);
+  let gained = 0;
+  steps.forEach((step, i) => {
+    const prev = i ? steps[i - 1].last : step.min;
+    if (step.last > prev) gained += step.last - prev;
+  });
+  return gained;
+};
+
+const playerKey = (userKey, playerId) => `${userKey}:${playerId || 0}`;
+
+function memoryLeaderboardSource(from) {
+  const range = { from: from === null ? 0 : from, to: null };
+  const buckets = fixedBuckets(LEADERBOARD_BUCKET);
+  const steps = new Map();
+  const sessions = [];
+  const users = [];
+  Object.entries(samples).forEach(([userKey, bucket]) => {
+    if (bucket.leaderboardOptOut) return;
+    users.push({
+      userKey,
+      publicId: bucket.publicId,
+      username: bucket.username,
+      currentHoney: bucket.currentHoney,
+      lastSeen: bucket.lastSeen
+    });
+    Object.values(memorySessions[userKey] || {}).forEach((session) => sessions.push({ userKey, ...session }));
+    Object.entries(bucket.players).forEach(([playerId, playerSeries]) => {
+      const partials = [
+        ...memoryRollupPartials(playerSeries, "honey", range),
+        ...playerSeries.honey.filter(inRange(range)).map(pointPartial)
+      ];
+      if (!partials.length) return;
+      steps.set(
+        playerKey(userKey, Number(playerId)),
+        bucketPartials(partials, buckets).map((partial) => ({ t: partial.t, min: partial.min, last: partial.last }))
+      );
+    });
+  });
+  return { steps, sessions, users };
+}
+
+async function dbLeaderboardSource(from) {
+  const since = from === null ? 0 : from;
+  const visible = "user_key NOT IN (SELECT user_key FROM users WHERE leaderboard_opt_out = 1)";
+  const steps = new Map();
+  const addStep = (row) => {
+    const key = playerKey(row.user_key, Number(row.player_id));
+    if (!steps.has(key)) steps.set(key, []);
+    steps.get(key).push({ t: Number(row.bucket), min: Number(row.min_v), last: Number(row.last_v) });
+  };
+  const [rawRows] = await db.query(
+    `
+      SELECT user_key, player_id, FLOOR(t / ${LEADERBOARD_BUCKET}) * ${LEADERBOARD_BUCKET} AS bucket,
+        MIN(v) AS min_v, ${LAST_VALUE_SQL("v")} AS last_v
+      FROM samples
+      WHERE metric = 'honey' AND t >= ? AND ${visible}
+      GROUP BY user_key, player_id, bucket
+    `,
+    [since]
+  );
+  rawRows.forEach(addStep);
+  for (const tier of ROLLUP_TIERS) {
+    const timeRange = rollupRangeSql({ from: since, to: null }, tier.width);
+    const [rows] = await db.query(
+      `
+        SELECT user_key, player_id, t AS bucket, min_v, last_v
+        FROM ${tier.table}
+        WHERE metric = 'honey' AND ${timeRange.sql} AND ${visible}
+      `,
+      timeRange.params
+    );
+    rows.forEach(addStep);
+  }
+  const [sessionRows] = await db.query(
+    `SELECT session_public_id, user_key, player_id, username, current_honey, last_seen FROM ${PLAYER_SESSIONS_TABLE}`
+  );
+  const [userRows] = await db.query(
+    "SELECT user_key, public_id, username, current_honey, last_activity FROM users WHERE leaderboard_opt_out = 0"
+  );
+  return {
+    steps,
+    sessions: sessionRows.map((row) => ({
+      userKey: row.user_key,
+      playerId: Number(row.player_id),
+      publicId: row.session_public_id,
+      username: row.username,
+      currentHoney: row.current_honey,
+      lastSeen: row.last_seen
+    })),
+    users: userRows.map((row) => ({
+      userKey: row.user_key,
+      publicId: row.public_id || getPublicId(row.user_key),
+      username: row.username,
+      currentHoney: row.current_honey,
+      lastSeen: row.last_activity
+    }))
+  };
+}
+
+// Honey without a known session is credited to the user key's own entry, which is also
+// listed for users that never reported a session.
+function buildLeaderboard({ steps, sessions, users }, from) {
+  const entries = new Map();
+  const userInfo = new Map(users.map((user) => [user.userKey, user]));
+  const withSessions = new Set();
+  const entry = (key, info) => {
+    if (!entries.has(key)) {
+      entries.set(key, {
+        id: info.publicId,
+        username: info.username || "Player",
+        gained: 0,
+        currentHoney: Number(info.currentHoney) || 0,
+        lastSeen: Number(info.lastSeen) || 0,
+        active: false
+      });
+    }
+    return entries.get(key);
+  };
+  sessions.forEach((session) => {
+    if (!userInfo.has(session.userKey)) return;
+    withSessions.add(session.userKey);
+    entry(playerKey(session.userKey, session.playerId), session);
+  });
+  users.forEach((user) => {
+    if (!withSessions.has(user.userKey) && user.lastSeen) entry(playerKey(user.userKey, 0), user);
+  });
+  steps.forEach((playerSteps, key) => {
+    const userKey = key.slice(0, key.lastIndexOf(":"));
+    if (!userInfo.has(userKey)) return;
+    const target = entries.get(key) || entry(playerKey(userKey, 0), userInfo.get(userKey));
+    target.gained += gainFromSteps(playerSteps);
+    target.active = true;
+  });
+  return Array.from(entries.values()).filter((item) => item.active || from === null || item.lastSeen >= from);
+}
+
+async function loadLeaderboard(period) {
+  const cached = leaderboardCache.get(period);
+  if (cached && Date.now() - cached.at < LEADERBOARD_CACHE_MS) return cached;
+  const seconds = LEADERBOARD_PERIODS[period];
+  const from = seconds === null ? null : nowSec() - seconds;
+  let result;
+  if (!USE_DB) {
+    result = { entries: buildLeaderboard(memoryLeaderboardSource(from), from), mode: "memory" };
+  } else {
+    try {
+      result = { entries: buildLeaderboard(await dbLeaderboardSource(from), from), mode: STORAGE_BACKEND };
+    } catch (err) {
+      logFallback("Failed to build leaderboard from DB", err);
+      result = { entries: buildLeaderboard(memoryLeaderboardSource(from), from), mode: "memory-fallback" };
+    }
+  }
+  result.at = Date.now();
+  leaderboardCache.set(period, result);
+  return result;
+}
+
+// GET ?period=24h|7d|all&by=gained|current&limit=25
+app.get("/api/leaderboard", requireViewerKey, asyncRoute(async (req, res) => {
+  const period = req.query.period || "24h";
+  const by = req.query.by || "gained";
+  const limit = req.query.limit === undefined ? 25 : Number(req.query.limit);
+  if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_PERIODS, period)) {
+    return res.status(400).json({ error: `period must be one of ${Object.keys(LEADERBOARD_PERIODS).join(", ")}` });
+  }
+  if (!Object.prototype.hasOwnProperty.call(LEADERBOARD_SORTS, by)) {
+    return res.status(400).json({ error: `by must be one of ${Object.keys(LEADERBOARD_SORTS).join(", ")}` });
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > LEADERBOARD_LIMIT) {
+    return res.status(400).json({ error: `limit must be between 1 and ${LEADERBOARD_LIMIT}` });
+  }
+  const { entries, mode } = await loadLeaderboard(period);
+  const field = LEADERBOARD_SORTS[by];
+  const players = entries
+    .slice()
+    .sort((a, b) => b[field] - a[field] || a.username.localeCompare(b.username))
+    .slice(0, limit)
+    .map(({ active, ...item }, index) => ({ rank: index + 1, ...item }));
+  res.json({ period, by, mode, players });
+}));
+
+app.put("/api/leaderboard/opt-out", requireWriteKey, asyncRoute(async (req, res) => {
+  const optOut = req.body && req.body.optOut;
+  if (typeof optOut !== "boolean") {
+    return res.status(400).json({ error: "optOut boolean required" });
+  }
+  const { mode } = await storage.users.setLeaderboardOptOut(req.userKey, optOut);
+  leaderboardCache.clear();
+  res.json({ ok: true, optOut, mode });
+}));
+
+// API tokens
+app.post("/api/tokens", requireTokenAdmin, (req, res) => {
+  const body = req.body || {};
+  const scopes = Array.isArray(body.scopes) ? Array.from(new Set(body.scopes)) : null;
+  if (!scopes || !scopes.length || scopes.some((scope) => !TOKEN_SCOPES.includes(scope))) {
+    return res.status(400).json({ error: `scopes must be a non-empty subset of ${TOKEN_SCOPES.join(", ")}` });
+  }
+  if (req.token && scopes.some((scope) => !req.token.scopes.includes(scope))) {
+    return res.status(403).json({ error: "cannot grant scopes the calling token does not have" });
+  }
+  const name = typeof body.name === "string" ? body.name.trim().slice(0, 64) || null : null;
+  const owned = Object.values(apiTokens).filter((record) => record.userKey === req.userKey && !record.revokedAt);
+  if (!USE_DB && owned.length >= MAX_TOKENS_PER_USER) {
+    return res.status(409).json({ error: "token limit reached" });
+  }
+  const token = generateApiToken();
+  const hash = hashToken(token);
+  const record = {
+    id: crypto.randomBytes(8).toString("hex"),
+    userKey: req.userKey,
+    name,
+    scopes,
+    createdAt: nowSec(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  const respond = (mode) => res.status(201).json({ ok: true, mode, token, ...publicTokenView(record) });
+  if (!USE_DB) {
+    apiTokens[hash] = record;
+    logStoreEntry("apiTokens", hash);
+    return respond("memory");
+  }
+  (async () => {
+    try {
+      await ensureUser(req.userKey);
+      const [[{ active }]] = await db.query(
+        `SELECT COUNT(*) AS active FROM ${TOKEN_TABLE} WHERE user_key = ? AND revoked_at IS NULL`,
+        [req.userKey]
+      );
+      if (active >= MAX_TOKENS_PER_USER) {
+        return res.status(409).json({ error: "token limit reached" });
+      }
+      await db.query(
+        `INSERT INTO ${TOKEN_TABLE} (token_id, user_key, token_hash, name, scopes, created_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [record.id, record.userKey, hash, record.name, record.scopes.join(","), record.createdAt]
+      );
+      respond(STORAGE_BACKEND);
+    } catch (err) {
+      logFallback("Failed to write api token to DB", err);
+      apiTokens[hash] = record;
+      logStoreEntry("apiTokens", hash);
+      respond("memory-fallback");
+    }
+  })();
+});
+
+app.get("/api/tokens", requireTokenAdmin, asyncRoute(async (req, res) => {
+  const memoryList = Object.values(apiTokens).filter((record) => record.userKey === req.userKey);
+  const respond = (list) => {
+    list.sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ tokens: list.map(publicTokenView) });
+  };
+  if (!USE_DB) {
+    return respond(memoryList);
+  }
+  try {
+    const [rows] = await db.query(
+      `SELECT token_id, user_key, name, scopes, created_at, last_used_at, revoked_at FROM ${TOKEN_TABLE} WHERE user_key = ?`,
+      [req.userKey]
+    );
+    const list = rows.map(shapeTokenRow);
+    const known = new Set(list.map((record) => record.id));
+    memoryList.forEach((record) => {
+      if (!known.has(record.id)) list.push(record);
+    });
+    respond(list);
+  } catch (err) {
+    logFallback("Failed to list api tokens from DB", err);
+    respond(memoryList);
+  }
+}));
+
+app.delete("/api/tokens/:id", requireTokenAdmin, asyncRoute(async (req, res) => {
+  const id = req.params.id;
+  const now = nowSec();
+  let found = false;
+  Object.entries(apiTokens).forEach(([hash, record]) => {
+    if (record.id !== id || record.userKey !== req.userKey) return;
+    record.revokedAt = record.revokedAt || now;
+    logStoreEntry("apiTokens", hash);
+    found = true;
+  });
+  tokenCache.forEach((cached) => {
+    if (cached.record.id === id && cached.record.userKey === req.userKey) {
+      cached.record.revokedAt = cached.record.revokedAt || now;
+    }
+  });
+  if (USE_DB) {
+    try {
+      const [result] = await db.query(
+        `UPDATE ${TOKEN_TABLE} SET revoked_at = COALESCE(revoked_at, ?) WHERE token_id = ? AND user_key = ?`,
+        [now, id, req.userKey]
+      );
+      if (result.affectedRows) found = true;
+    } catch (err) {
+      log.error("Failed to revoke api token in DB", err);
+      if (!found) return res.status(503).json({ error: "revoke failed" });
+    }
+  }
+  if (!found) {
+    return res.status(404).json({ error: "not found" });
+  }
+  res.json({ ok: true, id, revokedAt: now });
+}));
+
+// Config sharing. A config belongs to the user key that created it; only that user can
+// update or delete it. Every save bumps `version` and keeps the saved state as a revision
+// (the newest CONFIG_VERSION_LIMIT are kept). With a database the in-memory `configs` map is a
+// write-through cache that serves reads when the DB fails. Public configs (which need a
+// name) are listed in the gallery; every fetch by someone other than the owner, and every
+// fork, counts as an import.
+// configs: { [key]: { config, owner, name, description, tags, public, imports, forkedFrom,
+//                     version, createdAt, at, versions: [revision] } }
+const CONFIG_VERSION_LIMIT = 50;
+const CONFIG_NAME_LIMIT = 64;
+const CONFIG_DESCRIPTION_LIMIT = 512;
+const CONFIG_TAG_LIMIT = 10;
+const CONFIG_TAG_PATTERN = /^[A-Za-z0-9 _.-]{1,32}$/;
+
+// mysql2 hands JSON columns back parsed; older servers return them as strings.
+const parseJsonColumn = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== "string") return value;
+  try { return JSON.parse(value); } catch (e) { return null; }
+};
+
+const validateConfigPayload = (config) => {
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    return { status: 400, error: "config object required" };
+  }
+  let json;
+  try {
+    json = JSON.stringify(config);
+  } catch (e) {
+    return { status: 400, error: "config not serializable" };
+  }
+  if (!json || json.length > CONFIG_JSON_LIMIT) {
+    return { status: 413, error: "config too large" };
+  }
+  return { config };
+};
+
+// Collects the fields of a save request; fields left out keep their previous value.
+function parseConfigChanges(body, requireConfig) {
+  const changes = {};
+  if (body.config !== undefined || requireConfig) {
+    const payload = validateConfigPayload(body.config);
+    if (payload.error) return payload;
+    changes.config = payload.config;
+  }
+  const text = (field, limit) => {
+    const value = body[field];
+    if (value === undefined) return null;
+    if (value === null) {
+      changes[field] = null;
+      return null;
+    }
+    if (typeof value !== "string" || value.length > limit) return `${field} must be a string of at most ${limit} characters`;
+    changes[field] = value.trim() || null;
+    return null;
+  };
+  const textError = text("name", CONFIG_NAME_LIMIT) || text("description", CONFIG_DESCRIPTION_LIMIT);
+  if (textError) return { status: 400, error: textError };
+  if (body.tags !== undefined) {
+    const tags = Array.isArray(body.tags) ? Array.from(new Set(body.tags)) : null;
+    if (!tags || tags.length > CONFIG_TAG_LIMIT || tags.some((tag) => typeof tag !== "string" || !CONFIG_TAG_PATTERN.test(tag))) {
+      return { status: 400, error: `tags must be at most ${CONFIG_TAG_LIMIT} strings matching ${CONFIG_TAG_PATTERN.source}` };
+    }
+    changes.tags = tags;
+  }
+  if (body.public !== undefined) {
+    if (typeof body.public !== "boolean") return { status: 400, error: "public must be a boolean" };
+    changes.public = body.public;
+  }
+  return { changes };
+}
+
+const nextConfigEntry = (existing, userKey, changes, now) => {
+  const pick = (field, fallback) => {
+    if (changes[field] !== undefined) return changes[field];
+    return existing && existing[field] !== undefined ? existing[field] : fallback;
+  };
+  return {
+    config: pick("config", {}),
+    owner: existing ? existing.owner : userKey,
+    name: pick("name", null),
+    description: pick("description", null),
+    tags: pick("tags", []),
+    public: pick("public", false),
+    imports: existing ? existing.imports || 0 : 0,
+    forkedFrom: existing ? existing.forkedFrom || null : changes.forkedFrom || null,
+    version: existing ? (existing.version || 1) + 1 : 1,
+    createdAt: existing ? existing.createdAt : now,
+    at: now
+  };
+};
+
+const checkConfigEntry = (entry) => {
+  if (entry.public && !entry.name) return { status: 400, error: "public configs need a name" };
+  return null;
+};
+
+const configRevision = (entry) => ({
+  version: entry.version,
+  config: entry.config,
+  name: entry.name,
+  description: entry.description,
+  tags: entry.tags,
+  at: entry.at
+});
+
+const configSummary = (key, entry) => ({
+  key,
+  name: entry.name || null,
+  description: entry.description || null,
+  tags: entry.tags || [],
+  public: !!entry.public,
+  imports: entry.imports || 0,
+  forkedFrom: entry.forkedFrom || null,
+  version: entry.version || 1,
+  createdAt: entry.createdAt || entry.at,
+  updatedAt: entry.at
+});
+
+const checkConfigOwner = (existing, userKey, mustExist) => {
+  if (!existing && mustExist) return { status: 404, error: "not found" };
+  if (existing && existing.owner !== userKey) return { status: 403, error: "config belongs to another user" };
+  return null;
+};
+
+const cacheConfigEntry = (key, entry) => {
+  const cached = configs[key];
+  const versions = cached && cached.versions ? cached.versions : [];
+  if (!versions.some((revision) => revision.version === entry.version)) versions.push(configRevision(entry));
+  configs[key] = { ...entry, versions: versions.slice(-CONFIG_VERSION_LIMIT) };
+  return configs[key];
+};
+
+function saveMemoryConfig(key, userKey, changes, mustExist) {
+  const existing = configs[key];
+  const denied = checkConfigOwner(existing, userKey, mustExist);
+  if (denied) return denied;
+  const entry = nextConfigEntry(existing, userKey, changes, nowSec());
+  const invalid = checkConfigEntry(entry);
+  if (invalid) return invalid;
+  logMemoryWrite({ op: "config", key, entry });
+  return { entry: cacheConfigEntry(key, entry) };
+}
+
+// With the database down only cached configs can be checked for their owner. Any other key
+// may exist there, so writing it would hand it to whoever asked first: those writes get 503.
+function saveFallbackConfig(key, userKey, changes, mustExist) {
+  if (!configs[key]) return { status: 503, error: "config storage unavailable" };
+  return saveMemoryConfig(key, userKey, changes, mustExist);
+}
+
+const CONFIG_META_COLUMNS = `config_key, user_key, name, description, tags, version, is_public, imports,
+  forked_from, forked_version, ${dialect.unixTime("created_at")} AS created_at,
+  ${dialect.unixTime("COALESCE(updated_at, created_at)")} AS at`;
+const CONFIG_COLUMNS = `${CONFIG_META_COLUMNS}, payload`;
+
+const shapeConfigRow = (row) => ({
+  config: parseJsonColumn(row.payload) || {},
+  owner: row.user_key,
+  name: row.name || null,
+  description: row.description || null,
+  tags: parseJsonColumn(row.tags) || [],
+  public: !!row.is_public,
+  imports: row.imports || 0,
+  forkedFrom: row.forked_from ? { key: row.forked_from, version: row.forked_version } : null,
+  version: row.version || 1,
+  createdAt: row.created_at || null,
+  at: row.at || nowSec()
+});
+
+async function saveDbConfig(key, userKey, changes, mustExist) {
+  const result = await withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT ${CONFIG_COLUMNS} FROM ${CONFIG_TABLE} WHERE config_key = ?${dialect.forUpdate}`,
+      [key]
+    );
+    const existing = rows && rows[0] ? shapeConfigRow(rows[0]) : null;
+    const denied = checkConfigOwner(existing, userKey, mustExist);
+    if (denied) return denied;
+    const entry = nextConfigEntry(existing, userKey, changes, nowSec());
+    const invalid = checkConfigEntry(entry);
+    if (invalid) return invalid;
+    const payload = JSON.stringify(entry.config);
+    const tags = JSON.stringify(entry.tags);
+    if (existing) {
+      await conn.query(
+        `
+          UPDATE ${CONFIG_TABLE}
+          SET payload = ?, name = ?, description = ?, tags = ?, is_public = ?, version = ?, updated_at = ${dialect.fromUnixTime("?")}
+          WHERE config_key = ?
+        `,
+        [payload, entry.name, entry.description, tags, entry.public ? 1 : 0, entry.version, entry.at, key]
+      );
+    } else {
+      await conn.query(
+        `
+          INSERT INTO ${CONFIG_TABLE}
+            (config_key, user_key, payload, name, description, tags, is_public, forked_from, forked_version,
+             version, created_at, updated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${dialect.fromUnixTime("?")}, ${dialect.fromUnixTime("?")})
+        `,
+        [
+          key, userKey, payload, entry.name, entry.description, tags, entry.public ? 1 : 0,
+          entry.forkedFrom ? entry.forkedFrom.key : null, entry.forkedFrom ? entry.forkedFrom.version : null,
+          entry.version, entry.at, entry.at
+        ]
+      );
+    }
+    await conn.query(
+      `
+        INSERT INTO ${CONFIG_VERSIONS_TABLE} (config_key, version, user_key, payload, name, description, tags, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ${dialect.fromUnixTime("?")})
+      `,
+      [key, entry.version, userKey, payload, entry.name, entry.description, tags, entry.at]
+    );
+    await conn.query(
+      `DELETE FROM ${CONFIG_VERSIONS_TABLE} WHERE config_key = ? AND version <= ?`,
+      [key, entry.version - CONFIG_VERSION_LIMIT]
+    );
+    return { entry };
+  });
+  if (result.entry) cacheConfigEntry(key, result.entry);
+  return result;
+}
+
+// Resolves to { entry, mode } or { status, error }.
+async function saveConfig(key, userKey, changes, mustExist) {
+  const { result, mode } = await storage.configs.save(key, userKey, changes, mustExist);
+  return { ...result, mode };
+}
+
+// Shared by POST /api/configs (create, or update when the caller owns `key`), PUT and fork.
+const sendConfigSave = async (req, res, key, changes, mustExist) => {
+  const result = await saveConfig(key, req.userKey, changes, mustExist);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
+  const { version, forkedFrom } = result.entry;
+  const { mode } = result;
+  res.json(forkedFrom ? { ok: true, key, version, forkedFrom, mode } : { ok: true, key, version, mode });
+};
+
+const loadMemoryConfig = (key) => configs[key] || null;
+
+// Configs written while the database was down are only in memory.
+async function loadDbConfig(key) {
+  const [rows] = await db.query(
+    `SELECT ${CONFIG_COLUMNS} FROM ${CONFIG_TABLE} WHERE config_key = ? LIMIT 1`,
+    [key]
+  );
+  return rows && rows[0] ? shapeConfigRow(rows[0]) : loadMemoryConfig(key);
+}
+
+const loadConfig = async (key) => (await storage.configs.load(key)).result;
+
+const countMemoryImport = (key) => {
+  if (!configs[key]) return;
+  logMemoryWrite({ op: "config-import", key });
+  configs[key].imports = (configs[key].imports || 0) + 1;
+};
+
+// The cached entry is counted too, so it stays in step with the row.
+async function countDbImport(key) {
+  await db.query(`UPDATE ${CONFIG_TABLE} SET imports = imports + 1 WHERE config_key = ?`, [key]);
+  countMemoryImport(key);
+}
+
+const countConfigImport = (key) => storage.configs.countImport(key);
+
+// Resolves to null once removed, or { status, error }.
+function removeMemoryConfig(key, userKey) {
+  const denied = checkConfigOwner(configs[key], userKey, true);
+  if (!denied) {
+    logMemoryWrite({ op: "config-delete", key });
+    delete configs[key];
+  }
+  return denied;
+}
+
+async function removeDbConfig(key, userKey) {
+  const denied = await withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT user_key AS owner FROM ${CONFIG_TABLE} WHERE config_key = ?${dialect.forUpdate}`,
+      [key]
+    );
+    const result = checkConfigOwner(rows && rows[0], userKey, true);
+    if (!result) await conn.query(`DELETE FROM ${CONFIG_TABLE} WHERE config_key = ?`, [key]);
+    return result;
+  });
+  if (!denied) delete configs[key];
+  return denied;
+}
+
+// The caller's own configs, newest first; payloads are left out.
+const listMemoryConfigs = (userKey) =>
+  Object.entries(configs)
+    .filter(([, entry]) => entry.owner === userKey)
+    .map(([key, entry]) => configSummary(key, entry))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+
+async function listDbConfigs(userKey) {
+  const [rows] = await db.query(
+    `SELECT ${CONFIG_META_COLUMNS} FROM ${CONFIG_TABLE} WHERE user_key = ? ORDER BY at DESC`,
+    [userKey]
+  );
+  return rows.map((row) => configSummary(row.config_key, shapeConfigRow(row)));
+}
+
+app.post("/api/configs", requireWriteKey, asyncRoute((req, res) => {
+  const parsed = parseConfigChanges(req.body || {}, true);
+  if (parsed.error) {
+    return res.status(parsed.status).json({ error: parsed.error });
+  }
+  let key = req.body && req.body.key;
+  if (typeof key !== "string" || !configKeyRegex.test(key)) {
+    key = generateConfigKey();
+  }
+  return sendConfigSave(req, res, key, parsed.changes, false);
+}));
+
+app.put("/api/configs/:key", requireWriteKey, asyncRoute((req, res) => {
+  const parsed = parseConfigChanges(req.body || {}, false);
+  if (parsed.error) {
+    return res.status(parsed.status).json({ error: parsed.error });
+  }
+  if (!Object.keys(parsed.changes).length) {
+    return res.status(400).json({ error: "nothing to update" });
+  }
+  return sendConfigSave(req, res, req.params.key, parsed.changes, true);
+}));
+
+app.delete("/api/configs/:key", requireWriteKey, asyncRoute(async (req, res) => {
+  const key = req.params.key;
+  const { result: denied, mode } = await storage.configs.remove(key, req.userKey);
+  if (denied) return res.status(denied.status).json({ error: denied.error });
+  res.json({ ok: true, key, mode });
+}));
+
+app.get("/api/configs", requireReadKey, asyncRoute(async (req, res) => {
+  const { result } = await storage.configs.list(req.userKey);
+  res.json({ configs: result });
+}));
+
+// Public gallery: ?q= searches name, description and tags, ?tag= filters on one tag,
+// sort=newest|imports, page/limit paginate. Authors are shown by public id, never user key.
+const GALLERY_SORTS = {
+  newest: { sql: "created_at DESC", compare: (a, b) => b.createdAt - a.createdAt },
+  imports: { sql: "imports DESC, created_at DESC", compare: (a, b) => b.imports - a.imports || b.createdAt - a.createdAt }
+};
+const GALLERY_PAGE_LIMIT = 100;
+
+const parseGalleryQuery = (query) => {
+  const sort = query.sort || "newest";
+  if (!GALLERY_SORTS[sort]) return { error: `sort must be one of ${Object.keys(GALLERY_SORTS).join(", ")}` };
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? 20 : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) return { error: "invalid page" };
+  if (!Number.isInteger(limit) || limit < 1 || limit > GALLERY_PAGE_LIMIT) {
+    return { error: `limit must be between 1 and ${GALLERY_PAGE_LIMIT}` };
+  }
+  const q = typeof query.q === "string" ? query.q.trim().toLowerCase().slice(0, 64) : "";
+  const tag = typeof query.tag === "string" && query.tag ? query.tag : null;
+  return { sort, page, limit, q, tag };
+};
+
+const galleryItem = (key, entry) => ({ ...configSummary(key, entry), author: getPublicId(entry.owner) });
+
+function memoryGallery(gallery) {
+  const matches = Object.entries(configs)
+    .filter(([, entry]) => entry.public)
+    .filter(([, entry]) => !gallery.tag || (entry.tags || []).includes(gallery.tag))
+    .filter(([, entry]) => {
+      if (!gallery.q) return true;
+      const haystack = [entry.name, entry.description, ...(entry.tags || [])].filter(Boolean).join("\n").toLowerCase();
+      return haystack.includes(gallery.q);
+    })
+    .map(([key, entry]) => galleryItem(key, entry))
+    .sort(GALLERY_SORTS[gallery.sort].compare);
+  const offset = (gallery.page - 1) * gallery.limit;
+  return { total: matches.length, configs: matches.slice(offset, offset + gallery.limit) };
+}
+
+async function dbGallery(gallery) {
+  const where = ["is_public = 1"];
+  const params = [];
+  if (gallery.q) {
+    // An explicit ESCAPE character: backslash is not the default escape on every backend.
+    const like = `%${gallery.q.replace(/[!%_]/g, "!$&")}%`;
+    const tags = dialect.jsonText("tags");
+    where.push(`(LOWER(name) LIKE ? ESCAPE '!' OR LOWER(description) LIKE ? ESCAPE '!' OR LOWER(${tags}) LIKE ? ESCAPE '!')`);
+    params.push(like, like, like);
+  }
+  if (gallery.tag) {
+    where.push(dialect.jsonArrayContains("tags"));
+    params.push(gallery.tag);
+  }
+  const [[count]] = await db.query(
+    `SELECT COUNT(*) AS total FROM ${CONFIG_TABLE} WHERE ${where.join(" AND ")}`,
+    params
+  );
+  const [rows] = await db.query(
+    `
+      SELECT ${CONFIG_META_COLUMNS} FROM ${CONFIG_TABLE}
+      WHERE ${where.join(" AND ")}
+      ORDER BY ${GALLERY_SORTS[gallery.sort].sql}
+      LIMIT ? OFFSET ?
+    `,
+    [...params, gallery.limit, (gallery.page - 1) * gallery.limit]
+  );
+  return {
+    total: Number(count.total),
+    configs: rows.map((row) => galleryItem(row.config_key, shapeConfigRow(row)))
+  };
+}
+
+app.get("/api/configs/gallery", requireConfigReadKey, asyncRoute(async (req, res) => {
+  const gallery = parseGalleryQuery(req.query);
+  if (gallery.error) {
+    return res.status(400).json({ error: gallery.error });
+  }
+  const { result } = await storage.configs.gallery(gallery);
+  res.json({ ...result, page: gallery.page, limit: gallery.limit, sort: gallery.sort });
+}));
+
+app.get("/api/configs/:key", requireConfigReadKey, asyncRoute(async (req, res) => {
+  const entry = await loadConfig(req.params.key);
+  if (!entry) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const imports = entry.imports || 0;
+  if (entry.owner !== req.userKey) await countConfigImport(req.params.key);
+  res.json({
+    config: entry.config,
+    // The owner's user key is their write credential under shared keys; only its public id leaves.
+    author: entry.owner ? getPublicId(entry.owner) : null,
+    isOwner: !!req.userKey && entry.owner === req.userKey,
+    at: entry.at || nowSec(),
+    name: entry.name || null,
+    description: entry.description || null,
+    tags: entry.tags || [],
+    public: !!entry.public,
+    imports,
+    forkedFrom: entry.forkedFrom || null,
+    version: entry.version || 1
+  });
+}));
+
+// Copies a public config (or one of your own) into a new key owned by the caller.
+app.post("/api/configs/:key/fork", requireWriteKey, asyncRoute(async (req, res) => {
+  const source = await loadConfig(req.params.key);
+  if (!source || (!source.public && source.owner !== req.userKey)) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const parsed = parseConfigChanges({ name: (req.body || {}).name }, false);
+  if (parsed.error) {
+    return res.status(parsed.status).json({ error: parsed.error });
+  }
+  if (source.owner !== req.userKey) await countConfigImport(req.params.key);
+  return sendConfigSave(req, res, generateConfigKey(), {
+    config: source.config,
+    name: parsed.changes.name !== undefined ? parsed.changes.name : source.name,
+    description: source.description,
+    tags: source.tags,
+    public: false,
+    forkedFrom: { key: req.params.key, version: source.version || 1 }
+  }, false);
+}));
+
+// Revision history, oldest first. Payloads are only returned for a single version.
+const memoryConfigRevisions = (key, version) => {
+  const entry = configs[key];
+  if (!entry) return null;
+  return (entry.versions || []).filter((revision) => !version || revision.version === version);
+};
+
+async function dbConfigRevisions(key, version) {
+  const [rows] = await db.query(
+    `
+      SELECT version, ${version ? "payload, " : ""}name, description, tags, ${dialect.unixTime("created_at")} AS at
+      FROM ${CONFIG_VERSIONS_TABLE}
+      WHERE config_key = ?${version ? " AND version = ?" : ""}
+      ORDER BY version ASC
+    `,
+    version ? [key, version] : [key]
+  );
+  if (!rows.length) return memoryConfigRevisions(key, version);
+  return rows.map((row) => ({
+    version: row.version,
+    config: version ? parseJsonColumn(row.payload) || {} : undefined,
+    name: row.name || null,
+    description: row.description || null,
+    tags: parseJsonColumn(row.tags) || [],
+    at: row.at
+  }));
+}
+
+defineStorage("configs", {
+  memory: {
+    save: saveMemoryConfig,
+    load: loadMemoryConfig,
+    countImport: countMemoryImport,
+    remove: removeMemoryConfig,
+    list: listMemoryConfigs,
+    gallery: memoryGallery,
+    revisions: memoryConfigRevisions
+  },
+  sql: {
+    save: saveDbConfig,
+    load: loadDbConfig,
+    countImport: countDbImport,
+    remove: removeDbConfig,
+    list: listDbConfigs,
+    gallery: dbGallery,
+    revisions: dbConfigRevisions
+  },
+  fallback: {
+    save: saveFallbackConfig
+  },
+  failures: {
+    save: "Failed to write config to DB",
+    load: "Failed to fetch config from DB",
+    countImport: "Failed to count config import",
+    remove: "Failed to delete config from DB",
+    list: "Failed to list configs from DB",
+    gallery: "Failed to list config gallery from DB",
+    revisions: "Failed to fetch config versions from DB"
+  }
+});
+
+const loadConfigRevisions = async (key, version) => (await storage.configs.revisions(key, version)).result;
+
+app.get("/api/configs/:key/versions", requireConfigReadKey, asyncRoute(async (req, res) => {
+  const revisions = await loadConfigRevisions(req.params.key);
+  if (!revisions) {
+    return res.status(404).json({ error: "not found" });
+  }
+  res.json({
+    key: req.params.key,
+    versions: revisions.map(({ config, ...meta }) => meta).reverse()
+  });
+}));
+
+app.get("/api/configs/:key/versions/:version", requireConfigReadKey, asyncRoute(async (req, res) => {
+  const version = Number(req.params.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({ error: "invalid version" });
+  }
+  const revisions = await loadConfigRevisions(req.params.key, version);
+  if (!revisions || !revisions.length) {
+    return res.status(404).json({ error: "not found" });
+  }
+  res.json({ key: req.params.key, ...revisions[0] });
+}));
+
+// Config diff and merge. Plain objects are compared key by key; anything else (scalars,
+// arrays) is one value that is either equal or changed. Paths are arrays of keys.
+const isPlainObject = (value) => !!value && typeof value === "object" && !Array.isArray(value);
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+  }
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every((key) => key in b && deepEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+const unionKeys = (...objects) => Array.from(new Set(objects.flatMap((obj) => (isPlainObject(obj) ? Object.keys(obj) : []))));
+
+function diffConfigs(from, to, path = [], changes = []) {
+  if (deepEqual(from, to)) return changes;
+  if (isPlainObject(from) && isPlainObject(to)) {
+    unionKeys(from, to).forEach((key) => diffConfigs(from[key], to[key], [...path, key], changes));
+  } else if (from === undefined) {
+    changes.push({ op: "added", path, to });
+  } else if (to === undefined) {
+    changes.push({ op: "removed", path, from });
+  } else {
+    changes.push({ op: "changed", path, from, to });
+  }
+  return changes;
+}
+
+// Applies the base -> theirs changes onto ours. A path both sides changed differently is a
+// conflict; it keeps our value unless `prefer` is "theirs". `undefined` means "key absent".
+function mergeConfigs(base, ours, theirs, prefer, path = [], conflicts = []) {
+  if (deepEqual(ours, theirs) || deepEqual(base, theirs)) return { merged: ours, conflicts };
+  if (deepEqual(base, ours)) return { merged: theirs, conflicts };
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    unionKeys(ours, theirs).forEach((key) => {
+      const value = mergeConfigs(baseObject[key], ours[key], theirs[key], prefer, [...path, key], conflicts).merged;
+      if (value !== undefined) merged[key] = value;
+    });
+    return { merged, conflicts };
+  }
+  conflicts.push({ path, base, ours, theirs });
+  return { merged: prefer === "theirs" ? theirs : ours, conflicts };
+}
+
+const parseVersionParam = (value) => {
+  if (value === undefined || value === null || value === "") return { version: null };
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) return { error: "invalid version" };
+  return { version };
+};
+
+// A config at a revision, or its current state without one: { key, version, config }.
+async function loadConfigAt(key, version) {
+  if (!version) {
+    const entry = await loadConfig(key);
+    return entry ? { key, version: entry.version || 1, config: entry.config, entry } : null;
+  }
+  const revisions = await loadConfigRevisions(key, version);
+  return revisions && revisions.length ? { key, version, config: revisions[0].config } : null;
+}
+
+const sendConfigDiff = async (res, fromRef, toRef) => {
+  const [from, to] = await Promise.all([loadConfigAt(fromRef.key, fromRef.version), loadConfigAt(toRef.key, toRef.version)]);
+  if (!from || !to) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const changes = diffConfigs(from.config, to.config);
+  const count = (op) => changes.filter((change) => change.op === op).length;
+  res.json({
+    from: { key: from.key, version: from.version },
+    to: { key: to.key, version: to.version },
+    changes,
+    summary: { added: count("added"), removed: count("removed"), changed: count("changed") }
+  });
+};
+
+// ?version= picks a revision of :key and ?otherVersion= one of :otherKey; both default to current.
+app.get("/api/configs/:key/diff/:otherKey", requireConfigReadKey, asyncRoute((req, res) => {
+  const version = parseVersionParam(req.query.version);
+  const otherVersion = parseVersionParam(req.query.otherVersion);
+  if (version.error || otherVersion.error) {
+    return res.status(400).json({ error: "invalid version" });
+  }
+  return sendConfigDiff(
+    res,
+    { key: req.params.key, version: version.version },
+    { key: req.params.otherKey, version: otherVersion.version }
+  );
+}));
+
+app.get("/api/configs/:key/versions/:from/diff/:to", requireConfigReadKey, asyncRoute((req, res) => {
+  const from = parseVersionParam(req.params.from);
+  const to = parseVersionParam(req.params.to);
+  if (from.error || to.error) {
+    return res.status(400).json({ error: "invalid version" });
+  }
+  return sendConfigDiff(res, { key: req.params.key, version: from.version }, { key: req.params.key, version: to.version });
+}));
+
+// Without an explicit base, the fork link between the two configs supplies the common ancestor.
+const mergeBaseFor = (ours, theirs) => {
+  const oursFork = ours.entry.forkedFrom;
+  const theirsFork = theirs.entry && theirs.entry.forkedFrom;
+  if (oursFork && oursFork.key === theirs.key) return { key: theirs.key, version: oursFork.version };
+  if (theirsFork && theirsFork.key === ours.key) return { key: ours.key, version: theirsFork.version };
+  return null;
+};
+
+// POST { from: otherKey, fromVersion?, base?: { key, version }, prefer?: "ours" | "theirs", dryRun? }
+// merges the changes `from` made since the base onto :key (which the caller must own) and
+// saves the result as a new version. Conflicts without `prefer` answer 409 and save nothing.
+app.post("/api/configs/:key/merge", requireWriteKey, asyncRoute(async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.from !== "string" || !body.from) {
+    return res.status(400).json({ error: "from config key required" });
+  }
+  const fromVersion = parseVersionParam(body.fromVersion);
+  const baseVersion = parseVersionParam(body.base && body.base.version);
+  if (fromVersion.error || baseVersion.error) {
+    return res.status(400).json({ error: "invalid version" });
+  }
+  if (body.prefer !== undefined && body.prefer !== "ours" && body.prefer !== "theirs") {
+    return res.status(400).json({ error: "prefer must be ours or theirs" });
+  }
+  const ours = await loadConfigAt(req.params.key, null);
+  if (!ours) {
+    return res.status(404).json({ error: "not found" });
+  }
+  if (ours.entry.owner !== req.userKey) {
+    return res.status(403).json({ error: "config belongs to another user" });
+  }
+  const theirs = await loadConfigAt(body.from, fromVersion.version);
+  if (!theirs) {
+    return res.status(404).json({ error: "from config not found" });
+  }
+  const baseRef = body.base
+    ? { key: typeof body.base.key === "string" ? body.base.key : theirs.key, version: baseVersion.version }
+    : mergeBaseFor(ours, theirs);
+  if (!baseRef) {
+    return res.status(400).json({ error: "base required: the configs are not forks of each other" });
+  }
+  const base = await loadConfigAt(baseRef.key, baseRef.version);
+  if (!base) {
+    return res.status(404).json({ error: "base config not found" });
+  }
+  const { merged, conflicts } = mergeConfigs(base.config, ours.config, theirs.config, body.prefer);
+  const result = {
+    base: { key: base.key, version: base.version },
+    theirs: { key: theirs.key, version: theirs.version },
+    merged,
+    conflicts
+  };
+  if (conflicts.length && !body.prefer) {
+    return res.status(409).json({ error: "merge conflicts", ...result });
+  }
+  if (body.dryRun || deepEqual(merged, ours.config)) {
+    return res.json({ ok: true, saved: false, version: ours.version, ...result });
+  }
+  const validated = validateConfigPayload(merged);
+  if (validated.error) {
+    return res.status(validated.status).json({ error: validated.error });
+  }
+  const saved = await saveConfig(req.params.key, req.userKey, { config: merged }, true);
+  if (saved.error) {
+    return res.status(saved.status).json({ error: saved.error });
+  }
+  res.json({ ok: true, saved: true, version: saved.entry.version, mode: saved.mode, ...result });
+}));
+
+// Metric registry. Built-in metrics (honey, pollen, backpack, nectar) keep their own ingest
+// fields and response slots; anything else is registered with PUT /api/metrics/:name and then
+// ingested through `metrics: {name: value}` and returned under `metrics` by /api/stats.
+// Counters (kind "counter") are summed across players and get gained/perHour in the summary
+// like honey; gauges are averaged like nectar. A definition's kind is fixed once registered.
+// The registry is shared, so a definition belongs to the user who registered it: only they can
+// change its unit or group, and each user registers at most MAX_METRICS_PER_USER. Definitions
+// stored before owners were recorded have none and can no longer be changed.
+// In database mode `metricRegistry` is a cache of the metric_definitions table, reloaded
+// every METRIC_REGISTRY_TTL seconds and whenever a request names a metric it does not know.
+// metricRegistry: { [name]: { name, unit, kind, group, createdAt, owner } }
+const METRIC_DEFINITIONS_TABLE = "metric_definitions";
+const METRIC_KINDS = ["gauge", "counter"];
+const METRIC_NAME_REGEX = /^[a-z][a-z0-9_]{1,31}$/;
+const METRIC_UNIT_REGEX = /^[A-Za-z0-9 %/._-]{1,16}$/;
+const METRIC_GROUP_REGEX = /^[A-Za-z0-9 _.-]{1,32}$/;
+const MAX_REGISTERED_METRICS = 100;
+const MAX_METRICS_PER_USER = 10;
+const METRIC_REGISTRY_TTL = 60;
+const METRIC_REGISTRY_RETRY = 5; // seconds between reloads caused by unknown names
+const BUILTIN_METRIC_DEFINITIONS = [
+  { name: "honey", unit: null, kind: "counter", group: "honey" },
+  { name: "pollen", unit: null, kind: "counter", group: "pollen" },
+  { name: "backpack", unit: null, kind: "gauge", group: "backpack" },
+  { name: "backpack_capacity", unit: null, kind: "gauge", group: "backpack" },
+  ...NECTAR_METRICS.map((name) => ({ name, unit: "%", kind: "gauge", group: "nectar" }))
+];
+const metricRegistry = {};
+let metricRegistryLoadedAt = 0;
+
+const isRegisteredMetricName = (name) => !ALL_METRICS.includes(name) && !!metricRegistry[name];
+const metricKind = (name) => (metricRegistry[name] ? metricRegistry[name].kind : null);
+const registeredMetricNames = () => Object.keys(metricRegistry).sort();
+
+const METRIC_COLUMNS = "name, unit, kind, display_group, user_key, created_at";
+
+const shapeMetricRow = (row) => ({
+  name: row.name,
+  unit: row.unit || null,
+  kind: row.kind,
+  group: row.display_group || null,
+  createdAt: Number(row.created_at),
+  owner: row.user_key || null
+});
+
+// The owner's user key never leaves the server.
+const publicMetricDefinition = ({ owner, ...definition }) => definition;
+
+async function loadMetricRegistry() {
+  if (!USE_DB || !db) return;
+  try {
+    const [rows] = await db.query(`SELECT ${METRIC_COLUMNS} FROM ${METRIC_DEFINITIONS_TABLE}`);
+    Object.keys(metricRegistry).forEach((name) => delete metricRegistry[name]);
+    rows.forEach((row) => {
+      metricRegistry[row.name] = shapeMetricRow(row);
+    });
+    metricRegistryLoadedAt = nowSec();
+  } catch (err) {
+    log.error("Failed to load metric registry", err);
+  }
+}
+
+// Middleware: refreshes the cache before handlers that validate metric names synchronously.
+// `namesOf(req)` lists the names the request uses.
+const syncMetricRegistry = (namesOf) => (req, _res, next) => {
+  if (!USE_DB) return next();
+  const age = nowSec() - metricRegistryLoadedAt;
+  const unknown = namesOf(req).some((name) => !ALL_METRICS.includes(name) && !metricRegistry[name]);
+  if (age < METRIC_REGISTRY_TTL && !(unknown && age >= METRIC_REGISTRY_RETRY)) return next();
+  loadMetricRegistry().then(() => next());
+};
+
+const ingestMetricNames = (req) => {
+  const bodies = req.body && Array.isArray(req.body.samples) ? req.body.samples : [req.body];
+  return bodies.flatMap((body) => (body && isPlainObject(body.metrics) ? Object.keys(body.metrics) : []));
+};
+
+const validateMetricDefinition = (name, body, existing) => {
+  const errors = [];
+  if (!METRIC_NAME_REGEX.test(name)) {
+    errors.push(`name must match ${METRIC_NAME_REGEX.source}`);
+  } else if (ALL_METRICS.includes(name) || name.startsWith("nectar_") || IMPORT_FIELDS.includes(name)) {
+    errors.push(`${name} is reserved`);
+  }
+  const kind = body.kind === undefined ? (existing ? existing.kind : "gauge") : body.kind;
+  if (!METRIC_KINDS.includes(kind)) errors.push(`kind must be one of ${METRIC_KINDS.join(", ")}`);
+  const unit = body.unit === undefined ? (existing ? existing.unit : null) : body.unit;
+  if (unit !== null && (typeof unit !== "string" || !METRIC_UNIT_REGEX.test(unit))) {
+    errors.push(`unit must be null or match ${METRIC_UNIT_REGEX.source}`);
+  }
+  const group = body.group === undefined ? (existing ? existing.group : null) : body.group;
+  if (group !== null && (typeof group !== "string" || !METRIC_GROUP_REGEX.test(group))) {
+    errors.push(`group must be null or match ${METRIC_GROUP_REGEX.source}`);
+  }
+  if (errors.length) return { status: 400, error: "invalid metric", details: errors };
+  if (existing && kind !== existing.kind) return { status: 409, error: "kind of a registered metric cannot change" };
+  return { definition: { name, unit, kind, group, createdAt: existing ? existing.createdAt : nowSec() } };
+};
+
+// `counts` is { owned, total }: the definitions of userKey and of everyone. Resolves to
+// { definition } or { status, error, details? }.
+const checkMetricSave = (name, body, userKey, existing, counts) => {
+  const checked = validateMetricDefinition(name, body, existing);
+  if (checked.error) return checked;
+  if (existing && existing.owner !== userKey) return { status: 403, error: "metric belongs to another user" };
+  if (!existing && counts.owned >= MAX_METRICS_PER_USER) {
+    return { status: 409, error: `at most ${MAX_METRICS_PER_USER} registered metrics per user` };
+  }
+  if (!existing && counts.total >= MAX_REGISTERED_METRICS) {
+    return { status: 409, error: `at most ${MAX_REGISTERED_METRICS} registered metrics` };
+  }
+  return { definition: { ...checked.definition, owner: userKey } };
+};
+
+function saveMemoryMetric(name, body, userKey) {
+  const definitions = Object.values(metricRegistry);
+  const checked = checkMetricSave(name, body, userKey, metricRegistry[name] || null, {
+    owned: definitions.filter((definition) => definition.owner === userKey).length,
+    total: definitions.length
+  });
+  if (checked.error) return checked;
+  logMemoryWrite({ op: "metric", definition: checked.definition });
+  metricRegistry[name] = checked.definition;
+  return checked;
+}
+
+// The upsert only changes a row its owner wrote, so a name registered by someone else between
+// the read and the write stays theirs.
+async function saveDbMetric(name, body, userKey) {
+  const table = METRIC_DEFINITIONS_TABLE;
+  const ownRow = `${table}.user_key = ${dialect.excluded("user_key")}`;
+  const checked = await withTransaction(async (conn) => {
+    const [rows] = await conn.query(`SELECT ${METRIC_COLUMNS} FROM ${table} WHERE name = ?${dialect.forUpdate}`, [name]);
+    const [[counts]] = await conn.query(
+      `SELECT COUNT(*) AS total, COALESCE(SUM(CASE WHEN user_key = ? THEN 1 ELSE 0 END), 0) AS owned FROM ${table}`,
+      [userKey]
+    );
+    const result = checkMetricSave(name, body, userKey, rows[0] ? shapeMetricRow(rows[0]) : null, {
+      owned: Number(counts.owned),
+      total: Number(counts.total)
+    });
+    if (result.error) return result;
+    const { definition } = result;
+    await conn.query(
+      `
+        INSERT INTO ${table} (name, unit, kind, display_group, user_key, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ${dialect.upsert("name")}
+          unit = CASE WHEN ${ownRow} THEN ${dialect.excluded("unit")} ELSE ${table}.unit END,
+          display_group = CASE WHEN ${ownRow} THEN ${dialect.excluded("display_group")} ELSE ${table}.display_group END
+      `,
+      [definition.name, definition.unit, definition.kind, definition.group, userKey, definition.createdAt]
+    );
+    const [[stored]] = await conn.query(`SELECT user_key FROM ${table} WHERE name = ?`, [name]);
+    if (stored.user_key !== userKey) return { status: 403, error: "metric belongs to another user" };
+    return result;
+  });
+  if (checked.definition) metricRegistry[name] = checked.definition;
+  return checked;
+}
+
+defineStorage("metrics", {
+  memory: { save: saveMemoryMetric },
+  sql: { save: saveDbMetric },
+  failures: { save: "Failed to store metric definition" }
+});
+
+app.get("/api/metrics", requireViewerKey, syncMetricRegistry(() => []), (_req, res) => {
+  res.json({
+    metrics: [
+      ...BUILTIN_METRIC_DEFINITIONS.map((definition) => ({ ...definition, builtin: true })),
+      ...registeredMetricNames().map((name) => ({ ...publicMetricDefinition(metricRegistry[name]), builtin: false }))
+    ]
+  });
+});
+
+// PUT /api/metrics/:name {unit?, kind?, group?} registers a metric or updates the unit/group
+// of one you registered.
+app.put("/api/metrics/:name", requireWriteKey, syncMetricRegistry((req) => [req.params.name]), asyncRoute(async (req, res) => {
+  const body = isPlainObject(req.body) ? req.body : {};
+  const { result, mode } = await storage.metrics.save(req.params.name, body, req.userKey);
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error, details: result.details });
+  }
+  res.json({ ok: true, mode, metric: publicMetricDefinition(result.definition) });
+}));
+
+// Buffs and tokens. An ingest sample may carry `buffs: [{name, stacks?, remaining?}]`, the buffs
+// active at `at` (remaining in seconds), and `tokens: [{type, count?}]`, the tokens collected
+// since the previous sample. Both are kept per player in buff_samples / token_events (memory:
+// playerSeries.buffs / .tokens); a repeated (player, name or type, t) replaces the earlier
+// row, so resending a sample is harmless. Like raw samples they are dropped after
+// RAW_RETENTION_DAYS, without rollups.
+// A buff snapshot counts as active from its t for `remaining` seconds (BUFF_DEFAULT_SPAN when
+// unknown, at most BUFF_MAX_SPAN); uptime is the union of those spans over the period.
+const BUFF_SAMPLES_TABLE = "buff_samples";
+const TOKEN_EVENTS_TABLE = "token_events";
+const EVENT_NAME_REGEX = /^[A-Za-z0-9][A-Za-z0-9 '()+.-]{0,47}$/;
+const MAX_SAMPLE_BUFFS = 50;
+const MAX_SAMPLE_TOKENS = 50;
+const MAX_EVENT_AMOUNT = 100000; // stacks of one buff / tokens of one type per sample
+const MAX_BUFF_REMAINING = 86400;
+const BUFF_DEFAULT_SPAN = 60;
+const BUFF_MAX_SPAN = 3600; // also how far before the period snapshots are read
+const BUFF_CONFLICT = "user_key, player_id, name, t";
+const TOKEN_CONFLICT = "user_key, player_id, token_type, t";
+
+const isEventAmount = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_EVENT_AMOUNT;
+
+const parseBuffs = (list) => {
+  if (!Array.isArray(list)) return { error: "buffs must be an array" };
+  if (list.length > MAX_SAMPLE_BUFFS) return { error: `at most ${MAX_SAMPLE_BUFFS} buffs per sample` };
+  const byName = new Map();
+  for (const buff of list) {
+    const name = buff && typeof buff.name === "string" ? buff.name.trim() : "";
+    if (!EVENT_NAME_REGEX.test(name)) return { error: `buff name must match ${EVENT_NAME_REGEX.source}` };
+    if (byName.has(name)) return { error: `duplicate buff ${name}` };
+    const stacks = buff.stacks === undefined || buff.stacks === null ? 1 : buff.stacks;
+    if (!isEventAmount(stacks)) return { error: `stacks of ${name} must be an integer from 1 to ${MAX_EVENT_AMOUNT}` };
+    const remaining = buff.remaining === undefined ? null : buff.remaining;
+    if (remaining !== null && !(isFiniteNumber(remaining) && remaining >= 0 && remaining <= MAX_BUFF_REMAINING)) {
+      return { error: `remaining of ${name} must be 0-${MAX_BUFF_REMAINING} seconds` };
+    }
+    byName.set(name, { name, stacks, remaining: remaining === null ? null : Math.round(remaining) });
+  }
+  return { buffs: Array.from(byName.values()) };
+};
+
+// Entries of the same type are added up.
+const parseTokens = (list) => {
+  if (!Array.isArray(list)) return { error: "tokens must be an array" };
+  if (list.length > MAX_SAMPLE_TOKENS) return { error: `at most ${MAX_SAMPLE_TOKENS} tokens per sample` };
+  const byType = new Map();
+  for (const token of list) {
+    const type = token && typeof token.type === "string" ? token.type.trim() : "";
+    if (!EVENT_NAME_REGEX.test(type)) return { error: `token type must match ${EVENT_NAME_REGEX.source}` };
+    const count = token.count === undefined || token.count === null ? 1 : token.count;
+    if (!isEventAmount(count)) return { error: `count of ${type} must be an integer from 1 to ${MAX_EVENT_AMOUNT}` };
+    byType.set(type, Math.min((byType.get(type) || 0) + count, MAX_EVENT_AMOUNT));
+  }
+  return { tokens: Array.from(byType, ([type, count]) => ({ type, count })) };
+};
+
+const memoryEvents = (playerSeries, kind) => {
+  if (!playerSeries[kind]) playerSeries[kind] = [];
+  return playerSeries[kind];
+};
+
+// Replaces an entry with the same t and `key` value, otherwise inserts in time order.
+const upsertMemoryEvent = (events, entry, key) => {
+  for (let i = firstIndexAt(events, entry.t); i < events.length && events[i].t === entry.t; i++) {
+    if (events[i][key] === entry[key]) {
+      events[i] = entry;
+      return;
+    }
+  }
+  pushSorted(events, entry);
+};
+
+function writeMemoryEvents(playerSeries, sample) {
+  const { t } = sample;
+  sample.buffs.forEach(({ name, stacks, remaining }) => {
+    upsertMemoryEvent(memoryEvents(playerSeries, "buffs"), { t, name, stacks, remaining }, "name");
+  });
+  sample.tokens.forEach(({ type, count }) => {
+    upsertMemoryEvent(memoryEvents(playerSeries, "tokens"), { t, type, count }, "type");
+  });
+}
+
+const pruneMemoryEvents = (playerSeries, cutoff) => {
+  ["buffs", "tokens"].forEach((kind) => {
+    const events = playerSeries[kind];
+    if (events && events.length && events[0].t < cutoff) events.splice(0, firstIndexAt(events, cutoff));
+  });
+};
+
+// Later samples win when a batch repeats a (player, name or type, t); Postgres refuses to
+// update the same row twice in one statement.
+async function insertDbEvents(conn, userKey, sampleList) {
+  const buffs = new Map();
+  const tokens = new Map();
+  sampleList.forEach((sample) => {
+    const playerId = sample.sessionPlayerId || 0;
+    sample.buffs.forEach((buff) => {
+      buffs.set(`${playerId}:${buff.name}:${sample.t}`, [userKey, playerId, sample.t, buff.name, buff.stacks, buff.remaining]);
+    });
+    sample.tokens.forEach((token) => {
+      tokens.set(`${playerId}:${token.type}:${sample.t}`, [userKey, playerId, sample.t, token.type, token.count]);
+    });
+  });
+  const excluded = dialect.excluded;
+  const insert = async (sql, rows) => {
+    for (let i = 0; i < rows.length; i += SAMPLE_INSERT_CHUNK) {
+      await conn.query(sql, [rows.slice(i, i + SAMPLE_INSERT_CHUNK)]);
+    }
+  };
+  await insert(
+    `
+      INSERT INTO ${BUFF_SAMPLES_TABLE} (user_key, player_id, t, name, stacks, remaining) VALUES ?
+      ${dialect.upsert(BUFF_CONFLICT)} stacks = ${excluded("stacks")}, remaining = ${excluded("remaining")}
+    `,
+    Array.from(buffs.values())
+  );
+  await insert(
+    `
+      INSERT INTO ${TOKEN_EVENTS_TABLE} (user_key, player_id, t, token_type, token_count) VALUES ?
+      ${dialect.upsert(TOKEN_CONFLICT)} token_count = ${excluded("token_count")}
+    `,
+    Array.from(tokens.values())
+  );
+}
+
+async function pruneDbEvents(cutoff) {
+  await db.query(`DELETE FROM ${BUFF_SAMPLES_TABLE} WHERE t < ?`, [cutoff]);
+  await db.query(`DELETE FROM ${TOKEN_EVENTS_TABLE} WHERE t < ?`, [cutoff]);
+}
+
+const memoryPlayersOf = (userKey, playerId) => {
+  const bucket = samples[userKey];
+  return Object.entries(bucket ? bucket.players : {}).filter(([id]) => !playerId || Number(id) === Number(playerId));
+};
+
+// Snapshots as [{ player, t, name, stacks, remaining }], ordered by t.
+async function loadBuffSnapshots(userKey, range, playerId) {
+  const lookback = { from: range.from - BUFF_MAX_SPAN, to: range.to };
+  const fromMemory = () => {
+    const snapshots = [];
+    memoryPlayersOf(userKey, playerId).forEach(([id, playerSeries]) => {
+      (playerSeries.buffs || []).filter(inRange(lookback)).forEach((buff) => {
+        snapshots.push({ player: Number(id), ...buff });
+      });
+    });
+    return snapshots.sort((a, b) => a.t - b.t);
+  };
+  if (!USE_DB) return fromMemory();
+  try {
+    const player = playerSql(playerId);
+    const timeRange = rangeSql(lookback);
+    const [rows] = await db.query(
+      `
+        SELECT player_id, t, name, stacks, remaining FROM ${BUFF_SAMPLES_TABLE}
+        WHERE user_key = ?${player.sql} AND ${timeRange.sql}
+        ORDER BY t ASC
+      `,
+      [userKey, ...player.params, ...timeRange.params]
+    );
+    return rows.map((row) => ({
+      player: Number(row.player_id),
+      t: Number(row.t),
+      name: row.name,
+      stacks: Number(row.stacks),
+      remaining: row.remaining === null ? null : Number(row.remaining)
+    }));
+  } catch (err) {
+    logFallback("Failed to load buff samples from DB", err);
+    return fromMemory();
+  }
+}
+
+// Token counts summed per type and UTC hour: [{ type, t, count }].
+async function loadTokenHours(userKey, range, playerId) {
+  const fromMemory = () => {
+    const hours = new Map();
+    memoryPlayersOf(userKey, playerId).forEach(([, playerSeries]) => {
+      (playerSeries.tokens || []).filter(inRange(range)).forEach(({ t, type, count }) => {
+        const key = `${type}:${Math.floor(t / 3600) * 3600}`;
+        if (!hours.has(key)) hours.set(key, { type, t: Math.floor(t / 3600) * 3600, count: 0 });
+        hours.get(key).count += count;
+      });
+    });
+    return Array.from(hours.values());
+  };
+  if (!USE_DB) return fromMemory();
+  try {
+    const player = playerSql(playerId);
+    const timeRange = rangeSql(range);
+    const [rows] = await db.query(
+      `
+        SELECT token_type, FLOOR(t / 3600) * 3600 AS hour, SUM(token_count) AS total FROM ${TOKEN_EVENTS_TABLE}
+        WHERE user_key = ?${player.sql} AND ${timeRange.sql}
+        GROUP BY token_type, hour
+      `,
+      [userKey, ...player.params, ...timeRange.params]
+    );
+    return rows.map((row) => ({ type: row.token_type, t: Number(row.hour), count: Number(row.total) }));
+  } catch (err) {
+    logFallback("Failed to load token events from DB", err);
+    return fromMemory();
+  }
+}
+
+const periodWindow = (range) => {
+  const to = range.to === null ? nowSec() : range.to;
+  return { from: range.from, to, seconds: Math.max(to - range.from, 1) };
+};
+
+// Per buff: uptime in % of the period (averaged over the players that reported any buff),
+// the seconds covered, and the stacks seen in the snapshots taken inside the period.
+function summarizeBuffs(snapshots, range) {
+  const window = periodWindow(range);
+  const players = new Set();
+  const byBuff = new Map();
+  const open = new Map(); // `${player}:${name}` -> span being extended
+  const close = (span) => {
+    span.stats.activeSec += Math.max(0, Math.min(span.end, window.to) - Math.max(span.start, window.from));
+  };
+  snapshots.forEach((snapshot) => {
+    const span = Math.min(snapshot.remaining === null ? BUFF_DEFAULT_SPAN : Math.max(snapshot.remaining, 1), BUFF_MAX_SPAN);
+    const end = snapshot.t + span;
+    if (end <= window.from || snapshot.t > window.to) return;
+    players.add(snapshot.player);
+    if (!byBuff.has(snapshot.name)) byBuff.set(snapshot.name, { activeSec: 0, stackSum: 0, n: 0, maxStacks: 0 });
+    const stats = byBuff.get(snapshot.name);
+    if (snapshot.t >= window.from) {
+      stats.stackSum += snapshot.stacks;
+      stats.n += 1;
+      stats.maxStacks = Math.max(stats.maxStacks, snapshot.stacks);
+    }
+    const key = `${snapshot.player}:${snapshot.name}`;
+    const current = open.get(key);
+    if (current && snapshot.t <= current.end) {
+      current.end = Math.max(current.end, end);
+      return;
+    }
+    if (current) close(current);
+    open.set(key, { stats, start: snapshot.t, end });
+  });
+  open.forEach(close);
+  const buffs = {};
+  byBuff.forEach((stats, name) => {
+    buffs[name] = {
+      uptime: clampPercent((stats.activeSec / (window.seconds * players.size)) * 100),
+      activeSec: stats.activeSec,
+      avgStacks: stats.n ? stats.stackSum / stats.n : null,
+      maxStacks: stats.n ? stats.maxStacks : null
+    };
+  });
+  return { from: window.from, to: window.to, players: players.size, buffs };
+}
+
+function summarizeTokens(hours, range) {
+  const window = periodWindow(range);
+  const perHour = (count) => (count / window.seconds) * 3600;
+  const tokens = {};
+  let total = 0;
+  hours.sort((a, b) => a.t - b.t).forEach(({ type, t, count }) => {
+    if (!tokens[type]) tokens[type] = { total: 0, perHour: 0, hourly: [] };
+    tokens[type].total += count;
+    tokens[type].hourly.push({ t, count });
+    total += count;
+  });
+  Object.values(tokens).forEach((entry) => {
+    entry.perHour = perHour(entry.total);
+  });
+  return { from: window.from, to: window.to, total, perHour: perHour(total), tokens };
+}
+
+const sendBuffStats = async (res, userKey, range, playerId) => {
+  res.json(summarizeBuffs(await loadBuffSnapshots(userKey, range, playerId), range));
+};
+
+const sendTokenStats = async (res, userKey, range, playerId) => {
+  res.json(summarizeTokens(await loadTokenHours(userKey, range, playerId), range));
+};
+
+const parseEventRange = (query) =>
+  parseStatsQuery({ period: query.period, from: query.from, to: query.to, tz: query.tz });
+
+// GET /api/stats/buffs and /api/stats/tokens take ?period= or ?from=&to=&tz= like /api/stats;
+// the /api/player/:publicId variants narrow a session id down to that player.
+app.get("/api/stats/buffs", requireReadKey, asyncRoute((req, res) => {
+  const range = parseEventRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  return sendBuffStats(res, req.userKey, range, null);
+}));
+
+app.get("/api/stats/tokens", requireReadKey, asyncRoute((req, res) => {
+  const range = parseEventRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  return sendTokenStats(res, req.userKey, range, null);
+}));
+
+app.get("/api/player/:publicId/stats/buffs", requireViewerKey, asyncRoute(async (req, res) => {
+  const resolved = await resolveUserKeyFromPublicId(req.params.publicId);
+  if (!resolved) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const range = parseEventRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  sendBuffStats(res, resolved.userKey, range, resolved.playerId || null);
+}));
+
+app.get("/api/player/:publicId/stats/tokens", requireViewerKey, asyncRoute(async (req, res) => {
+  const resolved = await resolveUserKeyFromPublicId(req.params.publicId);
+  if (!resolved) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const range = parseEventRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  sendTokenStats(res, resolved.userKey, range, resolved.playerId || null);
+}));
+
+// Activity timeline. An ingest sample may carry `activity` (one of ACTIVITIES) and `field`;
+// only changes are stored, as activity_events rows (memory: playerSeries.activity) whose
+// last_t moves forward while later samples report the same state. A segment runs from its
+// event to the next one, or ends at last_t when the player went quiet for longer than
+// ACTIVITY_GAP_SEC in between. Events are dropped after RAW_RETENTION_DAYS, like raw samples.
+//
+// Field efficiency joins the segments against the raw honey and pollen series: each positive
+// delta is credited to the segment its later point falls in, and converting/traveling
+// segments count towards the field gathered just before them (the pollen came from there).
+const ACTIVITY_EVENTS_TABLE = "activity_events";
+const ACTIVITIES = ["gathering", "converting", "traveling", "killing", "idle"];
+const FIELD_CYCLE_ACTIVITIES = ["converting", "traveling"];
+const ACTIVITY_GAP_SEC = ONLINE_TIMEOUT;
+const MAX_TIMELINE_SEGMENTS = 5000;
+const ACTIVITY_CONFLICT = "user_key, player_id, t";
+
+const parseActivity = (activity, field) => {
+  if (activity === undefined || activity === null) {
+    return field === undefined || field === null ? { activity: null, field: null } : { error: "field requires activity" };
+  }
+  if (!ACTIVITIES.includes(activity)) return { error: `activity must be one of ${ACTIVITIES.join(", ")}` };
+  if (field === undefined || field === null) return { activity, field: null };
+  const name = typeof field === "string" ? field.trim() : "";
+  if (!EVENT_NAME_REGEX.test(name)) return { error: `field must match ${EVENT_NAME_REGEX.source}` };
+  return { activity, field: name };
+};
+
+// Whether a sample at `t` carries on the state of `event` ({ activity, field, lastT }).
+const continuesActivity = (event, sample) =>
+  event.activity === sample.activity &&
+  event.field === sample.field &&
+  sample.t - event.lastT <= ACTIVITY_GAP_SEC;
+
+function recordMemoryActivity(playerSeries, sample) {
+  if (!sample.activity) return;
+  const events = memoryEvents(playerSeries, "activity");
+  const index = firstIndexAt(events, sample.t + 1) - 1;
+  const prev = index >= 0 ? events[index] : null;
+  if (prev && continuesActivity(prev, sample)) {
+    prev.lastT = Math.max(prev.lastT, sample.t);
+    return;
+  }
+  const event = { t: sample.t, activity: sample.activity, field: sample.field, lastT: sample.t };
+  if (prev && prev.t === sample.t) events[index] = event;
+  else events.splice(index + 1, 0, event);
+}
+
+const pruneMemoryActivity = (playerSeries, cutoff) => {
+  const events = playerSeries.activity;
+  if (events && events.length && events[0].lastT < cutoff) {
+    playerSeries.activity = events.filter((event) => event.lastT >= cutoff);
+  }
+};
+
+const pruneDbActivity = (cutoff) => db.query(`DELETE FROM ${ACTIVITY_EVENTS_TABLE} WHERE last_t < ?`, [cutoff]);
+
+// Reads the previous event before writing; callers hold the user's row lock (lockDbUser).
+async function recordDbActivity(conn, userKey, sample) {
+  if (!sample.activity) return;
+  const playerId = sample.sessionPlayerId || 0;
+  const [rows] = await conn.query(
+    `
+      SELECT t, activity, field, last_t FROM ${ACTIVITY_EVENTS_TABLE}
+      WHERE user_key = ? AND player_id = ? AND t <= ?
+      ORDER BY t DESC LIMIT 1
+    `,
+    [userKey, playerId, sample.t]
+  );
+  const prev = rows[0] ? { activity: rows[0].activity, field: rows[0].field, lastT: Number(rows[0].last_t) } : null;
+  if (prev && continuesActivity(prev, sample)) {
+    await conn.query(
+      `UPDATE ${ACTIVITY_EVENTS_TABLE} SET last_t = ${dialect.greatest}(last_t, ?) WHERE user_key = ? AND player_id = ? AND t = ?`,
+      [sample.t, userKey, playerId, Number(rows[0].t)]
+    );
+    return;
+  }
+  const excluded = dialect.excluded;
+  await conn.query(
+    `
+      INSERT INTO ${ACTIVITY_EVENTS_TABLE} (user_key, player_id, t, activity, field, last_t) VALUES (?, ?, ?, ?, ?, ?)
+      ${dialect.upsert(ACTIVITY_CONFLICT)} activity = ${excluded("activity")}, field = ${excluded("field")}, last_t = ${excluded("last_t")}
+    `,
+    [userKey, playerId, sample.t, sample.activity, sample.field, sample.t]
+  );
+}
+
+// Events whose segment may reach into the range, and the raw honey/pollen points in it:
+// { events: [{ player, t, activity, field, lastT }], points: { [player]: { honey, pollen } } }.
+function memoryTimelineData(userKey, range, playerId) {
+  const events = [];
+  const points = {};
+  memoryPlayersOf(userKey, playerId).forEach(([id, playerSeries]) => {
+    (playerSeries.activity || []).forEach((event) => {
+      if (event.lastT + ACTIVITY_GAP_SEC < range.from) return;
+      if (range.to !== null && event.t > range.to) return;
+      events.push({ player: Number(id), ...event });
+    });
+    points[id] = {
+      honey: playerSeries.honey.filter(inRange(range)),
+      pollen: playerSeries.pollen.filter(inRange(range))
+    };
+  });
+  return { events, points };
+}
+
+async function dbTimelineData(userKey, range, playerId) {
+  const player = playerSql(playerId);
+  const upTo = range.to === null ? { sql: "", params: [] } : { sql: " AND t <= ?", params: [range.to] };
+  const [eventRows] = await db.query(
+    `
+      SELECT player_id, t, activity, field, last_t FROM ${ACTIVITY_EVENTS_TABLE}
+      WHERE user_key = ?${player.sql} AND last_t >= ?${upTo.sql}
+    `,
+    [userKey, ...player.params, range.from - ACTIVITY_GAP_SEC, ...upTo.params]
+  );
+  const timeRange = rangeSql(range);
+  const [pointRows] = await db.query(
+    `
+      SELECT player_id, metric, t, v FROM samples
+      WHERE user_key = ?${player.sql} AND metric IN ('honey', 'pollen') AND ${timeRange.sql}
+      ORDER BY t ASC
+    `,
+    [userKey, ...player.params, ...timeRange.params]
+  );
+  const points = {};
+  pointRows.forEach((row) => {
+    if (!points[row.player_id]) points[row.player_id] = { honey: [], pollen: [] };
+    points[row.player_id][row.metric].push({ t: Number(row.t), v: Number(row.v) });
+  });
+  return {
+    events: eventRows.map((row) => ({
+      player: Number(row.player_id),
+      t: Number(row.t),
+      activity: row.activity,
+      field: row.field,
+      lastT: Number(row.last_t)
+    })),
+    points
+  };
+}
+
+// One player's events (sorted by t) as segments clipped to the window; neighbours with the
+// same state are merged.
+const buildSegments = (events, window) => {
+  const segments = [];
+  events.forEach((event, i) => {
+    const next = events[i + 1];
+    const end = next && next.t - event.lastT <= ACTIVITY_GAP_SEC ? next.t : event.lastT;
+    const start = Math.max(event.t, window.from);
+    const clippedEnd = Math.min(end, window.to);
+    if (clippedEnd < start) return;
+    const last = segments[segments.length - 1];
+    if (last && last.end === start && last.activity === event.activity && last.field === event.field) {
+      last.end = clippedEnd;
+      return;
+    }
+    segments.push({ player: event.player, activity: event.activity, field: event.field, start, end: clippedEnd });
+  });
+  return segments;
+};
+
+// Adds honey/pollen to the segment holding the later point of each rising pair.
+const creditGains = (segments, points, metric) => {
+  let s = 0;
+  for (let i = 1; i < points.length; i++) {
+    const prev = points[i - 1];
+    const point = points[i];
+    if (point.v <= prev.v || point.t - prev.t > ACTIVITY_GAP_SEC) continue;
+    while (s < segments.length && segments[s].end < point.t) s += 1;
+    if (s < segments.length && segments[s].start <= point.t) segments[s][metric] += point.v - prev.v;
+  }
+};
+
+function buildTimeline(data, range) {
+  const window = periodWindow(range);
+  const byPlayer = new Map();
+  data.events.forEach((event) => {
+    if (!byPlayer.has(event.player)) byPlayer.set(event.player, []);
+    byPlayer.get(event.player).push(event);
+  });
+  const segments = [];
+  const activities = {};
+  ACTIVITIES.forEach((activity) => {
+    activities[activity] = 0;
+  });
+  const fields = new Map();
+  byPlayer.forEach((events, player) => {
+    const playerSegments = buildSegments(events.sort((a, b) => a.t - b.t), window);
+    playerSegments.forEach((segment) => {
+      segment.duration = segment.end - segment.start;
+      segment.honey = 0;
+      segment.pollen = 0;
+    });
+    const points = data.points[player] || { honey: [], pollen: [] };
+    creditGains(playerSegments, byTime(points.honey), "honey");
+    creditGains(playerSegments, byTime(points.pollen), "pollen");
+    let cycleField = null;
+    playerSegments.forEach((segment) => {
+      activities[segment.activity] += segment.duration;
+      if (segment.activity === "gathering") cycleField = segment.field;
+      else if (!FIELD_CYCLE_ACTIVITIES.includes(segment.activity)) cycleField = null;
+      if (!cycleField) return;
+      if (!fields.has(cycleField)) {
+        fields.set(cycleField, { field: cycleField, gatheringSec: 0, cycleSec: 0, honey: 0, pollen: 0 });
+      }
+      const stats = fields.get(cycleField);
+      if (segment.activity === "gathering") stats.gatheringSec += segment.duration;
+      stats.cycleSec += segment.duration;
+      stats.honey += segment.honey;
+      stats.pollen += segment.pollen;
+    });
+    segments.push(...playerSegments);
+  });
+  segments.sort((a, b) => a.start - b.start || a.player - b.player);
+  const perHour = (value, seconds) => (seconds > 0 ? (value / seconds) * 3600 : null);
+  const ranked = Array.from(fields.values())
+    .map((stats) => ({
+      ...stats,
+      honeyPerHour: perHour(stats.honey, stats.cycleSec),
+      pollenPerHour: perHour(stats.pollen, stats.gatheringSec)
+    }))
+    .sort((a, b) => (b.honeyPerHour || 0) - (a.honeyPerHour || 0));
+  return {
+    from: window.from,
+    to: window.to,
+    segments: segments.slice(-MAX_TIMELINE_SEGMENTS),
+    truncated: segments.length > MAX_TIMELINE_SEGMENTS,
+    activities,
+    fields: ranked
+  };
+}
+
+async function sendTimeline(res, userKey, range, playerId) {
+  if (!USE_DB) {
+    return res.json(buildTimeline(memoryTimelineData(userKey, range, playerId), range));
+  }
+  try {
+    res.json(buildTimeline(await dbTimelineData(userKey, range, playerId), range));
+  } catch (err) {
+    logFallback("Failed to build timeline from DB", err);
+    res.json(buildTimeline(memoryTimelineData(userKey, range, playerId), range));
+  }
+}
+
+// GET /api/timeline?period= (or ?from=&to=&tz=) -> { segments: [{player, activity, field,
+// start, end, duration, honey, pollen}], activities: {activity: seconds}, fields: ranked by
+// honeyPerHour }; segments are capped at MAX_TIMELINE_SEGMENTS (the newest are kept).
+app.get("/api/timeline", requireReadKey, asyncRoute((req, res) => {
+  const range = parseEventRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  return sendTimeline(res, req.userKey, range, null);
+}));
+
+app.get("/api/player/:publicId/timeline", requireViewerKey, asyncRoute(async (req, res) => {
+  const resolved = await resolveUserKeyFromPublicId(req.params.publicId);
+  if (!resolved) {
+    return res.status(404).json({ error: "not found" });
+  }
+  const range = parseEventRange(req.query);
+  if (range.error) {
+    return res.status(400).json({ error: range.error });
+  }
+  sendTimeline(res, resolved.userKey, range, resolved.playerId || null);
+}));
+
+// Ingest helpers shared by /api/ingest and /api/ingest/batch
+const MAX_BATCH_SAMPLES = 1000;
+const isFiniteNumber = (value) => typeof value === "number" && isFinite(value);
+
+// A sample's `at` may run this far ahead of the server clock; later ones would keep the
+// player online and fill rollup buckets that have not started yet.
+const MAX_CLOCK_SKEW_SEC = 5 * 60;
+
+// `at` (unix seconds) -> { t } or { error }; samples older than raw retention would only be
+// pruned again.
+const parseSampleTime = (at) => {
+  const now = nowSec();
+  if (at === undefined || at === null) return { t: now };
+  if (!isFiniteNumber(at)) return { error: "at must be a unix time in seconds" };
+  const t = Math.floor(at);
+  if (t > now + MAX_CLOCK_SKEW_SEC) return { error: `at is more than ${MAX_CLOCK_SKEW_SEC}s in the future` };
+  if (t < now - RAW_RETENTION_SEC) return { error: "at is older than the raw retention window" };
+  return { t };
+};
+
+// Normalizes one ingest body. Non-finite metric values are dropped; a body without any
+// metric at all is an error, and so is a `metrics` entry that is not a registered metric.
+function parseIngestSample(userKey, body) {
+  const {
+    honey,
+    pollen,
+    backpack,
+    backpackCapacity,
+    nectar,
+    metrics,
+    buffs,
+    tokens,
+    activity,
+    field,
+    at,
+    currentHoney,
+    username,
+    playerId
+  } = body || {};
+  const nectarValues = {};
+  if (nectar && typeof nectar === "object") {
+    NECTAR_TYPES.forEach((type) => {
+      if (isFiniteNumber(nectar[type])) nectarValues[type] = nectar[type];
+    });
+  }
+  const hasNectar = Object.keys(nectarValues).length > 0;
+  const metricValues = {};
+  if (metrics !== undefined && metrics !== null) {
+    if (!isPlainObject(metrics)) return { error: "metrics must be an object" };
+    for (const [name, value] of Object.entries(metrics)) {
+      if (ALL_METRICS.includes(name)) return { error: `${name} has its own ingest field` };
+      if (!isRegisteredMetricName(name)) return { error: `unknown metric ${name}` };
+      if (!isFiniteNumber(value)) return { error: `metrics.${name} must be a finite number` };
+      metricValues[name] = value;
+    }
+  }
+  const events = { buffs: [], tokens: [] };
+  if (buffs !== undefined && buffs !== null) {
+    const parsed = parseBuffs(buffs);
+    if (parsed.error) return parsed;
+    events.buffs = parsed.buffs;
+  }
+  if (tokens !== undefined && tokens !== null) {
+    const parsed = parseTokens(tokens);
+    if (parsed.error) return parsed;
+    events.tokens = parsed.tokens;
+  }
+  const state = parseActivity(activity, field);
+  if (state.error) return state;
+  const time = parseSampleTime(at);
+  if (time.error) return time;
+  if (
+    typeof honey !== "number" &&
+    typeof pollen !== "number" &&
+    typeof backpack !== "number" &&
+    typeof currentHoney !== "number" &&
+    !hasNectar &&
+    !Object.keys(metricValues).length &&
+    !events.buffs.length &&
+    !events.tokens.length &&
+    !state.activity
+  ) {
+    return { error: "no metrics provided" };
+  }
+  const cleanedName = sanitizeUsername(username);
+  return {
+    t: time.t,
+    honey: isFiniteNumber(honey) ? honey : null,
+    pollen: isFiniteNumber(pollen) ? pollen : null,
+    backpack: isFiniteNumber(backpack) ? backpack : null,
+    backpackCapacity: isFiniteNumber(backpackCapacity) ? backpackCapacity : null,
+    nectar: nectarValues,
+    metrics: metricValues,
+    buffs: events.buffs,
+    tokens: events.tokens,
+    activity: state.activity,
+    field: state.field,
+    currentHoney: typeof currentHoney === "number" ? currentHoney : null,
+    username: cleanedName,
+    sessionPlayerId: deriveSessionPlayerId(userKey, playerId, cleanedName)
+  };
+}
+
+// [metric, t, v, playerId] rows in the shape of the samples table.
+const sampleRows = (sample) => {
+  const rows = [];
+  const playerId = sample.sessionPlayerId || 0;
+  if (sample.honey !== null) rows.push(["honey", sample.t, sample.honey, playerId]);
+  if (sample.pollen !== null) rows.push(["pollen", sample.t, sample.pollen, playerId]);
+  if (sample.backpack !== null) rows.push(["backpack", sample.t, sample.backpack, playerId]);
+  if (sample.backpackCapacity !== null) rows.push(["backpack_capacity", sample.t, sample.backpackCapacity, playerId]);
+  Object.entries(sample.nectar).forEach(([type, value]) => {
+    rows.push([nectarMetricForType(type), sample.t, value, playerId]);
+  });
+  Object.entries(sample.metrics || {}).forEach(([metric, value]) => {
+    rows.push([metric, sample.t, value, playerId]);
+  });
+  return rows;
+};
+
+// Keeps memory series ordered by t even when backfilled samples arrive late.
+const pushSorted = (points, point) => {
+  if (!points.length || points[points.length - 1].t <= point.t) {
+    points.push(point);
+    return;
+  }
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t <= point.t) lo = mid + 1;
+    else hi = mid;
+  }
+  points.splice(lo, 0, point);
+};
+
+// Index of the first point at or after t.
+const firstIndexAt = (points, t) => {
+  let lo = 0;
+  let hi = points.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].t < t) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+const hasPointAt = (points, t) => {
+  const index = firstIndexAt(points, t);
+  return index < points.length && points[index].t === t;
+};
+
+// Memory keeps capacity on the backpack entries, so both metrics map to that series.
+// Registered metrics get their list on first write (`create`).
+const memorySeriesFor = (playerSeries, metric, create) => {
+  if (metric === "backpack_capacity") return playerSeries.backpack;
+  if (metric === "honey" || metric === "pollen" || metric === "backpack") return playerSeries[metric];
+  const nectarType = nectarTypeFromMetric(metric);
+  if (nectarType) return playerSeries.nectar[nectarType];
+  if (!playerSeries.metrics) playerSeries.metrics = {};
+  if (create && !playerSeries.metrics[metric]) playerSeries.metrics[metric] = [];
+  return playerSeries.metrics[metric] || null;
+};
+
+// `allowed` optionally limits which metrics of the sample are written (batch dedupe).
+// Leaves compaction to the caller.
+function applyMemorySample(userKey, sample, allowed) {
+  const bucket = getBucket(userKey);
+  const series = getPlayerSeries(bucket, sample.sessionPlayerId);
+  const wants = (metric) => !allowed || allowed.has(metric);
+  const { t } = sample;
+  const isLatest = t >= (bucket.lastSeen || 0);
+  if (isLatest) {
+    bucket.lastSeen = t;
+    if (sample.username) {
+      bucket.username = sample.username;
+    }
+  }
+  cachePublicMapping(bucket.publicId, userKey, bucket.username);
+  if (sample.honey !== null && wants("honey")) {
+    pushSorted(series.honey, { t, v: sample.honey });
+  }
+  if (sample.pollen !== null && wants("pollen")) {
+    pushSorted(series.pollen, { t, v: sample.pollen });
+  }
+  if (sample.backpack !== null && wants("backpack")) {
+    const entry = { t, v: sample.backpack };
+    let capValue = series.lastCapacity || 0;
+    if (sample.backpackCapacity !== null) {
+      capValue = sample.backpackCapacity;
+    }
+    if (capValue > 0) {
+      entry.cap = capValue;
+      entry.pct = clampPercent((sample.backpack / capValue) * 100);
+    } else {
+      entry.cap = null;
+      entry.pct = 0;
+    }
+    pushSorted(series.backpack, entry);
+  }
+  if (sample.backpackCapacity !== null && t >= series.capacityAt) {
+    series.lastCapacity = sample.backpackCapacity;
+    series.capacityAt = t;
+  }
+  if (sample.currentHoney !== null && isLatest) {
+    bucket.currentHoney = sample.currentHoney;
+  }
+  const sessionHoney = sample.currentHoney !== null ? sample.currentHoney : bucket.currentHoney || 0;
+  Object.entries(sample.nectar).forEach(([type, value]) => {
+    if (wants(nectarMetricForType(type))) {
+      pushSorted(series.nectar[type], { t, v: value });
+    }
+  });
+  Object.entries(sample.metrics || {}).forEach(([metric, value]) => {
+    if (wants(metric)) pushSorted(memorySeriesFor(series, metric, true), { t, v: value });
+  });
+  writeMemoryEvents(series, sample);
+  recordMemoryActivity(series, sample);
+  if (sample.sessionPlayerId && isLatest) {
+    recordMemorySession(
+      userKey,
+      sample.sessionPlayerId,
+      bucket.username || sample.username || "Player",
+      t,
+      sessionHoney
+    );
+  }
+}
+
+// Batch samples carry their deduped rows; replay only needs the sample itself.
+const loggedSample = (sample, allowed) => ({ sample: { ...sample, rows: undefined }, allowed: allowed ? Array.from(allowed) : null });
+
+function writeMemorySample(userKey, sample, allowed) {
+  logMemoryWrite({ op: "sample", userKey, ...loggedSample(sample, allowed) });
+  applyMemorySample(userKey, sample, allowed);
+  compactMemoryBucket(getBucket(userKey), nowSec());
+}
+
+// A batch whose samples were applied one by one ([{ sample, allowed }]) is logged as one
+// entry and compacted once.
+function finishMemoryBatch(userKey, entries) {
+  logMemoryWrite({ op: "samples", userKey, entries: entries.map(({ sample, allowed }) => loggedSample(sample, allowed)) });
+  compactMemoryBucket(getBucket(userKey), nowSec());
+}
+
+const liveSampleMessage = (userKey, sample) => {
+  const message = { t: sample.t };
+  if (sample.honey !== null) message.honey = sample.honey;
+  if (sample.pollen !== null) message.pollen = sample.pollen;
+  if (sample.backpack !== null) {
+    const known = samples[userKey] && samples[userKey].players[sample.sessionPlayerId || 0];
+    const cap = sample.backpackCapacity !== null ? sample.backpackCapacity : (known && known.lastCapacity) || 0;
+    message.backpack = { v: sample.backpack, pct: cap > 0 ? clampPercent((sample.backpack / cap) * 100) : null };
+  }
+  if (Object.keys(sample.nectar).length) message.nectar = { ...sample.nectar };
+  if (Object.keys(sample.metrics || {}).length) message.metrics = { ...sample.metrics };
+  if (sample.buffs && sample.buffs.length) message.buffs = sample.buffs;
+  if (sample.tokens && sample.tokens.length) message.tokens = sample.tokens;
+  if (sample.activity) {
+    message.activity = sample.activity;
+    message.field = sample.field;
+  }
+  if (sample.currentHoney !== null) message.currentHoney = sample.currentHoney;
+  return message;
+};
+
+const liveSessionFor = (userKey, sample) => {
+  if (!sample.sessionPlayerId) return null;
+  return {
+    id: getSessionPublicId(userKey, sample.sessionPlayerId),
+    username: sample.username,
+    lastSeen: sample.t,
+    currentHoney: sample.currentHoney !== null ? sample.currentHoney : 0
+  };
+};
+
+// Chunked to stay under the bound-parameter limits of SQLite and Postgres.
+const SAMPLE_INSERT_CHUNK = 1000;
+const insertSampleRows = async (conn, userKey, rows) => {
+  for (let i = 0; i < rows.length; i += SAMPLE_INSERT_CHUNK) {
+    await conn.query(
+      "INSERT INTO samples (user_key, player_id, metric, t, v) VALUES ?",
+      [rows.slice(i, i + SAMPLE_INSERT_CHUNK).map(([metric, tt, vv, playerId]) => [userKey, playerId, metric, tt, vv])]
+    );
+  }
+};
+
+// Samples older than the last recorded activity (backfill) only add history; they never
+// roll current_honey or last_activity back. current_honey is assigned before last_activity
+// moves because MySQL evaluates SET assignments left to right (the other backends read the
+// old row throughout).
+const updateDbUserActivity = (conn, userKey, sample) => {
+  return conn.query(
+    `
+      UPDATE users SET
+        current_honey = CASE WHEN ? >= COALESCE(last_activity, 0) THEN COALESCE(?, current_honey) ELSE current_honey END,
+        last_activity = ${dialect.greatest}(COALESCE(last_activity, 0), ?),
+        username = COALESCE(?, username)
+      WHERE user_key = ?
+    `,
+    [sample.t, sample.currentHoney, sample.t, sample.username, userKey]
+  );
+};
+
+// Sample storage. Ingests resolve to the rows stored; a batch (its samples carry their
+// deduplicated `rows`) also counts the rows it skipped as already stored.
+function ingestMemorySample(userKey, sample) {
+  writeMemorySample(userKey, sample);
+  return sampleRows(sample);
+}
+
+async function ingestDbSample(userKey, sample) {
+  const rows = sampleRows(sample);
+  await withTransaction(async (conn) => {
+    await lockDbUser(conn, userKey);
+    if (rows.length) {
+      await insertSampleRows(conn, userKey, rows);
+    }
+    await insertDbEvents(conn, userKey, [sample]);
+    await recordDbActivity(conn, userKey, sample);
+    await updateDbUserActivity(conn, userKey, sample);
+    if (sample.sessionPlayerId) {
+      await recordDbSession(conn, userKey, sample.sessionPlayerId, sample.username, sample.t, sample.currentHoney);
+    }
+  });
+  cachePublicMapping(getPublicId(userKey), userKey, sample.username);
+  return rows;
+}
+
+function ingestMemoryBatch(userKey, accepted) {
+  // The batch is logged after it is applied, so a running snapshot takes the bucket first.
+  beforeMemoryWrite("samples", userKey);
+  const bucket = getBucket(userKey);
+  const inserted = [];
+  let duplicates = 0;
+  const entries = accepted.map((sample) => {
+    const allowed = new Set();
+    const playerSeries = getPlayerSeries(bucket, sample.sessionPlayerId);
+    sample.rows.forEach((row) => {
+      const series = memorySeriesFor(playerSeries, row[0]);
+      if (series && hasPointAt(series, row[1])) {
+        duplicates += 1;
+        return;
+      }
+      allowed.add(row[0]);
+      inserted.push(row);
+    });
+    // Written right away so later samples of the batch see these points as duplicates.
+    applyMemorySample(userKey, sample, allowed);
+    return { sample, allowed };
+  });
+  finishMemoryBatch(userKey, entries);
+  return { inserted, duplicates };
+}
+
+async function ingestDbBatch(userKey, accepted) {
+  const newest = accepted[accepted.length - 1];
+  const candidates = accepted.flatMap((sample) => sample.rows);
+  const latestBySession = new Map();
+  accepted.forEach((sample) => {
+    if (sample.sessionPlayerId) latestBySession.set(sample.sessionPlayerId, sample);
+  });
+  const inserted = await withTransaction(async (conn) => {
+    await lockDbUser(conn, userKey);
+    const times = Array.from(new Set(candidates.map(([, t]) => t)));
+    const [existing] = times.length
+      ? await conn.query("SELECT player_id, metric, t FROM samples WHERE user_key = ? AND t IN (?)", [userKey, times])
+      : [[]];
+    const taken = new Set(existing.map((row) => `${row.player_id}:${row.metric}:${row.t}`));
+    const fresh = candidates.filter(([metric, t, , playerId]) => !taken.has(`${playerId}:${metric}:${t}`));
+    if (fresh.length) {
+      await insertSampleRows(conn, userKey, fresh);
+    }
+    await insertDbEvents(conn, userKey, accepted);
+    for (const sample of accepted) {
+      await recordDbActivity(conn, userKey, sample);
+    }
+    const latestOf = (field) => {
+      for (let i = accepted.length - 1; i >= 0; i--) {
+        if (accepted[i][field] !== null) return accepted[i][field];
+      }
+      return null;
+    };
+    await updateDbUserActivity(conn, userKey, {
+      t: newest.t,
+      currentHoney: latestOf("currentHoney"),
+      username: latestOf("username")
+    });
+    for (const sample of latestBySession.values()) {
+      await recordDbSession(conn, userKey, sample.sessionPlayerId, sample.username, sample.t, sample.currentHoney);
+    }
+    return fresh;
+  });
+  cachePublicMapping(getPublicId(userKey), userKey, newest.username);
+  return { inserted, duplicates: candidates.length - inserted.length };
+}
+
+async function importDbSamples(userKey, rows) {
+  return withTransaction(async (conn) => {
+    await ensureUser(userKey, conn);
+    return importDbRows(conn, userKey, rows);
+  });
+}
+
+defineStorage("samples", {
+  memory: {
+    ingest: ingestMemorySample,
+    ingestBatch: ingestMemoryBatch,
+    import: (userKey, rows) => importMemoryRows(userKey, rows),
+    query: (userKey, range, playerId) => collectMemoryStats(userKey, range, playerId)
+  },
+  sql: {
+    ingest: ingestDbSample,
+    ingestBatch: ingestDbBatch,
+    import: importDbSamples,
+    query: collectDbSeries
+  },
+  failures: {
+    ingest: "Failed to store sample",
+    ingestBatch: "Failed to store sample batch in DB",
+    import: "Failed to import samples into DB",
+    query: "Failed to load series from DB"
+  }
+});
+
+// POST ingest
+app.post("/api/ingest", requireWriteKey, syncMetricRegistry(ingestMetricNames), asyncRoute(async (req, res) => {
+  const sample = parseIngestSample(req.userKey, req.body);
+  if (sample.error) {
+    return res.status(400).json({ error: sample.error });
+  }
+  const { result: rows, mode } = await storage.samples.ingest(req.userKey, sample);
+  countIngestedRows(rows);
+  publishIngest(req.userKey, liveSampleMessage(req.userKey, sample), liveSessionFor(req.userKey, sample));
+  res.json({ ok: true, mode });
+  evaluateAlerts(req.userKey);
+}));
+
+// POST batch ingest: { samples: [<ingest body with at>, ...] } for offline backfill.
+// Invalid items are reported by index and skipped; rows that repeat a (player, metric, t) already
+// stored, or earlier in the same batch, are counted as duplicates and not written.
+app.post("/api/ingest/batch", requireWriteKey, syncMetricRegistry(ingestMetricNames), asyncRoute(async (req, res) => {
+  const items = req.body && req.body.samples;
+  if (!Array.isArray(items) || !items.length) {
+    return res.status(400).json({ error: "samples array required" });
+  }
+  if (items.length > MAX_BATCH_SAMPLES) {
+    return res.status(413).json({ error: `at most ${MAX_BATCH_SAMPLES} samples per batch` });
+  }
+  const errors = [];
+  const accepted = [];
+  items.forEach((item, index) => {
+    if (!item || typeof item !== "object" || Array.isArray(item)) {
+      errors.push({ index, error: "sample object required" });
+      return;
+    }
+    if (!isFiniteNumber(item.at)) {
+      errors.push({ index, error: "at required" });
+      return;
+    }
+    const sample = parseIngestSample(req.userKey, item);
+    if (sample.error) {
+      errors.push({ index, error: sample.error });
+      return;
+    }
+    accepted.push(sample);
+  });
+  if (!accepted.length) {
+    return res.status(400).json({ error: "no valid samples", errors });
+  }
+  accepted.sort((a, b) => a.t - b.t);
+  let duplicates = 0;
+  const seen = new Set();
+  accepted.forEach((sample) => {
+    sample.rows = sampleRows(sample).filter(([metric, t, , playerId]) => {
+      const key = `${playerId}:${metric}:${t}`;
+      if (seen.has(key)) {
+        duplicates += 1;
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  });
+  const { result, mode } = await storage.samples.ingestBatch(req.userKey, accepted);
+  countIngestedRows(result.inserted);
+  publishBackfill(req.userKey, accepted);
+  res.json({
+    ok: true,
+    mode,
+    received: items.length,
+    accepted: accepted.length,
+    inserted: result.inserted.length,
+    duplicates: duplicates + result.duplicates,
+    errors
+  });
+  evaluateAlerts(req.userKey);
+}));
+
+// Stats import, the inverse of /api/stats/export: CSV with a header row or NDJSON, one
+// record per timestamp and player. Imported samples only add history (users, sessions and
+// current honey are left alone). Once a timestamp is past raw retention its data lives in a
+// rollup bucket, and an existing bucket counts as already imported, so re-importing an
+// export skips everything instead of double-counting the rollups.
+const IMPORT_BODY_LIMIT = "20mb";
+const MAX_IMPORT_ROWS = 200000;
+const MAX_IMPORT_ERRORS = 100; // reported individually; the rest are only counted
+const IMPORT_CHUNK = 1000; // rows per dedupe query and INSERT
+const IMPORT_FIELDS = ["t", "player"];
+
+const importMetricError = (name) => {
+  if (ALL_METRICS.includes(name) || isRegisteredMetricName(name)) return null;
+  if (name.startsWith("nectar_")) {
+    return `unknown nectar type ${name.slice("nectar_".length)} (expected ${NECTAR_TYPES.join(", ")})`;
+  }
+  return `unknown metric ${name}`;
+};
+
+function parseImportRecords(format, text) {
+  const lines = text.split(/\r?\n/);
+  const records = [];
+  let columns = null;
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+    if (records.length >= MAX_IMPORT_ROWS) {
+      return { status: 413, error: `at most ${MAX_IMPORT_ROWS} rows per import` };
+    }
+    if (format === "ndjson") {
+      let record = null;
+      try {
+        record = JSON.parse(line);
+      } catch (err) {
+        record = null;
+      }
+      records.push(isPlainObject(record) ? { line: i + 1, record } : { line: i + 1, error: "invalid JSON object" });
+      continue;
+    }
+    const cells = line.split(",").map((cell) => cell.trim());
+    if (!columns) {
+      columns = cells;
+      if (!columns.includes("t")) return { error: "CSV header must include t" };
+      if (new Set(columns).size !== columns.length) return { error: "duplicate CSV columns" };
+      const invalid = columns.filter((column) => !IMPORT_FIELDS.includes(column)).map(importMetricError).filter(Boolean);
+      if (invalid.length) return { error: "invalid columns", details: invalid };
+      continue;
+    }
+    if (cells.length !== columns.length) {
+      records.push({ line: i + 1, error: `expected ${columns.length} columns` });
+      continue;
+    }
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = cells[index];
+    });
+    records.push({ line: i + 1, record });
+  }
+  return { records };
+}
+
+// One record ({column: value}, CSV cells still strings) as [metric, t, v, playerId] rows.
+const importRecordRows = (record) => {
+  const t = record.t === "" || record.t === null ? NaN : Number(record.t);
+  if (!Number.isFinite(t) || t <= 0) return { error: "t must be a unix timestamp" };
+  if (t > nowSec()) return { error: "t is in the future" };
+  let playerId = 0;
+  if (record.player !== undefined && record.player !== "" && record.player !== null) {
+    playerId = normalizePlayerId(record.player);
+    if (playerId === null) return { error: "player must be a number" };
+  }
+  const rows = [];
+  for (const [name, raw] of Object.entries(record)) {
+    if (IMPORT_FIELDS.includes(name) || raw === "" || raw === null) continue;
+    const metricError = importMetricError(name);
+    if (metricError) return { error: metricError };
+    const v = typeof raw === "string" ? Number(raw) : raw;
+    if (!isFiniteNumber(v)) return { error: `${name} must be a number` };
+    rows.push([name, Math.floor(t), v, playerId]);
+  }
+  if (!rows.length) return { error: "no metrics provided" };
+  return { rows };
+};
+
+const rollupTierFor = (t, cutoffs) => {
+  if (t >= cutoffs.raw) return null;
+  return t >= cutoffs.hour ? ROLLUP_TIERS[0] : ROLLUP_TIERS[1];
+};
+
+const rollupKey = (tier, playerId, metric, t) =>
+  `${tier.name}:${playerId}:${metric}:${Math.floor(t / tier.width) * tier.width}`;
+
+// Memory keeps capacity on backpack entries, so a capacity value is stored (and counted)
+// with the backpack value of the same row and skipped without one.
+function importMemoryRows(userKey, rows) {
+  logMemoryWrite({ op: "import", userKey, rows });
+  const bucket = getBucket(userKey);
+  const cutoffs = retentionCutoffs(nowSec());
+  const capacities = new Map();
+  rows.forEach(([metric, t, v, playerId]) => {
+    if (metric === "backpack_capacity") capacities.set(`${playerId}:${t}`, v);
+  });
+  let inserted = 0;
+  rows.forEach(([metric, t, v, playerId]) => {
+    if (metric === "backpack_capacity") return;
+    const playerSeries = getPlayerSeries(bucket, playerId);
+    const tier = rollupTierFor(t, cutoffs);
+    const rolled = tier && playerSeries.rollups && playerSeries.rollups[tier.name];
+    if (rolled && rolled[metric] && rolled[metric][Math.floor(t / tier.width) * tier.width]) return;
+    const series = memorySeriesFor(playerSeries, metric, true);
+    if (hasPointAt(series, t)) return;
+    if (metric !== "backpack") {
+      pushSorted(series, { t, v });
+      inserted += 1;
+      return;
+    }
+    const cap = capacities.get(`${playerId}:${t}`);
+    pushSorted(series, cap > 0 ? { t, v, cap, pct: clampPercent((v / cap) * 100) } : { t, v, cap: null, pct: 0 });
+    inserted += cap === undefined ? 1 : 2;
+  });
+  compactMemoryBucket(bucket, nowSec());
+  return inserted;
+}
+
+// `rows` sorted by t, so each chunk covers one contiguous time span.
+async function importDbRows(conn, userKey, rows) {
+  const cutoffs = retentionCutoffs(nowSec());
+  let inserted = 0;
+  for (let i = 0; i < rows.length; i += IMPORT_CHUNK) {
+    const chunk = rows.slice(i, i + IMPORT_CHUNK);
+    const from = chunk[0][1];
+    const to = chunk[chunk.length - 1][1];
+    const [existing] = await conn.query(
+      "SELECT player_id, metric, t FROM samples WHERE user_key = ? AND t >= ? AND t <= ?",
+      [userKey, from, to]
+    );
+    const taken = new Set(existing.map((row) => `${row.player_id}:${row.metric}:${row.t}`));
+    for (const tier of ROLLUP_TIERS) {
+      if (from >= cutoffs.raw) break;
+      const [rolled] = await conn.query(
+        `SELECT player_id, metric, t FROM ${tier.table} WHERE user_key = ? AND t >= ? AND t <= ?`,
+        [userKey, Math.floor(from / tier.width) * tier.width, to]
+      );
+      rolled.forEach((row) => taken.add(rollupKey(tier, row.player_id, row.metric, row.t)));
+    }
+    const fresh = chunk.filter(([metric, t, , playerId]) => {
+      const tier = rollupTierFor(t, cutoffs);
+      if (tier && taken.has(rollupKey(tier, playerId, metric, t))) return false;
+      return !taken.has(`${playerId}:${metric}:${t}`);
+    });
+    if (fresh.length) {
+      await insertSampleRows(conn, userKey, fresh);
+      inserted += fresh.length;
+    }
+  }
+  return inserted;
+}
+
+app.post(
+  "/api/stats/import",
+  requireWriteKey,
+  express.text({ type: ["text/*", "application/x-ndjson"], limit: IMPORT_BODY_LIMIT }),
+  restoreRequestContext,
+  syncMetricRegistry(() => []),
+  asyncRoute(async (req, res) => {
+    const format = req.query.format !== undefined
+      ? String(req.query.format)
+      : req.is("text/csv") ? "csv" : req.is("application/x-ndjson") ? "ndjson" : null;
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ error: "format must be csv or ndjson" });
+    }
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({ error: "CSV or NDJSON body required" });
+    }
+    const parsed = parseImportRecords(format, req.body);
+    if (parsed.error) {
+      const body = { error: parsed.error };
+      if (parsed.details) body.details = parsed.details;
+      return res.status(parsed.status || 400).json(body);
+    }
+    const errors = [];
+    let invalid = 0;
+    let duplicates = 0;
+    const seen = new Set();
+    const candidates = [];
+    parsed.records.forEach(({ line, record, error }) => {
+      const result = error ? { error } : importRecordRows(record);
+      if (result.error) {
+        invalid += 1;
+        if (errors.length < MAX_IMPORT_ERRORS) errors.push({ line, error: result.error });
+        return;
+      }
+      result.rows.forEach((row) => {
+        const [metric, t, , playerId] = row;
+        const key = `${playerId}:${metric}:${t}`;
+        if (seen.has(key)) {
+          duplicates += 1;
+          return;
+        }
+        seen.add(key);
+        candidates.push(row);
+      });
+    });
+    if (!candidates.length) {
+      return res.status(400).json({ error: "no valid rows", invalid, errors });
+    }
+    candidates.sort((a, b) => a[1] - b[1]);
+    const { result: inserted, mode } = await storage.samples.import(req.userKey, candidates);
+    res.json({
+      ok: true,
+      mode,
+      format,
+      rows: parsed.records.length,
+      inserted,
+      skipped: duplicates + candidates.length - inserted,
+      invalid,
+      errors
+    });
+  })
+);
+
+// Control schemas. Commands are { type, args } with args checked against the registry
+// entry for `type`; the control state is checked against CONTROL_STATE_SCHEMA. Schemas
+// are plain descriptors so GET /api/controls/schema can hand them to the dashboard as-is
+// (patterns are sent as their source string).
+const FIELDS = [
+  "Sunflower", "Dandelion", "Mushroom", "Blue Flower", "Clover", "Strawberry", "Spider", "Bamboo",
+  "Pineapple", "Stump", "Cactus", "Pumpkin", "Pine Tree", "Rose", "Mountain Top", "Pepper", "Coconut"
+];
+const CONTROL_STATE_LIMIT = 16 * 1024; // bytes
+const SETTING_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+const COMMAND_REGISTRY = {
+  start_macro: { description: "Start the macro", args: {} },
+  stop_macro: { description: "Stop the macro", args: {} },
+  pause_macro: { description: "Pause the macro", args: {} },
+  resume_macro: { description: "Resume a paused macro", args: {} },
+  switch_field: {
+    description: "Gather in another field",
+    args: {
+      field: { type: "string", enum: FIELDS, required: true }
+    }
+  },
+  set_config: {
+    description: "Set one macro setting",
+    args: {
+      key: { type: "string", pattern: SETTING_KEY_PATTERN, required: true },
+      value: { type: ["string", "number", "boolean"], maxLength: 256, required: true }
+    }
+  },
+  load_config: {
+    description: "Load a shared config by key",
+    args: {
+      configKey: { type: "string", pattern: configKeyRegex, required: true }
+    }
+  },
+  convert: { description: "Go convert the backpack now", args: {} },
+  reset_character: { description: "Reset the character", args: {} }
+};
+
+const CONTROL_STATE_SCHEMA = {
+  type: "object",
+  properties: {
+    running: { type: "boolean", required: true },
+    paused: { type: "boolean" },
+    field: { type: "string", enum: FIELDS },
+    task: { type: "string", maxLength: 64 },
+    configKey: { type: "string", pattern: configKeyRegex },
+    settings: {
+      type: "object",
+      maxProperties: 100,
+      keyPattern: SETTING_KEY_PATTERN,
+      values: { type: ["string", "number", "boolean"], maxLength: 256 }
+    }
+  }
+};
+
+const typeOfValue = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+};
+
+const matchesType = (value, types) => {
+  const actual = typeOfValue(value);
+  return types.some((type) => type === actual || (type === "number" && actual === "integer"));
+};
+
+// Returns a list of "path: problem" strings; empty means valid.
+function validateValue(schema, value, path) {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (!matchesType(value, types)) return [`${path} must be ${types.join(" or ")}`];
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) errors.push(`${path} must be one of ${schema.enum.join(", ")}`);
+  if (typeof value === "string") {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !schema.pattern.test(value)) errors.push(`${path} has an invalid format`);
+  }
+  if (typeof value === "number") {
+    if (schema.min !== undefined && value < schema.min) errors.push(`${path} must be >= ${schema.min}`);
+    if (schema.max !== undefined && value > schema.max) errors.push(`${path} must be <= ${schema.max}`);
+  }
+  if (typeOfValue(value) === "object") {
+    errors.push(...validateObject(schema, value, path));
+  }
+  return errors;
+}
+
+function validateObject(schema, value, path) {
+  const errors = [];
+  const keys = Object.keys(value);
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    errors.push(`${path} must have at most ${schema.maxProperties} entries`);
+  }
+  if (schema.properties) {
+    // Own properties only: `key in` would let __proto__, constructor and friends through.
+    const has = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+    Object.entries(schema.properties).forEach(([key, child]) => {
+      if (!has(value, key) || value[key] === undefined) {
+        if (child.required) errors.push(`${path}.${key} is required`);
+        return;
+      }
+      errors.push(...validateValue(child, value[key], `${path}.${key}`));
+    });
+    keys.forEach((key) => {
+      if (!has(schema.properties, key)) errors.push(`${path}.${key} is not allowed`);
+    });
+  }
+  if (schema.values) {
+    keys.forEach((key) => {
+      if (key === "__proto__" || (schema.keyPattern && !schema.keyPattern.test(key))) {
+        errors.push(`${path} has an invalid key ${JSON.stringify(key.slice(0, 64))}`);
+        return;
+      }
+      errors.push(...validateValue(schema.values, value[key], `${path}.${key}`));
+    });
+  }
+  return errors;
+}
+
+// Normalizes a dashboard command to { type, args }, or returns { errors }.
+function validateCommand(command) {
+  if (typeOfValue(command) !== "object") return { errors: ["command must be an object"] };
+  const extra = Object.keys(command).filter((key) => key !== "type" && key !== "args");
+  if (extra.length) return { errors: extra.map((key) => `command.${key} is not allowed`) };
+  const entry = typeof command.type === "string" && Object.prototype.hasOwnProperty.call(COMMAND_REGISTRY, command.type)
+    ? COMMAND_REGISTRY[command.type]
+    : null;
+  if (!entry) return { errors: [`command.type must be one of ${Object.keys(COMMAND_REGISTRY).join(", ")}`] };
+  const args = command.args === undefined ? {} : command.args;
+  if (typeOfValue(args) !== "object") return { errors: ["command.args must be an object"] };
+  const errors = validateObject({ properties: entry.args }, args, "command.args");
+  if (errors.length) return { errors };
+  return { command: { type: command.type, args } };
+}
+
+function validateControlState(state) {
+  let json;
+  try {
+    json = JSON.stringify(state);
+  } catch (e) {
+    return ["state not serializable"];
+  }
+  if (json && json.length > CONTROL_STATE_LIMIT) return ["state too large"];
+  return validateValue(CONTROL_STATE_SCHEMA, state, "state");
+}
+
+const describeSchema = (schema) =>
+  JSON.parse(JSON.stringify(schema, (_key, value) => (value instanceof RegExp ? value.source : value)));
+
+// Control sync endpoints. Every backend keeps the latest state in controlStates as well,
+// which is what a database outage falls back to.
+app.post("/api/controls/state", requireControlWriteKey, asyncRoute(async (req, res) => {
+  const state = req.body && req.body.state;
+  const at = req.body && req.body.at;
+  if (!state) {
+    return res.status(400).json({ error: "state required" });
+  }
+  const stateErrors = validateControlState(state);
+  if (stateErrors.length) {
+    return res.status(400).json({ error: "invalid state", details: stateErrors });
+  }
+  const entry = { state, at: typeof at === "number" ? at : nowSec() };
+  const { result: previous, mode } = await storage.controls.saveState(req.userKey, entry);
+  if (!previous || JSON.stringify(previous.state) !== JSON.stringify(state)) {
+    publishControlState(req.userKey, entry);
+  }
+  res.json({ ok: true, mode });
+}));
+
+app.get("/api/controls/state", requireReadKey, asyncRoute(async (req, res) => {
+  const { result: entry } = await storage.controls.loadState(req.userKey);
+  if (entry) {
+    res.json({ state: entry.state, at: entry.at || nowSec() });
+  } else {
+    res.json({ state: null, at: nowSec() });
+  }
+}));
+
+app.get("/api/controls/schema", requireControlReadKey, (_req, res) => {
+  res.json({
+    commands: describeSchema(COMMAND_REGISTRY),
+    state: describeSchema(CONTROL_STATE_SCHEMA)
+  });
+});
+
+// Control command queue. Commands are stored (database, memory fallback) and move
+// queued -> delivered -> acked | failed, or expire once their TTL passes. A delivered
+// command that is not acked within COMMAND_REDELIVER_AFTER is handed out again, so a
+// macro crashing right after a poll does not lose it.
+const COMMAND_DEFAULT_TTL = 300; // seconds
+const COMMAND_MAX_TTL = 86400;
+const COMMAND_REDELIVER_AFTER = 30; // seconds
+const MAX_QUEUED_COMMANDS = 100; // per user
+const MAX_COMMAND_HISTORY = 500; // per user, memory mode
+const COMMAND_RESULT_LIMIT = 16 * 1024; // bytes
+const COMMAND_STATUSES = ["queued", "delivered", "acked", "failed", "expired"];
+const PENDING_COMMAND_STATUSES = ["queued", "delivered"];
+
+const shapeCommandRow = (row) => ({
+    id: row.command_id,
+    playerId: row.player_id === null ? null : Number(row.player_id),
+    command: parseJsonColumn(row.command) || {},
+    status: row.status,
+    createdAt: row.created_at,
+    expiresAt: row.expires_at,
+    deliveredAt: row.delivered_at || null,
+    ackedAt: row.acked_at || null,
+    attempts: row.attempts || 0,
+    result: parseJsonColumn(row.result)
+});
+
+const COMMAND_COLUMNS =
+  "command_id, player_id, command, status, created_at, expires_at, delivered_at, acked_at, attempts, result";
+
+// What the macro receives: the command payload plus its id for acking.
+const deliverableCommand = (record) => ({
+  ...record.command,
+  id: record.id,
+  at: record.createdAt,
+  attempt: record.attempts
+});
+
+const memoryCommandList = (userKey) => {
+  if (!controlCommands[userKey]) controlCommands[userKey] = [];
+  return controlCommands[userKey];
+};
+
+const expireMemoryCommands = (userKey, now) => {
+  memoryCommandList(userKey).forEach((record) => {
+    if (PENDING_COMMAND_STATUSES.includes(record.status) && record.expiresAt < now) {
+      record.status = "expired";
+    }
+  });
+};
+
+const pruneMemoryCommands = (userKey) => {
+  const list = memoryCommandList(userKey);
+  if (list.length <= MAX_COMMAND_HISTORY) return;
+  const excess = list.length - MAX_COMMAND_HISTORY;
+  let dropped = 0;
+  controlCommands[userKey] = list.filter((record) => {
+    if (dropped < excess && !PENDING_COMMAND_STATUSES.includes(record.status)) {
+      dropped += 1;
+      return false;
+    }
+    return true;
+  });
+};
+
+// Unexpired pending commands per status, for /metrics. Commands queued while the database
+// was down live in memory, so both are counted.
+async function controlQueueDepth() {
+  const now = nowSec();
+  const depth = {};
+  PENDING_COMMAND_STATUSES.forEach((status) => {
+    depth[status] = 0;
+  });
+  Object.values(controlCommands).forEach((list) => {
+    list.forEach((record) => {
+      if (PENDING_COMMAND_STATUSES.includes(record.status) && record.expiresAt >= now) depth[record.status] += 1;
+    });
+  });
+  if (USE_DB) {
+    const [rows] = await db.query(
+      `SELECT status, COUNT(*) AS n FROM ${COMMANDS_TABLE} WHERE status IN ('queued', 'delivered') AND expires_at >= ? GROUP BY status`,
+      [now]
+    );
+    rows.forEach((row) => {
+      depth[row.status] += Number(row.n);
+    });
+  }
+  return depth;
+}
+
+const isDeliverable = (record, playerId, now) => {
+  if (playerId !== null && record.playerId !== null && record.playerId !== playerId) return false;
+  if (record.status === "queued") return true;
+  return record.status === "delivered" && record.deliveredAt <= now - COMMAND_REDELIVER_AFTER;
+};
+
+// Without a playerId the poller is treated as the only macro of its user and receives
+// targeted commands too.
+function pollMemoryCommands(userKey, playerId) {
+  const now = nowSec();
+  expireMemoryCommands(userKey, now);
+  const due = memoryCommandList(userKey).filter((record) => isDeliverable(record, playerId, now));
+  due.forEach((record) => {
+    record.status = "delivered";
+    record.deliveredAt = now;
+    record.attempts += 1;
+  });
+  if (due.length) logStoreEntry("controlCommands", userKey);
+  return due;
+}
+
+// Commands queued while the database was down are in memory; they are handed out too.
+async function pollDbCommands(userKey, playerId) {
+  const now = nowSec();
+  const due = await withTransaction(async (conn) => {
+    await conn.query(
+      `UPDATE ${COMMANDS_TABLE} SET status = 'expired' WHERE user_key = ? AND status IN ('queued', 'delivered') AND expires_at < ?`,
+      [userKey, now]
+    );
+    const targetSql = playerId === null ? "" : "AND (player_id IS NULL OR player_id = ?)";
+    const [rows] = await conn.query(
+      `
+        SELECT ${COMMAND_COLUMNS} FROM ${COMMANDS_TABLE}
+        WHERE user_key = ?
+          AND (status = 'queued' OR (status = 'delivered' AND delivered_at <= ?))
+          ${targetSql}
+        ORDER BY seq ASC
+        LIMIT ${MAX_QUEUED_COMMANDS}${dialect.forUpdate}
+      `,
+      playerId === null ? [userKey, now - COMMAND_REDELIVER_AFTER] : [userKey, now - COMMAND_REDELIVER_AFTER, playerId]
+    );
+    if (!rows.length) return [];
+    await conn.query(
+      `UPDATE ${COMMANDS_TABLE} SET status = 'delivered', delivered_at = ?, attempts = attempts + 1 WHERE command_id IN (?)`,
+      [now, rows.map((row) => row.command_id)]
+    );
+    return rows.map((row) => ({
+      ...shapeCommandRow(row),
+      status: "delivered",
+      deliveredAt: now,
+      attempts: (row.attempts || 0) + 1
+    }));
+  });
+  return [...due, ...pollMemoryCommands(userKey, playerId)];
+}
+
+// Resolves to the number of pending commands, or null when they would overflow the queue.
+function queueMemoryCommands(userKey, records, now) {
+  expireMemoryCommands(userKey, now);
+  const list = memoryCommandList(userKey);
+  const pending = list.filter((record) => PENDING_COMMAND_STATUSES.includes(record.status)).length;
+  if (pending + records.length > MAX_QUEUED_COMMANDS) return null;
+  list.push(...records);
+  pruneMemoryCommands(userKey);
+  logStoreEntry("controlCommands", userKey);
+  return pending + records.length;
+}
+
+// The user's row lock makes the count and the insert one step for concurrent requests.
+async function queueDbCommands(userKey, records, now) {
+  return withTransaction(async (conn) => {
+    await lockDbUser(conn, userKey);
+    const [[{ pending }]] = await conn.query(
+      `SELECT COUNT(*) AS pending FROM ${COMMANDS_TABLE} WHERE user_key = ? AND status IN ('queued', 'delivered') AND expires_at >= ?`,
+      [userKey, now]
+    );
+    if (pending + records.length > MAX_QUEUED_COMMANDS) return null;
+    await conn.query(
+      `INSERT INTO ${COMMANDS_TABLE} (command_id, user_key, player_id, command, status, created_at, expires_at) VALUES ?`,
+      [records.map((record) => [
+        record.id,
+        userKey,
+        record.playerId,
+        JSON.stringify(record.command),
+        record.status,
+        record.createdAt,
+        record.expiresAt
+      ])]
+    );
+    return Number(pending) + records.length;
+  });
+}
+
+// `ack` is { status, resultJson, now }; resolves to the updated record or { error: 404 | 409 }.
+function ackMemoryCommand(userKey, id, ack) {
+  const record = memoryCommandList(userKey).find((candidate) => candidate.id === id);
+  if (!record) return { error: 404 };
+  expireMemoryCommands(userKey, ack.now);
+  if (!PENDING_COMMAND_STATUSES.includes(record.status)) return { error: 409, status: record.status };
+  record.status = ack.status;
+  record.ackedAt = ack.now;
+  record.result = ack.resultJson === null ? null : JSON.parse(ack.resultJson);
+  logStoreEntry("controlCommands", userKey);
+  return record;
+}
+
+async function ackDbCommand(userKey, id, ack) {
+  if (memoryCommandList(userKey).some((record) => record.id === id)) return ackMemoryCommand(userKey, id, ack);
+  const { status, resultJson, now } = ack;
+  return withTransaction(async (conn) => {
+    const [rows] = await conn.query(
+      `SELECT ${COMMAND_COLUMNS} FROM ${COMMANDS_TABLE} WHERE command_id = ? AND user_key = ? LIMIT 1${dialect.forUpdate}`,
+      [id, userKey]
+    );
+    if (!rows.length) return { error: 404 };
+    const current = shapeCommandRow(rows[0]);
+    if (PENDING_COMMAND_STATUSES.includes(current.status) && current.expiresAt < now) {
+      await conn.query(`UPDATE ${COMMANDS_TABLE} SET status = 'expired' WHERE command_id = ?`, [id]);
+      current.status = "expired";
+    }
+    if (!PENDING_COMMAND_STATUSES.includes(current.status)) return { error: 409, status: current.status };
+    await conn.query(
+      `UPDATE ${COMMANDS_TABLE} SET status = ?, acked_at = ?, result = ? WHERE command_id = ?`,
+      [status, now, resultJson, id]
+    );
+    return { ...current, status, ackedAt: now, result: resultJson === null ? null : JSON.parse(resultJson) };
+  });
+}
+
+// `filter` is { status, playerId, limit }; the newest `limit` are picked by the caller.
+function memoryCommandHistory(userKey, filter, now) {
+  expireMemoryCommands(userKey, now);
+  return memoryCommandList(userKey).filter((record) =>
+    (filter.status === undefined || record.status === filter.status) &&
+    (filter.playerId === null || record.playerId === filter.playerId));
+}
+
+async function dbCommandHistory(userKey, filter, now) {
+  await db.query(
+    `UPDATE ${COMMANDS_TABLE} SET status = 'expired' WHERE user_key = ? AND status IN ('queued', 'delivered') AND expires_at < ?`,
+    [userKey, now]
+  );
+  const filters = ["user_key = ?"];
+  const params = [userKey];
+  if (filter.status !== undefined) {
+    filters.push("status = ?");
+    params.push(filter.status);
+  }
+  if (filter.playerId !== null) {
+    filters.push("player_id = ?");
+    params.push(filter.playerId);
+  }
+  const [rows] = await db.query(
+    `SELECT ${COMMAND_COLUMNS} FROM ${COMMANDS_TABLE} WHERE ${filters.join(" AND ")} ORDER BY seq DESC LIMIT ?`,
+    [...params, filter.limit]
+  );
+  return [...rows.map(shapeCommandRow), ...memoryCommandHistory(userKey, filter, now)];
+}
+
+// Control state resolves to the entry it replaced.
+const saveMemoryControlState = (userKey, entry) => {
+  const previous = controlStates[userKey] || null;
+  controlStates[userKey] = entry;
+  logStoreEntry("controlStates", userKey);
+  return previous;
+};
+
+async function saveDbControlState(userKey, entry) {
+  const previous = await withTransaction(async (conn) => {
+    await ensureUser(userKey, conn);
+    const [rows] = await conn.query(
+      `SELECT state, at FROM ${CONTROL_STATES_TABLE} WHERE user_key = ?${dialect.forUpdate}`,
+      [userKey]
+    );
+    await conn.query(
+      `
+        INSERT INTO ${CONTROL_STATES_TABLE} (user_key, state, at) VALUES (?, ?, ?)
+        ${dialect.upsert("user_key")} state = ${dialect.excluded("state")}, at = ${dialect.excluded("at")}
+      `,
+      [userKey, JSON.stringify(entry.state), entry.at]
+    );
+    return rows && rows[0] ? { state: parseJsonColumn(rows[0].state), at: rows[0].at } : null;
+  });
+  controlStates[userKey] = entry;
+  return previous;
 }
 
-async function sendStatsResponse(userKey, periodSec, res, overrides) {
-  const cutoff = nowSec() - periodSec;
-  if (!USE_DB) {
-    const data = collectMemoryStats(userKey, cutoff);
-    if (overrides) {
-      if (overrides.username) data.player.username = overrides.username;
-      if (overrides.publicId) data.player.id = overrides.publicId;
+const loadMemoryControlState = (userKey) => controlStates[userKey] || null;
+
+async function loadDbControlState(userKey) {
+  const [rows] = await db.query(`SELECT state, at FROM ${CONTROL_STATES_TABLE} WHERE user_key = ? LIMIT 1`, [userKey]);
+  return rows && rows[0] ? { state: parseJsonColumn(rows[0].state), at: rows[0].at } : loadMemoryControlState(userKey);
+}
+
+// Acks that fail in the database are not retried in memory: the command only exists there.
+defineStorage("controls", {
+  memory: {
+    saveState: saveMemoryControlState,
+    loadState: loadMemoryControlState,
+    queueCommands: queueMemoryCommands,
+    pollCommands: pollMemoryCommands,
+    ackCommand: ackMemoryCommand,
+    commandHistory: memoryCommandHistory
+  },
+  sql: {
+    saveState: saveDbControlState,
+    loadState: loadDbControlState,
+    queueCommands: queueDbCommands,
+    pollCommands: pollDbCommands,
+    ackCommand: ackDbCommand,
+    commandHistory: dbCommandHistory
+  },
+  failures: {
+    saveState: "Failed to store control state in DB",
+    loadState: "Failed to load control state from DB",
+    queueCommands: "Failed to queue commands in DB",
+    pollCommands: "Failed to poll commands from DB",
+    commandHistory: "Failed to list commands from DB"
+  }
+});
+
+const publishCommandStatus = (userKey, record) => {
+  livePublish(`user:${userKey}`, {
+    type: "command",
+    command: { id: record.id, status: record.status, ackedAt: record.ackedAt, result: record.result }
+  });
+};
+
+app.post("/api/controls/commands", requireControlReadKey, asyncRoute(async (req, res) => {
+  const body = req.body || {};
+  const cmds = Array.isArray(body.commands) ? body.commands : null;
+  if (!cmds || !cmds.length) {
+    return res.status(400).json({ error: "commands array required" });
+  }
+  const validated = cmds.map(validateCommand);
+  const invalid = validated
+    .map((result, index) => (result.errors ? { index, errors: result.errors } : null))
+    .filter(Boolean);
+  if (invalid.length) {
+    return res.status(400).json({ error: "invalid commands", details: invalid });
+  }
+  let ttl = COMMAND_DEFAULT_TTL;
+  if (body.ttl !== undefined) {
+    if (!Number.isInteger(body.ttl) || body.ttl < 1 || body.ttl > COMMAND_MAX_TTL) {
+      return res.status(400).json({ error: `ttl must be an integer between 1 and ${COMMAND_MAX_TTL}` });
+    }
+    ttl = body.ttl;
+  }
+  let playerId = null;
+  if (body.playerId !== undefined && body.playerId !== null) {
+    playerId = normalizePlayerId(body.playerId);
+    if (!playerId) {
+      return res.status(400).json({ error: "playerId must be a positive number" });
+    }
+  }
+  const now = nowSec();
+  const records = validated.map(({ command }) => ({
+    id: crypto.randomBytes(8).toString("hex"),
+    playerId,
+    command,
+    status: "queued",
+    createdAt: now,
+    expiresAt: now + ttl,
+    deliveredAt: null,
+    ackedAt: null,
+    attempts: 0,
+    result: null
+  }));
+  const { result: queued, mode } = await storage.controls.queueCommands(req.userKey, records, now);
+  if (queued === null) return res.status(429).json({ error: "command queue full" });
+  res.json({
+    ok: true,
+    mode,
+    queued,
+    commands: records.map((record) => ({ id: record.id, status: record.status, expiresAt: record.expiresAt }))
+  });
+}));
+
+// Macro poll: ?playerId= (or x-player-id) limits delivery to untargeted commands and
+// commands for that player.
+app.get("/api/controls/commands", requireControlWriteKey, asyncRoute(async (req, res) => {
+  const rawPlayerId = req.query.playerId !== undefined ? req.query.playerId : req.header("x-player-id");
+  const playerId = rawPlayerId !== undefined ? normalizePlayerId(rawPlayerId) || null : null;
+  const { result: due } = await storage.controls.pollCommands(req.userKey, playerId);
+  res.json({ commands: due.map(deliverableCommand) });
+}));
+
+// Macro ack: { status: "acked" | "failed", result? }
+app.post("/api/controls/commands/:id/ack", requireControlWriteKey, asyncRoute(async (req, res) => {
+  const id = req.params.id;
+  const body = req.body || {};
+  const status = body.status === undefined ? "acked" : body.status;
+  if (status !== "acked" && status !== "failed") {
+    return res.status(400).json({ error: "status must be acked or failed" });
+  }
+  let resultJson = null;
+  if (body.result !== undefined) {
+    resultJson = JSON.stringify(body.result);
+    if (resultJson.length > COMMAND_RESULT_LIMIT) {
+      return res.status(413).json({ error: "result too large" });
+    }
+  }
+  const acked = await storage.controls.ackCommand(req.userKey, id, { status, resultJson, now: nowSec() }).catch((err) => {
+    log.error("Failed to ack command in DB", err);
+    return null;
+  });
+  if (!acked) return res.status(503).json({ error: "ack failed" });
+  const record = acked.result;
+  if (record.error === 404) return res.status(404).json({ error: "not found" });
+  if (record.error === 409) return res.status(409).json({ error: `command already ${record.status}` });
+  publishCommandStatus(req.userKey, record);
+  res.json({ ok: true, command: record });
+}));
+
+// Dashboard history: ?status=&playerId=&limit= (newest first)
+app.get("/api/controls/commands/history", requireControlReadKey, asyncRoute(async (req, res) => {
+  const status = req.query.status;
+  if (status !== undefined && !COMMAND_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of ${COMMAND_STATUSES.join(", ")}` });
+  }
+  const playerId = req.query.playerId !== undefined ? normalizePlayerId(req.query.playerId) : null;
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 100, 1), MAX_COMMAND_HISTORY);
+  const { result: list } = await storage.controls.commandHistory(req.userKey, { status, playerId, limit }, nowSec());
+  list.sort((a, b) => b.createdAt - a.createdAt);
+  res.json({ commands: list.slice(0, limit) });
+}));
+
+// Alert rules. A rule watches one user (or one playerId under it) and flips between ok and
+// firing; each flip is recorded in the alert history and POSTed to the rule's webhook, with
+// retries. Rules are evaluated after every ingest and by a periodic sweep, which is what
+// notices a macro that stopped sending. Rules and history live in the database with the memory
+// maps as write-through cache and fallback.
+// alertRules: { [userKey]: { [id]: rule } }, alertEvents: { [userKey]: [event] }
+const ALERT_RULES_TABLE = "alert_rules";
+const ALERT_EVENTS_TABLE = "alert_events";
+const ALERT_SWEEP_INTERVAL = 60 * 1000;
+const ALERT_WEBHOOK_TIMEOUT = 5000; // ms
+const ALERT_RETRY_DELAYS = [5000, 30000, 120000]; // ms before each retry
+const MAX_ALERT_RULES = 20;
+const MAX_ALERT_HISTORY = 200;
+const ALERT_RULES_CACHE_TTL = 60; // seconds the cached rules of a user are used without a DB read
+const alertRules = {};
+const alertRulesLoadedAt = {}; // userKey -> when alertRules[userKey] was read from the DB
+const alertEvents = {};
+const alertsInFlight = new Set();
+
+const minutesParam = (min, required) => ({ type: "number", min, max: 1440, required });
+
+// Each type: params schema, how much series history it needs and of which stored metrics,
+// and a check returning { firing, value, message }, or null when there is no data to judge by.
+const ALERT_RULE_TYPES = {
+  no_samples: {
+    description: "No sample received for N minutes",
+    params: { minutes: minutesParam(1, false) },
+    window: () => 0,
+    metrics: () => [],
+    check: ({ lastSeen }, params, now) => {
+      if (!lastSeen) return null;
+      const idle = now - lastSeen;
+      const minutes = params.minutes || ONLINE_TIMEOUT / 60;
+      return { firing: idle >= minutes * 60, value: idle, message: `no sample for ${Math.floor(idle / 60)} min` };
+    }
+  },
+  backpack_full: {
+    description: "Backpack stuck at 100% for N minutes",
+    params: { minutes: minutesParam(1, true) },
+    window: (params) => params.minutes * 60 + ONLINE_TIMEOUT,
+    metrics: () => ["backpack", "backpack_capacity"],
+    check: ({ series }, params, now) => {
+      const points = series.backpack.filter((p) => typeof p.pct === "number");
+      if (!points.length) return null;
+      let since = null;
+      for (let i = points.length - 1; i >= 0 && points[i].pct >= 100; i--) since = points[i].t;
+      const stuck = since === null ? 0 : now - since;
+      return { firing: stuck >= params.minutes * 60, value: stuck, message: `backpack full for ${Math.floor(stuck / 60)} min` };
+    }
+  },
+  honey_rate_below: {
+    description: "Honey per hour over the last N minutes (default 60) below X",
+    params: { perHour: { type: "number", min: 0, required: true }, minutes: minutesParam(5, false) },
+    window: (params) => (params.minutes || 60) * 60,
+    metrics: () => ["honey"],
+    check: ({ series }, params, now) => {
+      const { perHour } = gainBetween(byTime(series.honey), now - (params.minutes || 60) * 60, now);
+      if (perHour === null) return null;
+      return { firing: perHour < params.perHour, value: perHour, message: `honey/hour at ${Math.round(perHour)}` };
+    }
+  },
+  nectar_below: {
+    description: "Latest nectar of one type below Y",
+    params: {
+      type: { type: "string", enum: NECTAR_TYPES, required: true },
+      value: { type: "number", min: 0, required: true }
+    },
+    window: () => 3600,
+    metrics: (params) => [nectarMetricForType(params.type)],
+    check: ({ series }, params) => {
+      const points = series.nectar[params.type] || [];
+      if (!points.length) return null;
+      const latest = points[points.length - 1].v;
+      return { firing: latest < params.value, value: latest, message: `${params.type} nectar at ${latest}` };
+    }
+  }
+};
+
+// Webhooks may not reach loopback, link-local (cloud metadata), private or otherwise
+// non-public addresses, checked on the literal host when a rule is saved and on every
+// address the name resolves to when it is delivered. WEBHOOK_ALLOWED_HOSTS (comma-separated
+// hostnames) exempts hosts such as a local test receiver.
+const WEBHOOK_URL_LIMIT = 512;
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+  (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((host) => host.trim().toLowerCase()).filter(Boolean)
+);
+const BLOCKED_WEBHOOK_ADDRESSES = new net.BlockList();
+[
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]
+].forEach(([prefix, bits]) => BLOCKED_WEBHOOK_ADDRESSES.addSubnet(prefix, bits, "ipv4"));
+[["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]].forEach(([prefix, bits]) =>
+  BLOCKED_WEBHOOK_ADDRESSES.addSubnet(prefix, bits, "ipv6"));
+
+const isBlockedAddress = (address) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+  const family = net.isIP(address);
+  if (family === 4) return BLOCKED_WEBHOOK_ADDRESSES.check(address, "ipv4");
+  if (family === 6) return BLOCKED_WEBHOOK_ADDRESSES.check(address, "ipv6");
+  return true;
+};
+
+const webhookHost = (url) => url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+// Returns why `value` cannot be a webhook, or null.
+const webhookUrlError = (value) => {
+  const invalid = `webhook must be an http(s) URL of at most ${WEBHOOK_URL_LIMIT} characters`;
+  if (typeof value !== "string" || value.length > WEBHOOK_URL_LIMIT) return invalid;
+  let url;
+  try {
+    url = new URL(value);
+  } catch (e) {
+    return invalid;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return invalid;
+  const host = webhookHost(url);
+  if (WEBHOOK_ALLOWED_HOSTS.has(host)) return null;
+  if (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && isBlockedAddress(host))) {
+    return "webhook must not point at a local or private address";
+  }
+  return null;
+};
+
+// dns.lookup that refuses names resolving to a blocked address, so the check holds for the
+// address actually connected to.
+const webhookLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!WEBHOOK_ALLOWED_HOSTS.has(hostname.toLowerCase()) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`webhook host ${hostname} resolves to a private address`));
     }
-    return res.json(data);
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// POSTs JSON without following redirects; resolves to the response status.
+const postWebhook = (webhook, payload) => new Promise((resolve, reject) => {
+  const url = new URL(webhook);
+  const refused = webhookUrlError(webhook);
+  if (refused) return reject(new Error(refused));
+  const body = JSON.stringify(payload);
+  const request = (url.protocol === "https:" ? https : http).request(url, {
+    method: "POST",
+    headers: { "content-type": "application/json", "content-length": Buffer.byteLength(body) },
+    lookup: webhookLookup,
+    signal: AbortSignal.timeout(ALERT_WEBHOOK_TIMEOUT)
+  }, (response) => {
+    response.resume();
+    response.on("end", () => resolve(response.statusCode));
+    response.on("error", reject);
+  });
+  request.on("error", reject);
+  request.end(body);
+});
+
+// Normalizes { type, params, webhook, playerId?, enabled? } into a rule, or returns { errors }.
+function validateAlertRule(body) {
+  if (typeOfValue(body) !== "object") return { errors: ["rule must be an object"] };
+  const entry = typeof body.type === "string" && Object.prototype.hasOwnProperty.call(ALERT_RULE_TYPES, body.type)
+    ? ALERT_RULE_TYPES[body.type]
+    : null;
+  if (!entry) return { errors: [`type must be one of ${Object.keys(ALERT_RULE_TYPES).join(", ")}`] };
+  const params = body.params === undefined ? {} : body.params;
+  if (typeOfValue(params) !== "object") return { errors: ["params must be an object"] };
+  const errors = validateObject({ properties: entry.params }, params, "params");
+  const webhookError = webhookUrlError(body.webhook);
+  if (webhookError) errors.push(webhookError);
+  let playerId = null;
+  if (body.playerId !== undefined && body.playerId !== null) {
+    playerId = normalizePlayerId(body.playerId);
+    if (!playerId) errors.push("playerId must be a positive number");
   }
+  if (body.enabled !== undefined && typeof body.enabled !== "boolean") errors.push("enabled must be a boolean");
+  if (errors.length) return { errors };
+  return { rule: { type: body.type, params, webhook: body.webhook, playerId, enabled: body.enabled !== false } };
+}
+
+const publicAlertRule = ({ userKey, ...rule }) => rule;
+
+const ALERT_RULE_COLUMNS = "rule_id, user_key, player_id, type, params, webhook, enabled, firing, changed_at, created_at";
+const ALERT_EVENT_COLUMNS =
+  "event_id, rule_id, player_id, type, state, message, value, created_at, delivery_status, attempts, last_error";
+
+const shapeAlertRuleRow = (row) => ({
+  id: row.rule_id,
+  userKey: row.user_key,
+  playerId: row.player_id === null ? null : Number(row.player_id),
+  type: row.type,
+  params: parseJsonColumn(row.params) || {},
+  webhook: row.webhook,
+  enabled: !!row.enabled,
+  firing: !!row.firing,
+  changedAt: row.changed_at || null,
+  createdAt: row.created_at
+});
+
+const shapeAlertEventRow = (row) => ({
+  id: row.event_id,
+  ruleId: row.rule_id,
+  playerId: row.player_id === null ? null : Number(row.player_id),
+  type: row.type,
+  state: row.state,
+  message: row.message,
+  value: row.value,
+  at: row.created_at,
+  delivery: { status: row.delivery_status, attempts: row.attempts, lastError: row.last_error || null }
+});
+
+const memoryAlertRules = (userKey) => Object.values(alertRules[userKey] || {});
+
+const cacheAlertRules = (userKey, rules) => {
+  alertRulesLoadedAt[userKey] = nowSec();
+  alertRules[userKey] = {};
+  rules.forEach((rule) => {
+    alertRules[userKey][rule.id] = rule;
+  });
+  return rules;
+};
+
+// Rule writes go through the cache, so it only goes stale for rules changed by another
+// instance; those show up within ALERT_RULES_CACHE_TTL.
+async function loadAlertRules(userKey) {
+  if (!USE_DB || !db) return memoryAlertRules(userKey);
+  if (nowSec() - (alertRulesLoadedAt[userKey] || 0) < ALERT_RULES_CACHE_TTL) return memoryAlertRules(userKey);
   try {
-    const data = await collectDbStats(userKey, cutoff);
-    if (overrides) {
-      if (overrides.username) data.player.username = overrides.username;
-      if (overrides.publicId) data.player.id = overrides.publicId;
-    }
-    res.json(data);
+    const [rows] = await db.query(
+      `SELECT ${ALERT_RULE_COLUMNS} FROM ${ALERT_RULES_TABLE} WHERE user_key = ? ORDER BY created_at ASC`,
+      [userKey]
+    );
+    return cacheAlertRules(userKey, rows.map(shapeAlertRuleRow));
   } catch (err) {
-    console.error(err);
-    const fallback = collectMemoryStats(userKey, cutoff);
-    if (overrides) {
-      if (overrides.username) fallback.player.username = overrides.username;
-      if (overrides.publicId) fallback.player.id = overrides.publicId;
-    }
-    res.json(fallback);
+    logFallback("Failed to load alert rules from DB", err);
+    return memoryAlertRules(userKey);
   }
 }
 
-async function resolveUserKeyFromPublicId(publicId) {
-  if (!publicId) return null;
-  const cached = publicIdToUserKey[publicId];
-  if (cached) {
-    return { userKey: cached.userKey, username: cached.username || null, publicId };
+const alertPayload = (userKey, rule, event) => ({
+  event: "alert",
+  state: event.state,
+  message: event.message,
+  value: event.value,
+  at: event.at,
+  rule: { id: rule.id, type: rule.type, params: rule.params },
+  player: {
+    id: rule.playerId ? getSessionPublicId(userKey, rule.playerId) : getPublicId(userKey)
   }
-  if (!USE_DB) {
-    for (const [userKey, bucket] of Object.entries(samples)) {
-      if (bucket && bucket.publicId === publicId) {
-        cachePublicMapping(publicId, userKey, bucket.username);
-        return { userKey, username: bucket.username || null, publicId };
-      }
+});
+
+async function saveAlertDelivery(event) {
+  if (!USE_DB || !db || !event.stored) return;
+  try {
+    await db.query(
+      `UPDATE ${ALERT_EVENTS_TABLE} SET delivery_status = ?, attempts = ?, last_error = ? WHERE event_id = ?`,
+      [event.delivery.status, event.delivery.attempts, event.delivery.lastError, event.id]
+    );
+  } catch (err) {
+    log.error("Failed to record alert delivery", err);
+  }
+}
+
+async function deliverAlert(userKey, rule, event) {
+  event.delivery.attempts += 1;
+  try {
+    const status = await postWebhook(rule.webhook, alertPayload(userKey, rule, event));
+    if (status < 200 || status >= 300) throw new Error(`webhook answered ${status}`);
+    event.delivery.status = "delivered";
+    event.delivery.lastError = null;
+  } catch (err) {
+    const delay = ALERT_RETRY_DELAYS[event.delivery.attempts - 1];
+    event.delivery.status = delay === undefined ? "failed" : "retrying";
+    event.delivery.lastError = String((err && err.message) || err).slice(0, 255);
+    if (delay !== undefined) setTimeout(() => deliverAlert(userKey, rule, event), delay).unref();
+  }
+  await saveAlertDelivery(event);
+}
+
+async function recordAlertChange(userKey, rule, result, now) {
+  rule.firing = result.firing;
+  rule.changedAt = now;
+  const event = {
+    id: crypto.randomBytes(8).toString("hex"),
+    ruleId: rule.id,
+    playerId: rule.playerId,
+    type: rule.type,
+    state: result.firing ? "firing" : "resolved",
+    message: result.message,
+    value: result.value,
+    at: now,
+    delivery: { status: "pending", attempts: 0, lastError: null }
+  };
+  if (!alertEvents[userKey]) alertEvents[userKey] = [];
+  alertEvents[userKey].push(event);
+  if (alertEvents[userKey].length > MAX_ALERT_HISTORY) alertEvents[userKey].shift();
+  if (USE_DB && db) {
+    try {
+      await withTransaction(async (conn) => {
+        await conn.query(
+          `UPDATE ${ALERT_RULES_TABLE} SET firing = ?, changed_at = ? WHERE rule_id = ?`,
+          [rule.firing ? 1 : 0, now, rule.id]
+        );
+        await conn.query(
+          `
+            INSERT INTO ${ALERT_EVENTS_TABLE} (event_id, rule_id, user_key, player_id, type, state, message, value, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `,
+          [event.id, rule.id, userKey, rule.playerId, rule.type, event.state, event.message, event.value, now]
+        );
+      });
+      event.stored = true;
+    } catch (err) {
+      log.error("Failed to record alert event", err);
     }
-    for (const [userKey, sessions] of Object.entries(memorySessions)) {
-      for (const session of Object.values(sessions)) {
-        if (session && session.publicId === publicId) {
-          cachePublicMapping(publicId, userKey, session.username);
-          return { userKey, username: session.username || null, publicId };
-        }
+  }
+  deliverAlert(userKey, rule, event); // retries on its own schedule; evaluation does not wait
+}
+
+// Series are loaded once per playerId, covering the longest window among its rules and
+// only the metrics they look at.
+async function evaluateAlerts(userKey) {
+  if (alertsInFlight.has(userKey)) return;
+  alertsInFlight.add(userKey);
+  try {
+    const rules = (await loadAlertRules(userKey)).filter((rule) => rule.enabled && ALERT_RULE_TYPES[rule.type]);
+    const now = nowSec();
+    const contexts = new Map();
+    for (const rule of rules) {
+      const type = ALERT_RULE_TYPES[rule.type];
+      const key = rule.playerId || 0;
+      if (!contexts.has(key)) {
+        const sameTarget = rules.filter((other) => (other.playerId || 0) === key);
+        const window = Math.max(...sameTarget.map((other) => ALERT_RULE_TYPES[other.type].window(other.params)));
+        const metrics = Array.from(new Set(sameTarget.flatMap((other) => ALERT_RULE_TYPES[other.type].metrics(other.params))));
+        const loaded = window > 0 && metrics.length
+          ? await storage.samples.query(userKey, { from: now - window, to: null }, rule.playerId, metrics)
+          : { result: emptySeries() };
+        contexts.set(key, {
+          series: loaded.result,
+          lastSeen: (await storage.sessions.lastSeen(userKey, rule.playerId)).result
+        });
       }
+      const result = type.check(contexts.get(key), rule.params, now);
+      if (!result || result.firing === rule.firing) continue;
+      await recordAlertChange(userKey, rule, result, now);
     }
-    return null;
-  }
-  const [rows] = await dbPool.query(
-    "SELECT user_key, username FROM users WHERE public_id = ? LIMIT 1",
-    [publicId]
-  );
-  if (rows && rows[0]) {
-    cachePublicMapping(publicId, rows[0].user_key, rows[0].username);
-    return { userKey: rows[0].user_key, username: rows[0].username || null, publicId };
-  }
-  const [sessionRows] = await dbPool.query(
-    `SELECT user_key, username FROM ${PLAYER_SESSIONS_TABLE} WHERE session_public_id = ? LIMIT 1`,
-    [publicId]
-  );
-  if (sessionRows && sessionRows[0]) {
-    cachePublicMapping(publicId, sessionRows[0].user_key, sessionRows[0].username);
-    return { userKey: sessionRows[0].user_key, username: sessionRows[0].username || null, publicId };
+  } catch (err) {
+    log.error("Alert evaluation failed", err);
+  } finally {
+    alertsInFlight.delete(userKey);
   }
-  return null;
 }
 
-async function ensureUser(userKey) {
-  if (!USE_DB) return;
-  const publicId = getPublicId(userKey);
-  await dbPool.query(
-    "INSERT INTO users (user_key, public_id) VALUES (?, ?) ON DUPLICATE KEY UPDATE public_id = COALESCE(public_id, VALUES(public_id))",
-    [userKey, publicId]
-  );
+async function sweepAlerts() {
+  let userKeys = Object.keys(alertRules).filter((userKey) => memoryAlertRules(userKey).length);
+  if (USE_DB && db) {
+    try {
+      const [rows] = await db.query(`SELECT DISTINCT user_key FROM ${ALERT_RULES_TABLE} WHERE enabled = 1`);
+      userKeys = Array.from(new Set([...userKeys, ...rows.map((row) => row.user_key)]));
+    } catch (err) {
+      logFallback("Failed to list alert rules from DB", err);
+    }
+  }
+  for (const userKey of userKeys) {
+    await evaluateAlerts(userKey);
+  }
 }
 
-// GET stats
-app.get("/api/stats", requireReadKey, (req, res) => {
-  const periodSec = toSeconds(req.query.period || "24h");
-  sendStatsResponse(req.userKey, periodSec, res);
+app.get("/api/alerts/types", requireReadKey, (_req, res) => {
+  const types = {};
+  Object.entries(ALERT_RULE_TYPES).forEach(([type, entry]) => {
+    types[type] = { description: entry.description, params: describeSchema(entry.params) };
+  });
+  res.json({ types });
 });
 
-app.get("/api/players", requireViewerKey, async (_req, res) => {
-  const now = nowSec();
-  const list = [];
+app.get("/api/alerts/rules", requireReadKey, asyncRoute(async (req, res) => {
+  const rules = await loadAlertRules(req.userKey);
+  res.json({ rules: rules.map(publicAlertRule) });
+}));
+
+app.post("/api/alerts/rules", requireWriteKey, asyncRoute(async (req, res) => {
+  const validated = validateAlertRule(req.body);
+  if (validated.errors) {
+    return res.status(400).json({ error: "invalid rule", details: validated.errors });
+  }
+  const existing = await loadAlertRules(req.userKey);
+  if (existing.length >= MAX_ALERT_RULES) {
+    return res.status(400).json({ error: `at most ${MAX_ALERT_RULES} alert rules per user` });
+  }
+  const rule = {
+    id: crypto.randomBytes(8).toString("hex"),
+    userKey: req.userKey,
+    ...validated.rule,
+    firing: false,
+    changedAt: null,
+    createdAt: nowSec()
+  };
+  if (!alertRules[req.userKey]) alertRules[req.userKey] = {};
+  alertRules[req.userKey][rule.id] = rule;
+  logStoreEntry("alertRules", req.userKey);
   if (!USE_DB) {
-    const seenKeys = new Set();
-    Object.entries(memorySessions).forEach(([userKey, sessions]) => {
-      Object.values(sessions).forEach((session) => {
-        if (!session || !session.lastSeen) return;
-        if (now - session.lastSeen > ONLINE_TIMEOUT) return;
-        list.push({
-          id: session.publicId,
-          username: session.username || "Player",
-          lastSeen: session.lastSeen,
-          currentHoney: session.currentHoney || 0
-        });
-        seenKeys.add(userKey);
-      });
-    });
-    Object.entries(samples).forEach(([userKey, bucket]) => {
-      if (seenKeys.has(userKey)) return;
-      if (!bucket || !bucket.lastSeen) return;
-      if (now - bucket.lastSeen > ONLINE_TIMEOUT) return;
-      list.push({
-        id: bucket.publicId,
-        username: bucket.username || "Player",
-        lastSeen: bucket.lastSeen,
-        currentHoney: bucket.currentHoney || 0
-      });
-    });
-    list.sort((a, b) => {
-      const nameA = (a.username || "").toLowerCase();
-      const nameB = (b.username || "").toLowerCase();
-      return nameA.localeCompare(nameB);
-    });
-    return res.json({ players: list });
+    return res.json({ ok: true, mode: "memory", rule: publicAlertRule(rule) });
   }
   try {
-    const cutoff = now - ONLINE_TIMEOUT;
-    const seenKeys = new Set();
-    const [sessionRows] = await dbPool.query(
+    await ensureUser(req.userKey);
+    await db.query(
       `
-        SELECT session_public_id, user_key, username, current_honey, last_seen
-        FROM ${PLAYER_SESSIONS_TABLE}
-        WHERE last_seen >= ?
+        INSERT INTO ${ALERT_RULES_TABLE} (rule_id, user_key, player_id, type, params, webhook, enabled, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
       `,
-      [cutoff]
-    );
-    sessionRows.forEach((row) => {
-      if (!row) return;
-      cachePublicMapping(row.session_public_id, row.user_key, row.username);
-      seenKeys.add(row.user_key);
-      list.push({
-        id: row.session_public_id,
-        username: row.username || "Player",
-        lastSeen: row.last_seen || now,
-        currentHoney: row.current_honey || 0
-      });
-    });
-    const [rows] = await dbPool.query(
-      "SELECT user_key, username, current_honey, public_id, last_activity FROM users WHERE last_activity >= ? ORDER BY username ASC",
-      [cutoff]
+      [rule.id, req.userKey, rule.playerId, rule.type, JSON.stringify(rule.params), rule.webhook, rule.enabled ? 1 : 0, rule.createdAt]
     );
-    rows.forEach((row) => {
-      if (!row.public_id) return;
-      if (seenKeys.has(row.user_key)) return;
-      cachePublicMapping(row.public_id, row.user_key, row.username);
-      list.push({
-        id: row.public_id,
-        username: row.username || "Player",
-        lastSeen: row.last_activity || now,
-        currentHoney: row.current_honey || 0
-      });
-    });
-    list.sort((a, b) => {
-      const nameA = (a.username || "").toLowerCase();
-      const nameB = (b.username || "").toLowerCase();
-      return nameA.localeCompare(nameB);
-    });
-    res.json({ players: list });
+    res.json({ ok: true, mode: STORAGE_BACKEND, rule: publicAlertRule(rule) });
   } catch (err) {
-    console.error(err);
-    res.json({ players: [] });
+    logFallback("Failed to store alert rule", err);
+    res.json({ ok: true, mode: "memory-fallback", rule: publicAlertRule(rule) });
   }
-});
+}));
 
-app.get("/api/player/:publicId/stats", requireViewerKey, async (req, res) => {
-  const resolved = await resolveUserKeyFromPublicId(req.params.publicId);
-  if (!resolved) {
-    return res.status(404).json({ error: "not found" });
+app.delete("/api/alerts/rules/:id", requireWriteKey, asyncRoute(async (req, res) => {
+  const id = req.params.id;
+  const cached = alertRules[req.userKey] && alertRules[req.userKey][id];
+  if (cached) {
+    delete alertRules[req.userKey][id];
+    logStoreEntry("alertRules", req.userKey);
   }
-  const periodSec = toSeconds(req.query.period || "24h");
-  sendStatsResponse(resolved.userKey, periodSec, res, {
-    username: resolved.username || null,
-    publicId: resolved.publicId || req.params.publicId
-  });
-});
-
-// Config sharing (in-memory)
-app.post("/api/configs", requireWriteKey, (req, res) => {
-  const config = req.body && req.body.config;
-  if (!config || typeof config !== "object" || Array.isArray(config)) {
-    return res.status(400).json({ error: "config object required" });
+  if (!USE_DB) {
+    if (!cached) return res.status(404).json({ error: "not found" });
+    return res.json({ ok: true, id, mode: "memory" });
   }
-  let json;
   try {
-    json = JSON.stringify(config);
-  } catch (e) {
-    return res.status(400).json({ error: "config not serializable" });
-  }
-  if (!json || json.length > CONFIG_JSON_LIMIT) {
-    return res.status(413).json({ error: "config too large" });
-  }
-  let key = req.body && req.body.key;
-  if (typeof key !== "string" || !configKeyRegex.test(key)) {
-    key = generateConfigKey();
-  }
-  const entry = {
-    config,
-    owner: req.userKey,
-    at: nowSec(),
-  };
-  configs[key] = entry;
-  if (!USE_DB) {
-    return res.json({ ok: true, key, mode: "memory" });
+    const [result] = await db.query(
+      `DELETE FROM ${ALERT_RULES_TABLE} WHERE rule_id = ? AND user_key = ?`,
+      [id, req.userKey]
+    );
+    if (!result.affectedRows && !cached) return res.status(404).json({ error: "not found" });
+    res.json({ ok: true, id, mode: STORAGE_BACKEND });
+  } catch (err) {
+    logFallback("Failed to delete alert rule", err);
+    if (!cached) return res.status(404).json({ error: "not found" });
+    res.json({ ok: true, id, mode: "memory-fallback" });
   }
-  (async () => {
-    try {
-      await dbPool.query(
-        `REPLACE INTO ${CONFIG_TABLE} (config_key, user_key, payload, created_at) VALUES (?, ?, ?, FROM_UNIXTIME(?))`,
-        [key, req.userKey, JSON.stringify(config), entry.at]
-      );
-      res.json({ ok: true, key, mode: "mysql" });
-    } catch (e) {
-      console.error("Failed to write config to DB:", e);
-      res.json({ ok: true, key, mode: "memory-fallback" });
-    }
-  })();
-});
+}));
 
-app.get("/api/configs/:key", requireConfigReadKey, (req, res) => {
-  const key = req.params.key;
-  const entry = key && configs[key];
-  const respond = (record) => {
-    if (!record) {
-      return res.status(404).json({ error: "not found" });
-    }
-    res.json({
-      config: record.config,
-      owner: record.owner || null,
-      at: record.at || nowSec(),
-    });
-  };
+app.get("/api/alerts/history", requireReadKey, asyncRoute(async (req, res) => {
+  const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || 50, 1), MAX_ALERT_HISTORY);
+  const memoryList = (alertEvents[req.userKey] || []).slice().reverse();
+  const publicEvent = ({ stored, ...event }) => event;
   if (!USE_DB) {
-    return respond(entry);
+    return res.json({ events: memoryList.slice(0, limit).map(publicEvent) });
   }
-  (async () => {
-    try {
-      const [rows] = await dbPool.query(
-        `SELECT config_key, user_key, payload, UNIX_TIMESTAMP(created_at) AS at FROM ${CONFIG_TABLE} WHERE config_key = ? LIMIT 1`,
-        [key]
-      );
-      if (rows && rows[0]) {
-        const row = rows[0];
-        let parsed = {};
-        try { parsed = JSON.parse(row.payload); } catch (e) { parsed = {}; }
-        respond({ config: parsed, owner: row.user_key, at: row.at || nowSec() });
-      } else {
-        respond(entry);
-      }
-    } catch (e) {
-      console.error("Failed to fetch config from DB:", e);
-      respond(entry);
-    }
-  })();
-});
+  try {
+    const [rows] = await db.query(
+      `SELECT ${ALERT_EVENT_COLUMNS} FROM ${ALERT_EVENTS_TABLE} WHERE user_key = ? ORDER BY seq DESC LIMIT ?`,
+      [req.userKey, limit]
+    );
+    const unstored = memoryList.filter((event) => !event.stored);
+    const events = [...rows.map(shapeAlertEventRow), ...unstored.map(publicEvent)].sort((a, b) => b.at - a.at);
+    res.json({ events: events.slice(0, limit) });
+  } catch (err) {
+    logFallback("Failed to list alert history from DB", err);
+    res.json({ events: memoryList.slice(0, limit).map(publicEvent) });
+  }
+}));
 
-// POST ingest
-app.post("/api/ingest", requireWriteKey, (req, res) => {
-  const {
-    honey,
-    pollen,
-    backpack,
-    backpackCapacity,
-    nectar,
-    at,
-    currentHoney,
-    username,
-    playerId
-  } = req.body || {};
-  const t = typeof at === "number" ? Math.floor(at) : nowSec();
-  const cleanedName = sanitizeUsername(username);
-  const sessionPlayerId = deriveSessionPlayerId(req.userKey, playerId, cleanedName);
-  const hasNectar =
-    nectar &&
-    typeof nectar === "object" &&
-    NECTAR_TYPES.some((type) => typeof nectar[type] === "number" && isFinite(nectar[type]));
+// Memory persistence (memory mode with MEMORY_DATA_DIR set). Ingests, imports and config
+// writes are appended to a write-ahead log as they happen, buffered for WAL_FLUSH_MS and
+// written in the background. Every store is snapshotted periodically and on shutdown as
+// NDJSON, one line per entry (a user's bucket, a config, a token, ...), and the large stores
+// are written a chunk at a time so requests keep being served meanwhile. A snapshot stands
+// for the moment it started: the log is rotated to ROTATED_WAL_FILE then, and a bucket or
+// config about to be written before its line is out gets serialized first. The snapshot
+// records the last log sequence it contains, so replay skips what it already holds, and the
+// rotated log is dropped once the snapshot is in place. Failing snapshots or log writes are
+// logged and turn /health red; until a snapshot succeeds the log keeps growing.
+// Control state, commands, tokens and alert rules are small stores: a change to one logs the
+// whole entry it touched (a user's state, command list or rules, a token) as it is afterwards.
+const MEMORY_DATA_DIR = process.env.MEMORY_DATA_DIR || null;
+const PERSIST_MEMORY = !USE_DB && !!MEMORY_DATA_DIR;
+const SNAPSHOT_INTERVAL = (Number(process.env.MEMORY_SNAPSHOT_MINUTES) || 5) * 60 * 1000;
+const SNAPSHOT_FILE = "snapshot.ndjson";
+const LEGACY_SNAPSHOT_FILE = "snapshot.json"; // a single JSON document, read when there is no SNAPSHOT_FILE
+const WAL_FILE = "wal.ndjson";
+const ROTATED_WAL_FILE = "wal.prev.ndjson";
+const WAL_FLUSH_MS = 200;
+const SNAPSHOT_CHUNK_BYTES = 1024 * 1024; // written out before the snapshot yields
+const SNAPSHOT_FAILURE_LIMIT = 3; // consecutive failed snapshots before /health reports it
+const PERSISTED_STORES = {
+  samples,
+  memorySessions,
+  publicIdToUserKey,
+  configs,
+  controlStates,
+  controlCommands,
+  apiTokens,
+  alertRules,
+  alertEvents,
+  metricRegistry
+};
+// The big stores the log writes to: which entry each log op changes. Every other store is
+// small and serialized in one go when a snapshot starts.
+const COPY_ON_WRITE_STORES = ["samples", "configs"];
+const WAL_TARGETS = {
+  sample: (entry) => ["samples", entry.userKey],
+  samples: (entry) => ["samples", entry.userKey],
+  import: (entry) => ["samples", entry.userKey],
+  config: (entry) => ["configs", entry.key],
+  "config-delete": (entry) => ["configs", entry.key],
+  "config-import": (entry) => ["configs", entry.key]
+};
+const persistence = { lastSnapshotAt: null, snapshotFailures: 0, walFailures: 0 };
+let walSeq = 0;
+let replayingWal = false;
+let walBuffer = [];
+let walFlushTimer = null;
+let walWrites = Promise.resolve();
+let snapshotRun = null; // { seq, pending: { [store]: Set(keys) }, lines, bytes, done }
 
-  if (
-    typeof honey !== "number" &&
-    typeof pollen !== "number" &&
-    typeof backpack !== "number" &&
-    typeof currentHoney !== "number" &&
-    !hasNectar
-  ) {
-    return res.status(400).json({ error: "no metrics provided" });
+const memoryDataPath = (file) => path.join(MEMORY_DATA_DIR, file);
+
+const addSnapshotLine = (run, store, key) => {
+  if (run.pending[store]) run.pending[store].delete(key);
+  const value = PERSISTED_STORES[store][key];
+  if (value === undefined) return;
+  const line = `${JSON.stringify({ store, key, value })}\n`;
+  run.lines.push(line);
+  run.bytes += line.length;
+};
+
+// Called before a logged write changes a store entry; the running snapshot takes the entry
+// as it was when the snapshot started.
+function beforeMemoryWrite(store, key) {
+  if (snapshotRun && snapshotRun.pending[store] && snapshotRun.pending[store].has(key)) {
+    addSnapshotLine(snapshotRun, store, key);
   }
+}
 
-  const writeMemory = () => {
-    const bucket = getBucket(req.userKey);
-    bucket.lastSeen = t;
-    if (cleanedName) {
-      bucket.username = cleanedName;
-    }
-    cachePublicMapping(bucket.publicId, req.userKey, bucket.username);
-    if (typeof honey === "number" && isFinite(honey)) {
-      bucket.honey.push({ t, v: honey });
-    }
-    if (typeof pollen === "number" && isFinite(pollen)) {
-      bucket.pollen.push({ t, v: pollen });
-    }
-    if (typeof backpack === "number" && isFinite(backpack)) {
-      const entry = { t, v: backpack };
-      let capValue = bucket.lastCapacity || 0;
-      if (typeof backpackCapacity === "number" && isFinite(backpackCapacity)) {
-        capValue = backpackCapacity;
-        bucket.lastCapacity = backpackCapacity;
-      }
-      if (capValue > 0) {
-        entry.cap = capValue;
-        entry.pct = clampPercent((backpack / capValue) * 100);
-      } else {
-        entry.cap = null;
-        entry.pct = 0;
+function logMemoryWrite(entry) {
+  if (!PERSIST_MEMORY || replayingWal) return;
+  const target = WAL_TARGETS[entry.op];
+  if (target) beforeMemoryWrite(...target(entry));
+  walSeq += 1;
+  walBuffer.push(`${JSON.stringify({ seq: walSeq, ...entry })}\n`);
+  if (!walFlushTimer) walFlushTimer = setTimeout(flushWal, WAL_FLUSH_MS);
+}
+
+function logStoreEntry(store, key) {
+  logMemoryWrite({ op: "entry", store, key, value: PERSISTED_STORES[store][key] });
+}
+
+// Appends the buffered lines after any append still running, then runs `after` (log
+// rotation) before later lines go out. Resolves once that is done.
+function flushWal(after) {
+  clearTimeout(walFlushTimer);
+  walFlushTimer = null;
+  const lines = walBuffer.join("");
+  walBuffer = [];
+  walWrites = walWrites.then(async () => {
+    if (lines) {
+      try {
+        await fs.promises.appendFile(memoryDataPath(WAL_FILE), lines);
+        persistence.walFailures = 0;
+      } catch (err) {
+        persistence.walFailures += 1;
+        log.error("Failed to append to the memory log", err, { failures: persistence.walFailures });
       }
-      bucket.backpack.push(entry);
-    }
-    if (typeof backpackCapacity === "number" && isFinite(backpackCapacity)) {
-      bucket.lastCapacity = backpackCapacity;
-    }
-    if (typeof currentHoney === "number") {
-      bucket.currentHoney = currentHoney;
-    }
-    const sessionHoney = typeof currentHoney === "number" ? currentHoney : bucket.currentHoney || 0;
-    if (hasNectar) {
-      NECTAR_TYPES.forEach((type) => {
-        const value = nectar[type];
-        if (typeof value === "number" && isFinite(value)) {
-          bucket.nectar[type].push({ t, v: value });
-        }
-      });
     }
-    const cutoff = nowSec() - 86400 * 30;
-    bucket.honey = bucket.honey.filter((p) => p.t >= cutoff);
-    bucket.pollen = bucket.pollen.filter((p) => p.t >= cutoff);
-    bucket.backpack = bucket.backpack.filter((p) => p.t >= cutoff);
-    NECTAR_TYPES.forEach((type) => {
-      bucket.nectar[type] = bucket.nectar[type].filter((p) => p.t >= cutoff);
-    });
-    if (sessionPlayerId) {
-      recordMemorySession(
-        req.userKey,
-        sessionPlayerId,
-        bucket.username || cleanedName || "Player",
-        t,
-        sessionHoney
-      );
+    if (typeof after !== "function") return;
+    try {
+      await after();
+    } catch (err) {
+      log.error("Failed to rotate the memory log", err);
     }
-  };
+  });
+  return walWrites;
+}
 
-  if (!USE_DB) {
-    writeMemory();
-    return res.json({ ok: true, mode: "memory" });
+// Moves the log aside for the snapshot being written. A rotated log still there belongs to a
+// snapshot that failed, so it is extended rather than replaced.
+async function rotateWal() {
+  const current = memoryDataPath(WAL_FILE);
+  const rotated = memoryDataPath(ROTATED_WAL_FILE);
+  if (!fs.existsSync(current)) return;
+  if (!fs.existsSync(rotated)) {
+    await fs.promises.rename(current, rotated);
+    return;
   }
+  await pipeline(fs.createReadStream(current), fs.createWriteStream(rotated, { flags: "a" }));
+  await fs.promises.unlink(current);
+}
 
-  (async () => {
+const WAL_REPLAY = {
+  sample: (entry) => writeMemorySample(entry.userKey, entry.sample, entry.allowed ? new Set(entry.allowed) : null),
+  samples: (entry) => {
+    const entries = entry.entries.map(({ sample, allowed }) => ({ sample, allowed: allowed ? new Set(allowed) : null }));
+    entries.forEach(({ sample, allowed }) => applyMemorySample(entry.userKey, sample, allowed));
+    finishMemoryBatch(entry.userKey, entries);
+  },
+  import: (entry) => importMemoryRows(entry.userKey, entry.rows),
+  config: (entry) => cacheConfigEntry(entry.key, entry.entry),
+  "config-delete": (entry) => delete configs[entry.key],
+  "config-import": (entry) => countMemoryImport(entry.key),
+  metric: (entry) => {
+    metricRegistry[entry.definition.name] = entry.definition;
+  },
+  // A value missing from the line is an entry that was removed.
+  entry: (entry) => {
+    if (entry.value === undefined) delete PERSISTED_STORES[entry.store][entry.key];
+    else PERSISTED_STORES[entry.store][entry.key] = entry.value;
+  }
+};
+
+// One snapshot runs at a time; a call while one runs waits for that one.
+function writeMemorySnapshot() {
+  if (!PERSIST_MEMORY) return Promise.resolve();
+  if (snapshotRun) return snapshotRun.done;
+  const at = nowSec();
+  const run = { seq: walSeq, pending: {}, lines: [`${JSON.stringify({ seq: walSeq, at })}\n`], bytes: 0 };
+  Object.keys(PERSISTED_STORES).forEach((store) => {
+    const keys = Object.keys(PERSISTED_STORES[store]);
+    if (COPY_ON_WRITE_STORES.includes(store)) run.pending[store] = new Set(keys);
+    else keys.forEach((key) => addSnapshotLine(run, store, key));
+  });
+  snapshotRun = run;
+  const rotated = flushWal(rotateWal);
+  const tmpPath = memoryDataPath(`${SNAPSHOT_FILE}.tmp`);
+  run.done = (async () => {
+    const file = await fs.promises.open(tmpPath, "w");
     try {
-      await ensureUser(req.userKey);
-      cachePublicMapping(getPublicId(req.userKey), req.userKey, cleanedName);
-      const inserts = [];
-      if (typeof honey === "number" && isFinite(honey)) {
-        inserts.push(["honey", t, honey]);
-      }
-      if (typeof pollen === "number" && isFinite(pollen)) {
-        inserts.push(["pollen", t, pollen]);
-      }
-      if (typeof backpack === "number" && isFinite(backpack)) {
-        inserts.push(["backpack", t, backpack]);
-      }
-      if (typeof backpackCapacity === "number" && isFinite(backpackCapacity)) {
-        inserts.push(["backpack_capacity", t, backpackCapacity]);
-      }
-      if (hasNectar) {
-        NECTAR_TYPES.forEach((type) => {
-          const value = nectar[type];
-          if (typeof value === "number" && isFinite(value)) {
-            inserts.push([nectarMetricForType(type), t, value]);
-          }
-        });
-      }
-      if (inserts.length) {
-        await dbPool.query(
-          "INSERT INTO samples (user_key, metric, t, v) VALUES ?",
-          [inserts.map(([metric, tt, vv]) => [req.userKey, metric, tt, vv])]
-        );
+      const writeOut = async () => {
+        const chunk = run.lines.join("");
+        run.lines = [];
+        run.bytes = 0;
+        if (chunk) await file.write(chunk);
+      };
+      for (const store of COPY_ON_WRITE_STORES) {
+        for (const key of run.pending[store]) {
+          addSnapshotLine(run, store, key);
+          if (run.bytes >= SNAPSHOT_CHUNK_BYTES) await writeOut();
+        }
       }
+      await writeOut();
+      await file.sync();
+    } finally {
+      await file.close();
+    }
+    await rotated;
+    await fs.promises.rename(tmpPath, memoryDataPath(SNAPSHOT_FILE));
+    await fs.promises.rm(memoryDataPath(ROTATED_WAL_FILE), { force: true });
+    await fs.promises.rm(memoryDataPath(LEGACY_SNAPSHOT_FILE), { force: true });
+    persistence.lastSnapshotAt = at;
+    persistence.snapshotFailures = 0;
+  })()
+    .catch((err) => {
+      persistence.snapshotFailures += 1;
+      log.error("Failed to write memory snapshot", err, { failures: persistence.snapshotFailures });
+    })
+    .finally(() => {
+      snapshotRun = null;
+    });
+  return run.done;
+}
 
-      await dbPool.query(
-        "UPDATE users SET current_honey = COALESCE(?, current_honey), last_activity = ?, username = COALESCE(?, username) WHERE user_key = ?",
-        [
-          typeof currentHoney === "number" ? currentHoney : null,
-          t,
-          cleanedName,
-          req.userKey
-        ]
-      );
-      if (sessionPlayerId) {
-        await recordDbSession(
-          req.userKey,
-          sessionPlayerId,
-          cleanedName || null,
-          t,
-          typeof currentHoney === "number" ? currentHoney : null
-        );
-      }
+const readLines = (file) => readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
 
-      res.json({ ok: true, mode: "mysql" });
-    } catch (err) {
-      console.error(err);
-      writeMemory();
-      res.json({ ok: true, mode: "memory-fallback" });
+// Returns the log sequence the snapshot holds. A snapshot that cannot be parsed stops the
+// boot rather than starting empty and overwriting it.
+async function loadMemorySnapshot() {
+  const snapshotPath = memoryDataPath(SNAPSHOT_FILE);
+  const legacyPath = memoryDataPath(LEGACY_SNAPSHOT_FILE);
+  if (!fs.existsSync(snapshotPath)) {
+    if (!fs.existsSync(legacyPath)) return 0;
+    const snapshot = JSON.parse(fs.readFileSync(legacyPath, "utf8"));
+    Object.entries(PERSISTED_STORES).forEach(([name, store]) => {
+      Object.assign(store, snapshot.stores[name] || {});
+    });
+    return snapshot.seq || 0;
+  }
+  let seq = null;
+  for await (const line of readLines(snapshotPath)) {
+    if (!line) continue;
+    const entry = JSON.parse(line);
+    if (seq === null) {
+      seq = entry.seq || 0;
+      continue;
     }
-  })();
-});
-
-// Control sync endpoints (in-memory)
-app.post("/api/controls/state", requireWriteKey, (req, res) => {
-  const state = req.body && req.body.state;
-  const at = req.body && req.body.at;
-  if (!state) {
-    return res.status(400).json({ error: "state required" });
+    if (PERSISTED_STORES[entry.store]) PERSISTED_STORES[entry.store][entry.key] = entry.value;
   }
-  controlStates[req.userKey] = { state, at: typeof at === "number" ? at : nowSec() };
-  res.json({ ok: true });
-});
+  return seq || 0;
+}
 
-app.get("/api/controls/state", requireReadKey, (req, res) => {
-  const entry = controlStates[req.userKey];
-  if (entry) {
-    res.json({ state: entry.state, at: entry.at || nowSec() });
-  } else {
-    res.json({ state: null, at: nowSec() });
+// Unreadable log lines (a write cut short by a crash) are skipped.
+async function replayMemoryLog(file, snapshotSeq) {
+  if (!fs.existsSync(file)) return 0;
+  let replayed = 0;
+  let index = 0;
+  replayingWal = true;
+  try {
+    for await (const line of readLines(file)) {
+      index += 1;
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        log.warn(`Skipping unreadable memory log line ${index} of ${path.basename(file)}`, err);
+        continue;
+      }
+      if (!(entry.seq > snapshotSeq) || !WAL_REPLAY[entry.op]) continue;
+      WAL_REPLAY[entry.op](entry);
+      walSeq = Math.max(walSeq, entry.seq);
+      replayed += 1;
+    }
+  } finally {
+    replayingWal = false;
   }
-});
+  return replayed;
+}
 
-app.post("/api/controls/commands", requireReadKey, (req, res) => {
-  const cmds = Array.isArray(req.body && req.body.commands) ? req.body.commands : null;
-  if (!cmds || !cmds.length) {
-    return res.status(400).json({ error: "commands array required" });
+async function restoreMemoryStore() {
+  if (!PERSIST_MEMORY) return;
+  fs.mkdirSync(MEMORY_DATA_DIR, { recursive: true });
+  const snapshotSeq = await loadMemorySnapshot();
+  walSeq = snapshotSeq;
+  let replayed = 0;
+  for (const file of [ROTATED_WAL_FILE, WAL_FILE]) {
+    replayed += await replayMemoryLog(memoryDataPath(file), snapshotSeq);
   }
-  if (!controlCommands[req.userKey]) controlCommands[req.userKey] = [];
-  const stamped = cmds.map((c) => ({ ...c, at: nowSec() }));
-  controlCommands[req.userKey].push(...stamped);
-  // trim to last 100
-  if (controlCommands[req.userKey].length > 100) {
-    controlCommands[req.userKey] = controlCommands[req.userKey].slice(-100);
-  }
-  res.json({ ok: true, queued: controlCommands[req.userKey].length });
-});
+  log.info("Restored memory store", { dir: MEMORY_DATA_DIR, replayed });
+  await writeMemorySnapshot();
+}
 
-app.get("/api/controls/commands", requireWriteKey, (req, res) => {
-  const list = controlCommands[req.userKey] || [];
-  controlCommands[req.userKey] = [];
-  res.json({ commands: list });
+// Body parser failures (oversized or malformed bodies) and errors out of route handlers
+// answer in JSON like every other error.
+app.use((err, _req, res, next) => {
+  if (err.type === "entity.too.large") return res.status(413).json({ error: `body exceeds ${err.limit} bytes` });
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "invalid JSON body" });
+  log.error("Request failed", err);
+  if (res.headersSent) return next(err);
+  res.status(500).json({ error: "internal error" });
 });
 
 (async () => {
   try {
     await initDb();
+    await loadMetricRegistry();
   } catch (err) {
-    console.error("DB init failed, falling back to memory:", err.message);
+    if (String(err.code).startsWith("MIGRATION_")) {
+      log.error("Schema migration check failed, not starting", err);
+      process.exit(1);
+    }
+    log.error("DB init failed, falling back to memory", err);
+  }
+  await restoreMemoryStore();
+  await seedPresence();
+  runRetention();
+  setInterval(runRetention, RETENTION_INTERVAL);
+  setInterval(sweepAlerts, ALERT_SWEEP_INTERVAL);
+  setInterval(sweepRateLimits, RATE_LIMIT_SWEEP_INTERVAL);
+  if (PERSIST_MEMORY) {
+    setInterval(writeMemorySnapshot, SNAPSHOT_INTERVAL);
+    // The log is flushed even when the snapshot fails, so nothing acknowledged is lost.
+    ["SIGTERM", "SIGINT"].forEach((signal) => process.on(signal, async () => {
+      await writeMemorySnapshot();
+      await flushWal();
+      process.exit(0);
+    }));
+  }
+  app.get("/health", (_req, res) => {
+    if (!PERSIST_MEMORY) return res.json({ ok: true, mode: STORAGE_BACKEND });
+    const ok = persistence.snapshotFailures < SNAPSHOT_FAILURE_LIMIT && persistence.walFailures === 0;
+    res.status(ok ? 200 : 503).json({ ok, mode: STORAGE_BACKEND, persistence });
+  });
+  if (!ALLOW_SHARED_KEYS && (process.env.API_KEY || process.env.CLIENT_KEY)) {
+    log.warn(
+      "API_KEY/CLIENT_KEY are set but shared keys are off: requests without a token get 401. " +
+        "Mint tokens with ADMIN_KEY or set ALLOW_SHARED_KEYS=true (see README.md)",
+      undefined,
+      { adminKey: !!ADMIN_KEY }
+    );
   }
-  app.get("/health", (_req, res) => res.json({ ok: true, mode: USE_DB ? "mysql" : "memory" }));
-  app.listen(PORT, () => {
-    console.log(`Bee stats backend listening on :${PORT} (${USE_DB ? "mysql" : "memory"})`);
+  const server = app.listen(PORT, () => {
+    log.info("Bee stats backend listening", { port: PORT, mode: STORAGE_BACKEND });
   });
+  attachLiveStream(server);
 })();
@@ -0,0 +1,53 @@
+// Storage backend selection. STORAGE_BACKEND picks mysql | postgres | sqlite | memory;
+// without it MySQL is used when its env vars are set, memory otherwise (the previous
+// behaviour). Drivers are required lazily so only the selected one has to be installed
+// (pg, pg-cursor and better-sqlite3 are optional dependencies).
+//
+// A SQL driver exposes:
+//   backend                 name reported as the response `mode`
+//   query(sql, params)      -> [rows] for reads, [{ affectedRows }] for writes
+//   transaction(fn)         runs fn({ query }) in one transaction, rolled back if it throws
+//   stream(sql, params)     async iterable of rows, fetched as the consumer reads
+//   close()
+//   dialect                 column types and the SQL fragments that differ per backend
+// server.js builds the domain storage (samples, users, sessions, configs, controls) on top.
+const path = require("path");
+
+const BACKENDS = ["mysql", "postgres", "sqlite", "memory"];
+
+// ":memory:" is SQLite's private in-memory database, not a file name.
+const sqliteFilename = (value) => (value === ":memory:" ? value : path.resolve(value));
+
+function resolveStorageConfig(env) {
+  const mysql = {
+    host: env.MYSQL_HOST || env.MYSQLHOST,
+    user: env.MYSQL_USER || env.MYSQLUSER,
+    password: env.MYSQL_PASSWORD || env.MYSQLPASSWORD,
+    database: env.MYSQL_DATABASE || env.MYSQLDATABASE
+  };
+  const hasMysql = !!(mysql.host && mysql.user && mysql.password && mysql.database);
+  const backend = env.STORAGE_BACKEND ? String(env.STORAGE_BACKEND).toLowerCase() : hasMysql ? "mysql" : "memory";
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`STORAGE_BACKEND must be one of ${BACKENDS.join(", ")}`);
+  }
+  if (backend === "mysql" && !hasMysql) {
+    throw new Error("STORAGE_BACKEND=mysql needs MYSQL_HOST, MYSQL_USER, MYSQL_PASSWORD and MYSQL_DATABASE");
+  }
+  const options = {
+    mysql,
+    postgres: { connectionString: env.DATABASE_URL || null },
+    sqlite: { filename: sqliteFilename(env.SQLITE_PATH || "data/bee-stats.sqlite") },
+    memory: null
+  };
+  return { backend, options: options[backend] };
+}
+
+// Memory mode never runs SQL; it gets the MySQL dialect so query builders still resolve.
+const dialectFor = (backend) => require(`./${backend === "memory" ? "mysql" : backend}`).dialect;
+
+function createDb({ backend, options }) {
+  if (backend === "memory") return null;
+  return require(`./${backend}`).createDb(options);
+}
+
+module.exports = { resolveStorageConfig, createDb, dialectFor };
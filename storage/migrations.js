@@ -0,0 +1,169 @@
+// Versioned schema migrations. Files in migrations/ are named <version>_<name>.js and
+// export up(m) and down(m), where m is { query, createTable, dialect, backend }; they run
+// in version order and each one is recorded in schema_migrations.
+//
+// MySQL commits DDL implicitly, so a migration cannot be rolled back as a whole. Its row
+// is written with dirty = 1 before up()/down() starts and cleared when it finishes; a row
+// left dirty means the schema is somewhere in between, and nothing runs until it has been
+// repaired by hand and marked with `npm run migrate -- force <version>`.
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const MIGRATIONS_TABLE = "schema_migrations";
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const migrationError = (code, message) => Object.assign(new Error(message), { code });
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .map((file) => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({ version: Number(version), name, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+  migrations.forEach((migration, index) => {
+    if (index && migration.version === migrations[index - 1].version) {
+      throw migrationError("MIGRATION_INVALID", `duplicate migration version ${migration.version}`);
+    }
+    if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+      throw migrationError("MIGRATION_INVALID", `migration ${migration.version}_${migration.name} needs up() and down()`);
+    }
+  });
+  return migrations;
+}
+
+// CREATE TABLE in the driver's dialect. MySQL declares indexes inline; the other backends get
+// CREATE INDEX IF NOT EXISTS, prefixed with the table since their index names are per schema.
+const tableCreator = (db) => async (table, columns, indexes = []) => {
+  const { dialect } = db;
+  const inline = dialect.inlineIndexes ? indexes.map(([name, on]) => `INDEX ${name} (${on})`) : [];
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS ${table} (
+      ${[...columns, ...inline].join(",\n      ")}
+    )${dialect.tableOptions}
+  `);
+  if (dialect.inlineIndexes) return;
+  for (const [name, on] of indexes) {
+    await db.query(`CREATE INDEX IF NOT EXISTS ${table}_${name} ON ${table} (${on})`);
+  }
+};
+
+async function readApplied(db) {
+  await tableCreator(db)(MIGRATIONS_TABLE, [
+    "version INT PRIMARY KEY",
+    "name VARCHAR(128) NOT NULL",
+    `dirty ${db.dialect.types.bool} NOT NULL DEFAULT 1`,
+    "applied_at INT NOT NULL"
+  ]);
+  const [rows] = await db.query(`SELECT version, name, dirty, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY version ASC`);
+  return rows.map((row) => ({
+    version: Number(row.version),
+    name: row.name,
+    dirty: !!row.dirty,
+    appliedAt: Number(row.applied_at)
+  }));
+}
+
+// { version, dirty, applied, pending, unknown }; `version` is the highest applied migration
+// (0 for an empty database), `unknown` lists applied versions this build has no file for.
+async function schemaStatus(db, migrations = loadMigrations()) {
+  const applied = await readApplied(db);
+  const known = new Set(migrations.map((migration) => migration.version));
+  const done = new Set(applied.map((row) => row.version));
+  return {
+    version: applied.length ? applied[applied.length - 1].version : 0,
+    dirty: applied.filter((row) => row.dirty),
+    applied,
+    pending: migrations.filter((migration) => !done.has(migration.version)),
+    unknown: applied.filter((row) => !known.has(row.version))
+  };
+}
+
+const assertRunnable = (status) => {
+  if (status.dirty.length) {
+    const row = status.dirty[0];
+    throw migrationError(
+      "MIGRATION_DIRTY",
+      `migration ${row.version}_${row.name} was only partially applied; repair the schema by hand, then run ` +
+        `\`npm run migrate -- force <version>\` with the last version that is fully in place`
+    );
+  }
+  if (status.unknown.length) {
+    throw migrationError(
+      "MIGRATION_UNKNOWN",
+      `database has migration ${status.unknown[0].version} applied, which this build does not know; ` +
+        "deploy a build that includes it or migrate down with one that does"
+    );
+  }
+};
+
+const nowSec = () => Math.floor(Date.now() / 1000);
+
+async function runStep(db, migration, direction) {
+  const context = { query: db.query, createTable: tableCreator(db), dialect: db.dialect, backend: db.backend };
+  const label = `${migration.version}_${migration.name}`;
+  if (direction === "up") {
+    await db.query(`INSERT INTO ${MIGRATIONS_TABLE} (version, name, dirty, applied_at) VALUES (?, ?, 1, ?)`, [
+      migration.version, migration.name, nowSec()
+    ]);
+  } else {
+    await db.query(`UPDATE ${MIGRATIONS_TABLE} SET dirty = 1 WHERE version = ?`, [migration.version]);
+  }
+  try {
+    await migration[direction](context);
+  } catch (err) {
+    throw Object.assign(migrationError("MIGRATION_FAILED", `migration ${label} ${direction} failed: ${err.message}`), {
+      cause: err
+    });
+  }
+  if (direction === "up") {
+    await db.query(`UPDATE ${MIGRATIONS_TABLE} SET dirty = 0, applied_at = ? WHERE version = ?`, [nowSec(), migration.version]);
+  } else {
+    await db.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = ?`, [migration.version]);
+  }
+  return label;
+}
+
+// Applies pending migrations up to `target` (all by default); resolves to the labels applied.
+async function migrateUp(db, target = Infinity, migrations = loadMigrations()) {
+  const status = await schemaStatus(db, migrations);
+  assertRunnable(status);
+  const applied = [];
+  for (const migration of status.pending) {
+    if (migration.version > target) break;
+    applied.push(await runStep(db, migration, "up"));
+  }
+  return applied;
+}
+
+// Reverts the newest `steps` applied migrations; resolves to the labels reverted.
+async function migrateDown(db, steps = 1, migrations = loadMigrations()) {
+  const status = await schemaStatus(db, migrations);
+  assertRunnable(status);
+  const byVersion = new Map(migrations.map((migration) => [migration.version, migration]));
+  const reverted = [];
+  for (const row of status.applied.slice().reverse().slice(0, steps)) {
+    reverted.push(await runStep(db, byVersion.get(row.version), "down"));
+  }
+  return reverted;
+}
+
+// After a manual repair: records every known migration up to `version` as cleanly applied
+// and forgets the ones above it. Runs no migration code.
+async function forceVersion(db, version, migrations = loadMigrations()) {
+  if (version !== 0 && !migrations.some((migration) => migration.version === version)) {
+    throw migrationError("MIGRATION_INVALID", `no migration with version ${version}`);
+  }
+  const applied = await readApplied(db);
+  const done = new Set(applied.map((row) => row.version));
+  await db.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version > ?`, [version]);
+  await db.query(`UPDATE ${MIGRATIONS_TABLE} SET dirty = 0 WHERE version <= ?`, [version]);
+  for (const migration of migrations) {
+    if (migration.version > version || done.has(migration.version)) continue;
+    await db.query(`INSERT INTO ${MIGRATIONS_TABLE} (version, name, dirty, applied_at) VALUES (?, ?, 0, ?)`, [
+      migration.version, migration.name, nowSec()
+    ]);
+  }
+}
+
+module.exports = { loadMigrations, schemaStatus, migrateUp, migrateDown, forceVersion };
@@ -0,0 +1,66 @@
+// MySQL driver (mysql2 pool). The query syntax the server writes is MySQL's own, so
+// queries and parameters pass straight through.
+const mysql = require("mysql2/promise");
+
+const dialect = {
+  types: {
+    id: "BIGINT AUTO_INCREMENT PRIMARY KEY",
+    double: "DOUBLE",
+    json: "JSON",
+    bool: "TINYINT(1)",
+    timestamp: "TIMESTAMP",
+    enumOf: (values) => `ENUM(${values.map((value) => `'${value}'`).join(",")})`
+  },
+  tableOptions: " ENGINE=InnoDB",
+  inlineIndexes: true,
+  upsert: () => "ON DUPLICATE KEY UPDATE",
+  excluded: (column) => `VALUES(${column})`,
+  insertIgnore: "INSERT IGNORE INTO",
+  ignoreConflicts: "",
+  greatest: "GREATEST",
+  least: "LEAST",
+  // The row with the greatest orderBy (a non-negative integer, zero-padded so it sorts as
+  // text) wins MAX(); its value is cut off again and read back as a number. NULLs are skipped.
+  lastValue: (column, orderBy) =>
+    `CAST(SUBSTRING(MAX(CONCAT(LPAD(${orderBy}, 20, '0'), ${column})), 21) AS DOUBLE)`,
+  unixTime: (column) => `UNIX_TIMESTAMP(${column})`,
+  fromUnixTime: (expr) => `FROM_UNIXTIME(${expr})`,
+  forUpdate: " FOR UPDATE",
+  // No RETURNING clause; writes report only affectedRows/insertId.
+  returning: null,
+  jsonArrayContains: (column) => `JSON_CONTAINS(${column}, JSON_QUOTE(?))`,
+  jsonText: (column) => `CAST(${column} AS CHAR)`,
+  // INTERVAL() returns the 1-based index of the last boundary <= value.
+  intervalIndex: (column, boundaries) => ({
+    expr: `INTERVAL(${column}, ${boundaries.map(() => "?").join(", ")})`,
+    params: boundaries
+  })
+};
+
+function createDb({ host, user, password, database }) {
+  const pool = mysql.createPool({ host, user, password, database, connectionLimit: 5 });
+  return {
+    backend: "mysql",
+    dialect,
+    query: (sql, params) => pool.query(sql, params),
+    async transaction(fn) {
+      const conn = await pool.getConnection();
+      try {
+        await conn.beginTransaction();
+        const result = await fn({ query: (sql, params) => conn.query(sql, params) });
+        await conn.commit();
+        return result;
+      } catch (err) {
+        try { await conn.rollback(); } catch (e) { /* connection already broken */ }
+        throw err;
+      } finally {
+        conn.release();
+      }
+    },
+    // Readable in object mode; reading pauses the connection while the consumer is behind.
+    stream: (sql, params) => pool.pool.query(sql, params).stream(),
+    close: () => pool.end()
+  };
+}
+
+module.exports = { createDb, dialect };
@@ -0,0 +1,97 @@
+// Postgres driver (pg pool). Connects with DATABASE_URL, or the standard PG* env vars
+// when it is not set. `?` placeholders are rewritten to $1..$n after array expansion.
+const { Pool, types } = require("pg");
+const Cursor = require("pg-cursor");
+const { expandParams, writeResult, STREAM_BATCH } = require("./sql");
+
+// BIGINT counters and SUM()/AVG() results fit in a double for this data; read them as
+// numbers like mysql2 does instead of strings.
+types.setTypeParser(types.builtins.INT8, Number);
+types.setTypeParser(types.builtins.NUMERIC, Number);
+
+const dialect = {
+  types: {
+    id: "BIGSERIAL PRIMARY KEY",
+    double: "DOUBLE PRECISION",
+    json: "JSONB",
+    bool: "SMALLINT",
+    timestamp: "TIMESTAMPTZ",
+    enumOf: () => "VARCHAR(32)"
+  },
+  tableOptions: "",
+  inlineIndexes: false,
+  upsert: (conflictColumns) => `ON CONFLICT (${conflictColumns}) DO UPDATE SET`,
+  excluded: (column) => `EXCLUDED.${column}`,
+  insertIgnore: "INSERT INTO",
+  ignoreConflicts: "ON CONFLICT DO NOTHING",
+  greatest: "GREATEST",
+  least: "LEAST",
+  lastValue: (column, orderBy) =>
+    `(ARRAY_AGG(${column} ORDER BY ${orderBy} DESC) FILTER (WHERE ${column} IS NOT NULL))[1]`,
+  unixTime: (column) => `CAST(EXTRACT(EPOCH FROM ${column}) AS BIGINT)`,
+  fromUnixTime: (expr) => `TO_TIMESTAMP(${expr})`,
+  forUpdate: " FOR UPDATE",
+  returning: (columns) => `RETURNING ${columns}`,
+  jsonArrayContains: (column) => `${column} @> JSONB_BUILD_ARRAY(CAST(? AS TEXT))`,
+  jsonText: (column) => `CAST(${column} AS TEXT)`,
+  // WIDTH_BUCKET over a threshold array counts the boundaries <= value, like MySQL INTERVAL().
+  // Both sides are BIGINT: the operand and the array must share a type, and unix times
+  // outgrow INT in 2038.
+  intervalIndex: (column, boundaries) => ({
+    expr: `WIDTH_BUCKET(CAST(${column} AS BIGINT), CAST(STRING_TO_ARRAY(?, ',') AS BIGINT[]))`,
+    params: [boundaries.join(",")]
+  })
+};
+
+const toPositional = (sql, params) => {
+  const expanded = expandParams(sql, params);
+  let index = 0;
+  return { text: expanded.sql.replace(/\?/g, () => `$${++index}`), values: expanded.params };
+};
+
+const run = async (client, sql, params) => {
+  const { text, values } = toPositional(sql, params);
+  const result = await client.query(text, values);
+  return result.fields && result.fields.length ? [result.rows] : writeResult(result.rowCount);
+};
+
+function createDb({ connectionString }) {
+  const pool = new Pool(connectionString ? { connectionString, max: 5 } : { max: 5 });
+  return {
+    backend: "postgres",
+    dialect,
+    query: (sql, params) => run(pool, sql, params),
+    async transaction(fn) {
+      const client = await pool.connect();
+      try {
+        await client.query("BEGIN");
+        const result = await fn({ query: (sql, params) => run(client, sql, params) });
+        await client.query("COMMIT");
+        return result;
+      } catch (err) {
+        try { await client.query("ROLLBACK"); } catch (e) { /* connection already broken */ }
+        throw err;
+      } finally {
+        client.release();
+      }
+    },
+    async *stream(sql, params) {
+      const client = await pool.connect();
+      const { text, values } = toPositional(sql, params);
+      const cursor = client.query(new Cursor(text, values));
+      try {
+        while (true) {
+          const rows = await cursor.read(STREAM_BATCH);
+          if (!rows.length) return;
+          yield* rows;
+        }
+      } finally {
+        await cursor.close().catch(() => {});
+        client.release();
+      }
+    },
+    close: () => pool.end()
+  };
+}
+
+module.exports = { createDb, dialect };
@@ -0,0 +1,41 @@
+// Helpers shared by the SQL drivers.
+// Queries are written with mysql2-style `?` placeholders: an array parameter expands to a
+// list (`IN (?)`) and an array of arrays to row tuples (`VALUES ?`), the same way mysql2
+// formats them. Query text never contains a literal `?` outside placeholders.
+
+// Booleans are bound as 1/0 (the flag columns are integers on every backend).
+const bindValue = (value) => {
+  if (value === undefined) return null;
+  if (typeof value === "boolean") return value ? 1 : 0;
+  return value;
+};
+
+const expandParams = (sql, params = []) => {
+  const values = [];
+  let index = 0;
+  const text = sql.replace(/\?/g, () => {
+    const value = params[index++];
+    if (!Array.isArray(value)) {
+      values.push(bindValue(value));
+      return "?";
+    }
+    return value
+      .map((item) => {
+        if (!Array.isArray(item)) {
+          values.push(bindValue(item));
+          return "?";
+        }
+        values.push(...item.map(bindValue));
+        return `(${item.map(() => "?").join(", ")})`;
+      })
+      .join(", ");
+  });
+  return { sql: text, params: values };
+};
+
+// Writes resolve to [{ affectedRows }] like a mysql2 ResultSetHeader.
+const writeResult = (affectedRows, insertId) => [{ affectedRows, insertId }];
+
+const STREAM_BATCH = 500; // rows fetched per round trip when streaming
+
+module.exports = { expandParams, writeResult, STREAM_BATCH };
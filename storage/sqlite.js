@@ -0,0 +1,151 @@
+// SQLite driver (better-sqlite3, one connection in WAL mode). better-sqlite3 is
+// synchronous, so transactions are serialized here: a transaction keeps the connection
+// until it commits, and queries from other requests wait for it instead of landing inside
+// it. A stream iterates its statement on the same connection, which cannot run anything
+// else while the statement is open, so it holds the connection the same way until the
+// consumer finishes or closes it.
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { expandParams, writeResult } = require("./sql");
+
+const dialect = {
+  types: {
+    id: "INTEGER PRIMARY KEY AUTOINCREMENT",
+    double: "REAL",
+    json: "TEXT",
+    bool: "INTEGER",
+    timestamp: "TIMESTAMP",
+    enumOf: () => "VARCHAR(32)"
+  },
+  tableOptions: "",
+  inlineIndexes: false,
+  upsert: (conflictColumns) => `ON CONFLICT (${conflictColumns}) DO UPDATE SET`,
+  excluded: (column) => `excluded.${column}`,
+  insertIgnore: "INSERT INTO",
+  ignoreConflicts: "ON CONFLICT DO NOTHING",
+  // Multi-argument MAX()/MIN() are the scalar forms (NULL if any argument is NULL).
+  greatest: "MAX",
+  least: "MIN",
+  lastValue: (column, orderBy) => `LAST_BY(${column}, ${orderBy})`,
+  unixTime: (column) => `CAST(STRFTIME('%s', ${column}) AS INTEGER)`,
+  fromUnixTime: (expr) => `DATETIME(${expr}, 'unixepoch')`,
+  // BEGIN IMMEDIATE already holds the write lock for the whole transaction.
+  forUpdate: "",
+  returning: (columns) => `RETURNING ${columns}`,
+  jsonArrayContains: (column) => `EXISTS (SELECT 1 FROM JSON_EACH(${column}) WHERE JSON_EACH.value = ?)`,
+  jsonText: (column) => column,
+  intervalIndex: (column, boundaries) => ({
+    expr: `INTERVAL_INDEX(${column}, ?)`,
+    params: [boundaries.join(",")]
+  })
+};
+
+// Functions the dialect relies on that SQLite lacks.
+const registerFunctions = (conn) => {
+  // Latest non-NULL value by the second argument.
+  conn.aggregate("last_by", {
+    start: () => null,
+    step: (latest, value, orderBy) => {
+      if (value === null) return latest;
+      return latest && latest.orderBy > orderBy ? latest : { value, orderBy };
+    },
+    result: (latest) => (latest ? latest.value : null)
+  });
+  let parsedFor = null;
+  let boundaries = [];
+  conn.function("interval_index", { deterministic: true }, (value, list) => {
+    if (list !== parsedFor) {
+      parsedFor = list;
+      boundaries = String(list).split(",").map(Number);
+    }
+    let lo = 0;
+    let hi = boundaries.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (boundaries[mid] <= value) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  });
+};
+
+function createDb({ filename }) {
+  if (filename !== ":memory:") fs.mkdirSync(path.dirname(filename), { recursive: true });
+  const conn = new Database(filename);
+  conn.pragma("journal_mode = WAL");
+  conn.pragma("foreign_keys = ON");
+  conn.pragma("busy_timeout = 5000");
+  registerFunctions(conn);
+
+  const run = (sql, params) => {
+    const expanded = expandParams(sql, params);
+    const statement = conn.prepare(expanded.sql);
+    if (statement.reader) return [statement.all(expanded.params)];
+    const info = statement.run(expanded.params);
+    return writeResult(info.changes, Number(info.lastInsertRowid));
+  };
+
+  let active = null; // promise of the running transaction or stream
+  let queue = Promise.resolve();
+  const idle = async () => {
+    while (active) await active.catch(() => {});
+  };
+  // Runs `body` once the transactions and streams queued before it are done.
+  const exclusive = (body) => {
+    const next = queue.then(async () => {
+      const running = body();
+      active = running;
+      try {
+        return await running;
+      } finally {
+        active = null;
+      }
+    });
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  return {
+    backend: "sqlite",
+    dialect,
+    async query(sql, params) {
+      await idle();
+      return run(sql, params);
+    },
+    transaction(fn) {
+      return exclusive(async () => {
+        run("BEGIN IMMEDIATE");
+        try {
+          const result = await fn({ query: async (sql, params) => run(sql, params) });
+          run("COMMIT");
+          return result;
+        } catch (err) {
+          run("ROLLBACK");
+          throw err;
+        }
+      });
+    },
+    async *stream(sql, params) {
+      let release;
+      const done = new Promise((resolve) => {
+        release = resolve;
+      });
+      await new Promise((resolve) => {
+        exclusive(() => {
+          resolve();
+          return done;
+        });
+      });
+      try {
+        const expanded = expandParams(sql, params);
+        yield* conn.prepare(expanded.sql).iterate(expanded.params);
+      } finally {
+        release();
+      }
+    },
+    close: async () => conn.close()
+  };
+}
+
+module.exports = { createDb, dialect };
@@ -0,0 +1,90 @@
+// Runs server.js as a child process on a free port, with only the environment a test passes
+// (memory mode unless it picks a backend), and talks to it over HTTP.
+const { spawn } = require("child_process");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+
+const SERVER = path.join(__dirname, "..", "server.js");
+const START_TIMEOUT_MS = 10000;
+
+const freePort = () =>
+  new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on("error", reject);
+    probe.listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+
+// A fresh directory under the OS temp dir, removed by the returned cleanup().
+function tempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "bee-stats-test-"));
+  return { dir, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+async function startServer(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: { PATH: process.env.PATH, ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  let output = "";
+  const exited = new Promise((resolve) => child.once("exit", resolve));
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), START_TIMEOUT_MS);
+    const collect = (chunk) => {
+      output += chunk;
+      if (output.includes("Bee stats backend listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on("data", collect);
+    child.stderr.on("data", collect);
+    exited.then((code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  // Resolves to { status, headers, body } with the body parsed when it is JSON.
+  const request = async (method, url, { headers = {}, body } = {}) => {
+    const response = await fetch(base + url, {
+      method,
+      headers: body === undefined ? headers : { "content-type": "application/json", ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      // not JSON
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+  // SIGTERM lets the server shut down cleanly; SIGKILL simulates a crash.
+  const stop = (signal = "SIGTERM") => {
+    if (child.exitCode === null && child.signalCode === null) child.kill(signal);
+    return exited;
+  };
+  return { base, request, stop, output: () => output };
+}
+
+// Mints a token for `userKey` with ADMIN_KEY; resolves to the plaintext token.
+async function mintToken(server, adminKey, userKey, scopes) {
+  const { status, body } = await server.request("POST", "/api/tokens", {
+    headers: { "x-admin-key": adminKey, "x-user-key": userKey },
+    body: { name: "test", scopes }
+  });
+  if (status !== 201) throw new Error(`minting a token failed with ${status}: ${JSON.stringify(body)}`);
+  return body.token;
+}
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+module.exports = { startServer, tempDir, mintToken, bearer };
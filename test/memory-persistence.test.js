@@ -0,0 +1,79 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, tempDir, mintToken, bearer } = require("./helpers");
+
+const ADMIN_KEY = "test-admin-key";
+const WAL_FLUSH_WAIT_MS = 600; // the log is flushed every 200 ms
+
+const pause = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe("memory mode with MEMORY_DATA_DIR", () => {
+  let data;
+  let server;
+  let token;
+  let configKey;
+  let ruleId;
+  const start = async () => {
+    server = await startServer({ ADMIN_KEY, MEMORY_DATA_DIR: data.dir });
+  };
+  const crash = async () => {
+    await pause(WAL_FLUSH_WAIT_MS);
+    await server.stop("SIGKILL");
+  };
+  const honey = async () => {
+    const { body } = await server.request("GET", "/api/stats", { headers: bearer(token) });
+    return body.honey.map((point) => point.v);
+  };
+
+  before(() => {
+    data = tempDir();
+  });
+  after(async () => {
+    if (server) await server.stop();
+    data.cleanup();
+  });
+
+  it("replays the write-ahead log after a crash", async () => {
+    await start();
+    token = await mintToken(server, ADMIN_KEY, "alice", ["ingest", "read", "control"]);
+    const at = Math.floor(Date.now() / 1000) - 60;
+    assert.equal((await server.request("POST", "/api/ingest", { headers: bearer(token), body: { honey: 100, at } })).status, 200);
+    const saved = await server.request("POST", "/api/configs", { headers: bearer(token), body: { config: { fields: ["Sunflower"] } } });
+    configKey = saved.body.key;
+    await server.request("POST", "/api/controls/commands", { headers: bearer(token), body: { commands: [{ type: "convert" }] } });
+    await server.request("POST", "/api/controls/state", { headers: bearer(token), body: { state: { running: true } } });
+    const rule = await server.request("POST", "/api/alerts/rules", {
+      headers: bearer(token),
+      body: { type: "no_samples", params: { minutes: 5 }, webhook: "https://hooks.example.com/alert" }
+    });
+    ruleId = rule.body.rule.id;
+    await crash();
+
+    await start();
+    assert.match(server.output(), /Restored memory store/);
+    assert.deepEqual(await honey(), [100]);
+    const config = await server.request("GET", `/api/configs/${encodeURIComponent(configKey)}`, { headers: bearer(token) });
+    assert.deepEqual(config.body.config, { fields: ["Sunflower"] });
+    const history = await server.request("GET", "/api/controls/commands/history", { headers: bearer(token) });
+    assert.deepEqual(history.body.commands.map((record) => record.command.type), ["convert"]);
+    const state = await server.request("GET", "/api/controls/state", { headers: bearer(token) });
+    assert.deepEqual(state.body.state, { running: true });
+    const rules = await server.request("GET", "/api/alerts/rules", { headers: bearer(token) });
+    assert.deepEqual(rules.body.rules.map((entry) => entry.id), [ruleId]);
+  });
+
+  it("combines the shutdown snapshot with the log written after it", async () => {
+    await server.stop();
+    await start();
+    assert.equal((await server.request("POST", "/api/ingest", { headers: bearer(token), body: { honey: 200 } })).status, 200);
+    await server.request("DELETE", `/api/alerts/rules/${ruleId}`, { headers: bearer(token) });
+    await crash();
+
+    await start();
+    assert.deepEqual(await honey(), [100, 200]);
+    const rules = await server.request("GET", "/api/alerts/rules", { headers: bearer(token) });
+    assert.deepEqual(rules.body.rules, []);
+    const config = await server.request("GET", `/api/configs/${encodeURIComponent(configKey)}`, { headers: bearer(token) });
+    assert.equal(config.status, 200);
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDb } = require("../storage/sqlite");
+const { loadMigrations, schemaStatus, migrateUp, migrateDown, forceVersion } = require("../storage/migrations");
+
+const migrations = loadMigrations();
+const latest = migrations[migrations.length - 1].version;
+const previous = migrations.length > 1 ? migrations[migrations.length - 2].version : 0;
+
+const tables = async (db) => {
+  const [rows] = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+  return rows.map((row) => row.name).sort();
+};
+
+const rejectsWith = (promise, code) => assert.rejects(promise, (err) => err.code === code);
+
+describe("schema migrations on SQLite", () => {
+  let db;
+  beforeEach(() => {
+    db = createDb({ filename: ":memory:" });
+  });
+  afterEach(() => db.close());
+
+  it("applies every migration in order, then nothing", async () => {
+    const applied = await migrateUp(db);
+    assert.deepEqual(applied, migrations.map((migration) => `${migration.version}_${migration.name}`));
+    const status = await schemaStatus(db);
+    assert.equal(status.version, latest);
+    assert.deepEqual(status.pending, []);
+    assert.deepEqual(await migrateUp(db), []);
+  });
+
+  it("stops at a target version", async () => {
+    assert.deepEqual(await migrateUp(db, 1), [`1_${migrations[0].name}`]);
+    assert.equal((await schemaStatus(db)).version, 1);
+  });
+
+  it("reverts step by step back to an empty schema", async () => {
+    const empty = await tables(db);
+    await migrateUp(db);
+    assert.deepEqual(await migrateDown(db), [`${latest}_${migrations[migrations.length - 1].name}`]);
+    assert.equal((await schemaStatus(db)).version, previous);
+    await migrateDown(db, migrations.length);
+    assert.equal((await schemaStatus(db)).version, 0);
+    assert.deepEqual(await tables(db), [...empty, "schema_migrations"].sort());
+    await migrateUp(db);
+    assert.equal((await schemaStatus(db)).version, latest);
+  });
+
+  it("refuses to run past a failed migration until it is forced", async () => {
+    const failing = [
+      ...migrations.slice(0, 1),
+      {
+        version: 2,
+        name: "broken",
+        up: async ({ query }) => query("CREATE TABLE broken (id INTEGER) nonsense"),
+        down: async () => {}
+      }
+    ];
+    await rejectsWith(migrateUp(db, Infinity, failing), "MIGRATION_FAILED");
+    const status = await schemaStatus(db, failing);
+    assert.deepEqual(status.dirty.map((row) => row.version), [2]);
+    await rejectsWith(migrateUp(db, Infinity, failing), "MIGRATION_DIRTY");
+    await rejectsWith(migrateDown(db, 1, failing), "MIGRATION_DIRTY");
+
+    await forceVersion(db, 1, failing);
+    const forced = await schemaStatus(db, failing);
+    assert.equal(forced.version, 1);
+    assert.deepEqual(forced.dirty, []);
+    assert.deepEqual(forced.pending.map((migration) => migration.version), [2]);
+  });
+
+  it("forces a version without running migration code", async () => {
+    await forceVersion(db, latest);
+    const status = await schemaStatus(db);
+    assert.equal(status.version, latest);
+    assert.deepEqual(status.pending, []);
+    assert.deepEqual(await tables(db), ["schema_migrations"]);
+    await forceVersion(db, 0);
+    assert.equal((await schemaStatus(db)).version, 0);
+    await rejectsWith(forceVersion(db, latest + 1), "MIGRATION_INVALID");
+  });
+
+  it("refuses a database with migrations this build does not know", async () => {
+    await migrateUp(db);
+    await rejectsWith(migrateUp(db, Infinity, migrations.slice(0, -1)), "MIGRATION_UNKNOWN");
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { startServer, tempDir, mintToken, bearer } = require("./helpers");
+
+const ADMIN_KEY = "test-admin-key";
+const LIMITS = {
+  ADMIN_KEY,
+  API_KEY: "shared-api",
+  ALLOW_SHARED_KEYS: "true",
+  RATE_LIMIT_INGEST_USER: "3/60",
+  RATE_LIMIT_INGEST_IP: "100/60"
+};
+
+const ingest = (server, headers) => server.request("POST", "/api/ingest", { headers, body: { honey: 1 } });
+const statuses = (responses) => responses.map((response) => response.status);
+
+describe("rate limiting with in-process buckets", () => {
+  let server;
+  before(async () => {
+    server = await startServer(LIMITS);
+  });
+  after(() => server.stop());
+
+  it("allows a user's capacity, then answers 429 with Retry-After", async () => {
+    const token = await mintToken(server, ADMIN_KEY, "alice", ["ingest"]);
+    const responses = [];
+    for (let i = 0; i < 4; i++) responses.push(await ingest(server, bearer(token)));
+    assert.deepEqual(statuses(responses), [200, 200, 200, 429]);
+    assert.deepEqual(responses.map((response) => response.headers.get("x-ratelimit-remaining")), ["2", "1", "0", "0"]);
+    const limited = responses[3];
+    assert.equal(limited.body.scope, "user");
+    assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  });
+
+  it("keeps separate buckets per token user", async () => {
+    const token = await mintToken(server, ADMIN_KEY, "bob", ["ingest"]);
+    assert.equal((await ingest(server, bearer(token))).status, 200);
+  });
+
+  it("buckets shared-key requests by IP, whatever x-user-key they claim", async () => {
+    const responses = [];
+    for (let i = 0; i < 4; i++) responses.push(await ingest(server, { "x-api-key": "shared-api", "x-user-key": `user-${i}` }));
+    assert.deepEqual(statuses(responses), [200, 200, 200, 429]);
+  });
+});
+
+describe("rate limiting with RATE_LIMIT_STORE=db", () => {
+  let data;
+  let first;
+  let second;
+  before(async () => {
+    data = tempDir();
+    const env = { ...LIMITS, STORAGE_BACKEND: "sqlite", SQLITE_PATH: path.join(data.dir, "stats.sqlite"), RATE_LIMIT_STORE: "db" };
+    first = await startServer(env);
+    second = await startServer(env);
+  });
+  after(async () => {
+    await Promise.all([first.stop(), second.stop()]);
+    data.cleanup();
+  });
+
+  it("shares a user's bucket between instances", async () => {
+    const token = await mintToken(first, ADMIN_KEY, "alice", ["ingest"]);
+    const responses = [
+      await ingest(first, bearer(token)),
+      await ingest(second, bearer(token)),
+      await ingest(first, bearer(token)),
+      await ingest(second, bearer(token))
+    ];
+    assert.deepEqual(statuses(responses), [200, 200, 200, 429]);
+    assert.equal(responses[3].body.scope, "user");
+  });
+
+  it("grants no more than the capacity to concurrent requests", async () => {
+    const token = await mintToken(first, ADMIN_KEY, "bob", ["ingest"]);
+    const responses = await Promise.all(
+      Array.from({ length: 8 }, (_, i) => ingest(i % 2 ? second : first, bearer(token)))
+    );
+    assert.equal(statuses(responses).filter((status) => status === 200).length, 3);
+    assert.equal(statuses(responses).filter((status) => status === 429).length, 5);
+  });
+});
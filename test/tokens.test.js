@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, mintToken, bearer } = require("./helpers");
+
+const ADMIN_KEY = "test-admin-key";
+
+describe("per-user tokens", () => {
+  let server;
+  before(async () => {
+    server = await startServer({ ADMIN_KEY, API_KEY: "shared-api", CLIENT_KEY: "shared-client" });
+  });
+  after(() => server.stop());
+
+  it("shared keys are refused unless ALLOW_SHARED_KEYS is on", async () => {
+    const { status, body } = await server.request("GET", "/api/stats", {
+      headers: { "x-client-key": "shared-client", "x-user-key": "alice" }
+    });
+    assert.equal(status, 401);
+    assert.equal(body.error, "api token required");
+  });
+
+  it("minting without a token needs the admin key", async () => {
+    const denied = await server.request("POST", "/api/tokens", {
+      headers: { "x-admin-key": "wrong", "x-user-key": "alice" },
+      body: { scopes: ["read"] }
+    });
+    assert.equal(denied.status, 401);
+    const unscoped = await server.request("POST", "/api/tokens", {
+      headers: { "x-admin-key": ADMIN_KEY, "x-user-key": "alice" },
+      body: { scopes: ["everything"] }
+    });
+    assert.equal(unscoped.status, 400);
+  });
+
+  it("a token authenticates its own user within its scopes", async () => {
+    const reader = await mintToken(server, ADMIN_KEY, "alice", ["read"]);
+    assert.equal((await server.request("GET", "/api/stats", { headers: bearer(reader) })).status, 200);
+    const ingest = await server.request("POST", "/api/ingest", { headers: bearer(reader), body: { honey: 1 } });
+    assert.equal(ingest.status, 403);
+    const otherUser = await server.request("GET", "/api/stats", {
+      headers: { ...bearer(reader), "x-user-key": "bob" }
+    });
+    assert.equal(otherUser.status, 403);
+    const unknown = await server.request("GET", "/api/stats", { headers: bearer("bst_not-a-token") });
+    assert.equal(unknown.status, 401);
+  });
+
+  it("a token mints tokens for its user with a subset of its scopes", async () => {
+    const writer = await mintToken(server, ADMIN_KEY, "alice", ["ingest", "read"]);
+    const child = await server.request("POST", "/api/tokens", { headers: bearer(writer), body: { scopes: ["ingest"] } });
+    assert.equal(child.status, 201);
+    const ingest = await server.request("POST", "/api/ingest", { headers: bearer(child.body.token), body: { honey: 1 } });
+    assert.equal(ingest.status, 200);
+    const wider = await server.request("POST", "/api/tokens", { headers: bearer(writer), body: { scopes: ["control"] } });
+    assert.equal(wider.status, 403);
+  });
+
+  it("a revoked token stops working", async () => {
+    const token = await mintToken(server, ADMIN_KEY, "carol", ["read"]);
+    const { body } = await server.request("GET", "/api/tokens", { headers: bearer(token) });
+    const [record] = body.tokens;
+    const revoked = await server.request("DELETE", `/api/tokens/${record.id}`, { headers: bearer(token) });
+    assert.equal(revoked.status, 200);
+    assert.equal((await server.request("GET", "/api/stats", { headers: bearer(token) })).status, 401);
+  });
+});
+
+it("shared keys keep working with ALLOW_SHARED_KEYS=true", async () => {
+  const server = await startServer({ ADMIN_KEY, API_KEY: "shared-api", CLIENT_KEY: "shared-client", ALLOW_SHARED_KEYS: "true" });
+  try {
+    const ingest = await server.request("POST", "/api/ingest", {
+      headers: { "x-api-key": "shared-api", "x-user-key": "alice" },
+      body: { honey: 1 }
+    });
+    assert.equal(ingest.status, 200);
+    const wrongKey = await server.request("GET", "/api/stats", {
+      headers: { "x-client-key": "nope", "x-user-key": "alice" }
+    });
+    assert.equal(wrongKey.status, 401);
+  } finally {
+    await server.stop();
+  }
+});
@@ -0,0 +1,65 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, mintToken, bearer } = require("./helpers");
+
+const ADMIN_KEY = "test-admin-key";
+const PRIVATE = "webhook must not point at a local or private address";
+
+// webhookUrlError runs when a rule is saved; a refused URL comes back in the 400's details.
+describe("alert rule webhook URLs", () => {
+  let server;
+  let token;
+  const saveRule = (webhook) =>
+    server.request("POST", "/api/alerts/rules", {
+      headers: bearer(token),
+      body: { type: "no_samples", params: { minutes: 5 }, webhook }
+    });
+
+  before(async () => {
+    server = await startServer({ ADMIN_KEY, WEBHOOK_ALLOWED_HOSTS: "receiver.localhost" });
+    token = await mintToken(server, ADMIN_KEY, "alice", ["ingest", "read"]);
+  });
+  after(() => server.stop());
+
+  it("accepts public http(s) URLs", async () => {
+    for (const webhook of ["https://hooks.example.com/alert", "http://93.184.216.34:8080/x"]) {
+      const { status, body } = await saveRule(webhook);
+      assert.equal(status, 200, webhook);
+      assert.equal(body.rule.webhook, webhook);
+    }
+  });
+
+  it("rejects anything that is not an http(s) URL", async () => {
+    for (const webhook of [undefined, 42, "not a url", "ftp://example.com/x", "file:///etc/passwd", `https://example.com/${"a".repeat(600)}`]) {
+      const { status, body } = await saveRule(webhook);
+      assert.equal(status, 400, String(webhook));
+      assert.match(body.details.join(" "), /webhook must be an http\(s\) URL/);
+    }
+  });
+
+  it("rejects loopback, private, link-local and unspecified addresses", async () => {
+    for (const webhook of [
+      "http://localhost:3000/x",
+      "http://api.localhost/x",
+      "http://127.0.0.1/x",
+      "http://10.1.2.3/x",
+      "http://172.16.0.1/x",
+      "http://192.168.1.1/x",
+      "http://169.254.169.254/latest/meta-data",
+      "http://0.0.0.0/x",
+      "http://[::1]/x",
+      "http://[fd00::1]/x",
+      "http://[fe80::1]/x",
+      "http://[::ffff:127.0.0.1]/x"
+    ]) {
+      const { status, body } = await saveRule(webhook);
+      assert.equal(status, 400, webhook);
+      assert.deepEqual(body.details, [PRIVATE], webhook);
+    }
+  });
+
+  it("lets WEBHOOK_ALLOWED_HOSTS through", async () => {
+    const { status } = await saveRule("http://receiver.localhost:9000/hook");
+    assert.equal(status, 200);
+  });
+});